@@ -2,34 +2,66 @@ import 'dotenv/config';
 import express from "express";
 import { createServer } from "http";
 import { Server } from "socket.io";
-import { MongoClient, ServerApiVersion, ObjectId } from 'mongodb';
-import { v4 as uuid } from "uuid";
-import fetch from "node-fetch";
+import { MongoClient, ServerApiVersion, ObjectId, BSON } from 'mongodb';
+import { v4 as uuid, v5 as uuidv5 } from "uuid";
 import path from "path";
 import { fileURLToPath } from "url";
-import { ElevenLabsClient } from "@elevenlabs/elevenlabs-js";
 import multer from "multer";
+import { transcribeAudio, TranscriptionError, listSttProviders } from "./lib/stt.js";
+import { complete, isLlmConfigured, LlmError } from "./lib/llm.js";
+import {
+  isMockMode, listFixtures, hasFixture, resetMockSession, DEFAULT_FIXTURE,
+  mockSummary, mockTranslation, mockCheckboxResponse, mockMindmapResponse, mockMindmapNodeResponse
+} from "./lib/mock.js";
+import {
+  hashPassword, verifyPassword, signToken, authCookie, clearAuthCookie,
+  currentTeacher, setAccountLoader, requireTeacher, signJoinToken, readJoinToken
+} from "./lib/auth.js";
+import {
+  ROLES, ASSISTANT_ROLES, isValidRole, permissionsFor, can, sessionOwnerId, requirePermission
+} from "./lib/roles.js";
+import { SharedMap, lockSet, connectCluster, disconnectCluster, isClustered, INSTANCE_ID } from "./lib/cluster.js";
+import { JobQueue, JobError } from "./lib/jobs.js";
+import { getAudioStore, isAudioArchiveEnabled } from "./lib/audio-store.js";
+import { speakerTurns, groupParticipation, sessionEquityIndex } from "./lib/analytics.js";
+import { LANGUAGES, normalizeLanguage } from "./lib/languages.js";
+import {
+  DEFAULT_FILTERS, FilterConfigError, mergeFilterConfig, validateFilterConfig, runFilters
+} from "./lib/filters.js";
+import { scanTranscript } from "./lib/safeguarding.js";
+import JSZip from "jszip";
+import { REPORT_FORMATS, renderReport, checklistSection } from "./lib/report.js";
+import { CAPTION_FORMATS, captionCues, renderCaptions } from "./lib/captions.js";
+import { GRADEBOOK_FORMATS, buildGradebook, renderGradebook } from "./lib/gradebook.js";
+import { BUNDLE_FORMAT, BUNDLE_VERSION, BUNDLE_COLLECTIONS, BundleError, validateBundle, remapBundle } from "./lib/bundle.js";
+import { findPii, hashValue, encryptValue, decryptValue, redactText, redactWords } from "./lib/redaction.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 console.log("🚀 Starting Smart Classroom Live Transcription Server...");
 
-// Initialize ElevenLabs client
-const elevenlabs = new ElevenLabsClient({
-  apiKey: process.env.ELEVENLABS_KEY,
-});
-
-// Session state management
-const activeSessions = new Map(); // sessionCode -> { id, code, active, interval, startTime }
+// Session state management. The shared maps replicate across instances when REDIS_URL is set;
+// after changing a stored object in place, set() it again so the change reaches other instances.
+const activeSessions = new SharedMap("sessions", { serialize: serializeSession, deserialize: deserializeSession }); // sessionCode -> { id, code, active, interval, startTime }
 const sessionTimers = new Map();  // sessionCode -> timer
 
 // Global storage for session transcript history
-const sessionTranscriptHistory = new Map();
+const sessionTranscriptHistory = new SharedMap("transcript_history");
 
 // Utility helpers and globals
 // Cache the latest emitted checklist state per session+group so we can reuse it on release
-const latestChecklistState = new Map();
+const latestChecklistState = new SharedMap("checklist_state");
+
+// Session state as plain JSON (groups is a Map, the start retry timer stays local)
+function serializeSession(session) {
+  const { startRetryInterval, groups, ...rest } = session;
+  return { ...rest, groups: groups ? Array.from(groups.entries()) : [] };
+}
+
+function deserializeSession(data) {
+  return { ...data, groups: new Map(data.groups || []) };
+}
 
 // Helper function to manage transcript history
 function addToTranscriptHistory(sessionCode, transcript) {
@@ -47,6 +79,7 @@ function addToTranscriptHistory(sessionCode, transcript) {
   if (history.length > 3) {
     history.shift();
   }
+  sessionTranscriptHistory.set(sessionCode, history);
   
   console.log(`📝 Context History: Session ${sessionCode} now has ${history.length} chunks`);
 }
@@ -71,6 +104,11 @@ function clearTranscriptHistory(sessionCode) {
   console.log(`🗑️ Cleared transcript history for session: ${sessionCode}`);
 }
 
+// Mock fixture selected for a session (only used when MOCK_MODE is on)
+function getMockFixture(sessionCode) {
+  return activeSessions.get(sessionCode)?.mockFixture || DEFAULT_FIXTURE;
+}
+
 // Helper function to get current mindmap data from database
 async function getMindmapData(sessionCode) {
   try {
@@ -90,6 +128,7 @@ async function getMindmapData(sessionCode) {
 /* ---------- 1. MongoDB ---------- */
 let client;
 let db;
+let jobQueue;
 
 async function connectToDatabase() {
   try {
@@ -126,6 +165,18 @@ async function connectToDatabase() {
     // Create indexes for better performance
     await db.collection("sessions").createIndex({ "code": 1 });
     await db.collection("sessions").createIndex({ "active": 1 });
+    await db.collection("sessions").createIndex({ "teacher_id": 1, "created_at": -1 });
+    await db.collection("sessions").createIndex({ "deleted_at": 1 }, { sparse: true });
+    await db.collection("teachers").createIndex({ "email": 1 }, { unique: true });
+    await db.collection("join_tokens").createIndex({ "session_code": 1, "created_at": -1 });
+    await db.collection("roster").createIndex({ "session_code": 1, "group_number": 1, "name_key": 1 }, { unique: true });
+    await db.collection("session_logs").createIndex({ "session_id": 1, "type": 1, "created_at": -1 });
+    await db.collection("safeguarding_alerts").createIndex({ "transcript_id": 1, "category": 1 }, { unique: true });
+    await db.collection("safeguarding_alerts").createIndex({ "session_id": 1, "created_at": -1 });
+    await db.collection("pii_mappings").createIndex({ "session_code": 1, "value_hash": 1 }, { unique: true });
+    await db.collection("speaker_mappings").createIndex({ "session_code": 1, "group_number": 1, "speaker": 1, "transcript_id": 1 }, { unique: true });
+    await db.collection("audio_chunks").createIndex({ "expires_at": 1 });
+    await db.collection("audio_chunks").createIndex({ "session_id": 1 });
     await db.collection("groups").createIndex({ "session_id": 1, "number": 1 });
     await db.collection("transcriptions").createIndex({ "group_id": 1, "timestamp": 1 });
     await db.collection("summaries").createIndex({ "group_id": 1, "timestamp": 1 });
@@ -146,6 +197,25 @@ async function connectToDatabase() {
     // Seed default prompts for teachers
     await seedDefaultPrompts();
     
+    // Share rooms and session state with other instances (REDIS_URL), then bring back
+    // sessions that were running when the server last stopped
+    await connectCluster(io);
+    await restoreSessionState();
+    startStateCheckpoints();
+    
+    // Uploaded chunks are transcribed and analysed by background workers
+    jobQueue = new JobQueue(db.collection("jobs"));
+    await jobQueue.ensureIndexes();
+    jobQueue.register("transcribe_chunk", processChunkJob, { onFailed: notifyChunkFailed });
+    // Placeholders for rejected chunks (see skipChunk): nothing to do once their turn comes
+    jobQueue.register("skip_chunk", async () => {});
+    jobQueue.register("purge_audio", purgeExpiredAudio);
+    jobQueue.register("purge_trash", purgeTrash);
+    jobQueue.register("reprocess_session", reprocessSessionJob, { onFailed: reprocessFailed });
+    jobQueue.start();
+    startAudioPurge();
+    startTrashPurge();
+    
     // Start server after database connection
     const port = process.env.PORT || 10000;
     http.listen(port, () => {
@@ -161,6 +231,103 @@ async function connectToDatabase() {
 // Connect to database on startup
 connectToDatabase();
 
+/* ---------- Session state checkpoints ---------- */
+// Running sessions live in memory (activeSessions, transcript context, checklist cache).
+// They are checkpointed to the session_state collection every few seconds and restored
+// on boot, so students and dashboards reconnect into the same session after a restart.
+const STATE_CHECKPOINT_MS = Number(process.env.STATE_CHECKPOINT_MS) || 5000;
+const STATE_RESTORE_MAX_AGE_MS = (Number(process.env.STATE_RESTORE_MAX_AGE_HOURS) || 12) * 60 * 60 * 1000;
+
+const lastCheckpoint = new Map(); // sessionCode -> serialized state last written
+let checkpointTimer = null;
+let checkpointRunning = false;
+
+function serializeSessionState(code) {
+  const checklists = {};
+  for (const [key, data] of latestChecklistState) {
+    if (key.startsWith(`${code}-`)) checklists[key.slice(code.length + 1)] = data;
+  }
+  return {
+    session: serializeSession(activeSessions.get(code)),
+    transcript_history: sessionTranscriptHistory.get(code) || [],
+    checklist_state: checklists
+  };
+}
+
+async function checkpointSessionState() {
+  if (!db) return;
+  const codes = Array.from(activeSessions.keys());
+  const writes = [];
+  
+  for (const code of codes) {
+    const state = serializeSessionState(code);
+    const json = JSON.stringify(state);
+    if (lastCheckpoint.get(code) === json) continue;
+    lastCheckpoint.set(code, json);
+    writes.push({ replaceOne: { filter: { _id: code }, replacement: { _id: code, ...state }, upsert: true } });
+  }
+  
+  if (writes.length > 0) {
+    await db.collection("session_state").bulkWrite(writes, { ordered: false });
+  }
+  // Touch every live session so restore can tell a recent shutdown from an abandoned one
+  await db.collection("session_state").updateMany({ _id: { $in: codes } }, { $set: { checkpoint_at: Date.now() } });
+  
+  // Sessions that ended since the last pass
+  const removed = await db.collection("session_state").deleteMany({ _id: { $nin: codes } });
+  for (const code of lastCheckpoint.keys()) {
+    if (!activeSessions.has(code)) lastCheckpoint.delete(code);
+  }
+  if (writes.length > 0 || removed.deletedCount > 0) {
+    console.log(`💾 Checkpointed ${writes.length} session(s), removed ${removed.deletedCount} ended session(s)`);
+  }
+}
+
+function startStateCheckpoints() {
+  if (checkpointTimer) clearInterval(checkpointTimer);
+  checkpointTimer = setInterval(async () => {
+    if (checkpointRunning) return; // a slow write is still in flight
+    checkpointRunning = true;
+    try {
+      await checkpointSessionState();
+    } catch (err) {
+      console.error("❌ Session state checkpoint failed:", err);
+    } finally {
+      checkpointRunning = false;
+    }
+  }, STATE_CHECKPOINT_MS);
+}
+
+async function restoreSessionState() {
+  const cutoff = Date.now() - STATE_RESTORE_MAX_AGE_MS;
+  const stale = await db.collection("session_state").deleteMany({ checkpoint_at: { $lt: cutoff } });
+  if (stale.deletedCount > 0) {
+    console.log(`🗑️ Discarded ${stale.deletedCount} session checkpoint(s) older than ${STATE_RESTORE_MAX_AGE_MS / 3600000}h`);
+  }
+  
+  // Other instances are already running these sessions; their shared state is newer
+  if (activeSessions.size > 0) {
+    console.log(`♻️ ${activeSessions.size} session(s) already shared by other instances - skipping checkpoint restore`);
+    return;
+  }
+  
+  const states = await db.collection("session_state").find({}).toArray();
+  for (const state of states) {
+    const code = state._id;
+    activeSessions.set(code, deserializeSession(state.session));
+    if (state.transcript_history?.length) {
+      sessionTranscriptHistory.set(code, state.transcript_history);
+    }
+    for (const [group, data] of Object.entries(state.checklist_state || {})) {
+      latestChecklistState.set(`${code}-${group}`, data);
+    }
+    console.log(`♻️ Restored session ${code} (${state.session.active ? "recording" : "waiting"}, ${state.session.groups?.length || 0} groups)`);
+  }
+  if (states.length > 0) {
+    console.log(`♻️ Restored ${states.length} running session(s) from checkpoint`);
+  }
+}
+
 /* ---------- 2. Express + Socket.IO ---------- */
 const app = express();
 app.use(express.static(path.join(__dirname, "public")));
@@ -171,53 +338,1320 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
-const http = createServer(app);
-const io   = new Server(http, { cors: { origin: "*" } });
+const http = createServer(app);
+const io   = new Server(http, { cors: { origin: "*" } });
+
+// The logged-in teacher behind a socket (null for students). Sockets stay open for a whole
+// lesson, so the account is re-read for each privileged event rather than once at connect.
+function socketTeacher(socket) {
+  return currentTeacher(socket.handshake.headers);
+}
+
+/* Serve student and admin pages */
+app.get("/student", (req, res) => {
+  console.log("📚 Serving student page");
+  res.sendFile(path.join(__dirname, "public", "student.html"));
+});
+app.get("/admin", (req, res) => {
+  console.log("👨‍🏫 Serving admin page");
+  res.sendFile(path.join(__dirname, "public", "admin.html"));
+});
+app.get("/admin_static", (req, res) => {
+  console.log("👨‍🏫 Serving static admin page");
+  res.sendFile(path.join(__dirname, "public", "admin_static.html"));
+});
+
+/* Serve test transcription page */
+app.get("/test-transcription", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "test-transcription.html"));
+});
+
+/* Serve test recording page */
+app.get("/test-recording", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "test-recording.html"));
+});
+
+/* Serve login page */
+app.get("/login", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "login.html"));
+});
+
+/* Serve history page */
+app.get("/history", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "history.html"));
+});
+
+/* Health check endpoint for Render deployment */
+app.get("/health", async (req, res) => {
+  let jobs = null;
+  try {
+    jobs = jobQueue ? await jobQueue.stats() : null;
+  } catch (err) {
+    console.warn("⚠️ Could not read job queue stats:", err.message);
+  }
+  res.status(200).json({
+    status: "healthy",
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    version: "2.0.0",
+    features: ["transcription", "checkbox-mode", "mindmap-mode", "summary-mode"],
+    mockMode: isMockMode(),
+    instance: INSTANCE_ID,
+    clustered: isClustered(),
+    jobs,
+    environment: process.env.NODE_ENV || "development",
+    port: process.env.PORT || 10000
+  });
+});
+
+/* ---------- Teacher accounts ---------- */
+
+// Whether a teacher may act on a session code. Codes nobody owns yet are free to claim.
+// Co-teachers and observers act on their lead teacher's sessions; school admins may read any session.
+async function canAccessSession(teacher, code, { readOnly = false } = {}) {
+  if (!teacher || !code) return false;
+  const session = await db.collection("sessions").findOne({ code: code }, { projection: { teacher_id: 1, deleted_at: 1 } });
+  // Sessions in the trash are only reachable through the trash routes
+  if (session?.deleted_at) return false;
+  if (readOnly && can(teacher, "sessions:view_all")) return true;
+  const ownerId = sessionOwnerId(teacher);
+  const mem = activeSessions.get(code);
+  if (mem?.teacherId && mem.teacherId !== ownerId) return false;
+  return !session || session.teacher_id === ownerId;
+}
+
+// Socket handlers that change a live session need the session:run permission as well as access
+async function canRunSession(teacher, code) {
+  return can(teacher, "session:run") && await canAccessSession(teacher, code);
+}
+
+// Route guard for :code / :sessionCode params or a sessionCode body field (run after requireTeacher).
+// GET routes only read, so they also admit school admins looking across teachers.
+async function requireSessionOwner(req, res, next) {
+  try {
+    const code = req.params.code || req.params.sessionCode || req.body?.sessionCode;
+    if (!code) return next();
+    if (!(await canAccessSession(req.teacher, code, { readOnly: req.method === "GET" }))) {
+      console.log(`🚫 Teacher ${req.teacher.email} denied access to session ${code}`);
+      return res.status(404).json({ error: "Session not found" });
+    }
+    next();
+  } catch (err) {
+    console.error("❌ Session ownership check failed:", err);
+    res.status(500).json({ error: "Failed to verify session access" });
+  }
+}
+
+// Mongo filter that scopes session queries to the logged-in teacher (or their lead teacher)
+function ownerFilter(req) {
+  return { teacher_id: sessionOwnerId(req.teacher) };
+}
+
+function publicTeacher(teacher) {
+  return {
+    id: teacher._id,
+    email: teacher.email,
+    name: teacher.name,
+    role: teacher.role || "teacher",
+    leadTeacherId: teacher.lead_teacher_id || null
+  };
+}
+
+function teacherToken(teacher) {
+  return signToken({ typ: "teacher", sub: teacher._id, email: teacher.email, name: teacher.name });
+}
+
+// Role and lead teacher are looked up on every request, so changes apply straight away
+setAccountLoader(async id => {
+  const teacher = await db.collection("teachers").findOne({ _id: id }, { projection: { password_hash: 0 } });
+  return teacher ? publicTeacher(teacher) : null;
+});
+
+/* Register a teacher account */
+app.post("/api/auth/register", express.json(), async (req, res) => {
+  try {
+    const { email, password, name, signupCode } = req.body || {};
+    const normalizedEmail = String(email || "").trim().toLowerCase();
+    
+    if (!normalizedEmail || !password || !name) {
+      return res.status(400).json({ error: "Name, email and password are required" });
+    }
+    if (String(password).length < 8) {
+      return res.status(400).json({ error: "Password must be at least 8 characters" });
+    }
+    
+    // The first account bootstraps the deployment; after that a signup code is required
+    const teacherCount = await db.collection("teachers").countDocuments();
+    if (teacherCount > 0 && (!process.env.TEACHER_SIGNUP_CODE || signupCode !== process.env.TEACHER_SIGNUP_CODE)) {
+      return res.status(403).json({ error: "A valid signup code is required to create an account" });
+    }
+    
+    const existing = await db.collection("teachers").findOne({ email: normalizedEmail });
+    if (existing) {
+      return res.status(409).json({ error: "An account with this email already exists" });
+    }
+    
+    const teacher = {
+      _id: uuid(),
+      email: normalizedEmail,
+      name: String(name).trim(),
+      password_hash: hashPassword(String(password)),
+      // The first account runs the deployment; everyone else starts as a regular teacher
+      role: teacherCount === 0 ? "school_admin" : "teacher",
+      lead_teacher_id: null,
+      created_at: Date.now(),
+      last_login: Date.now()
+    };
+    await db.collection("teachers").insertOne(teacher);
+    
+    // Sessions recorded before accounts existed belong to the first teacher
+    if (teacherCount === 0) {
+      const claimed = await db.collection("sessions").updateMany(
+        { teacher_id: { $exists: false } },
+        { $set: { teacher_id: teacher._id } }
+      );
+      console.log(`📦 Assigned ${claimed.modifiedCount} existing sessions to first teacher ${teacher.email}`);
+    }
+    
+    const token = teacherToken(teacher);
+    res.setHeader("Set-Cookie", authCookie(token));
+    
+    console.log(`👩‍🏫 Registered teacher account: ${teacher.email}`);
+    res.json({ success: true, teacher: publicTeacher(teacher) });
+  } catch (err) {
+    console.error("❌ Failed to register teacher:", err);
+    res.status(500).json({ error: "Failed to register" });
+  }
+});
+
+/* Log in */
+app.post("/api/auth/login", express.json(), async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    const normalizedEmail = String(email || "").trim().toLowerCase();
+    
+    const teacher = await db.collection("teachers").findOne({ email: normalizedEmail });
+    if (!teacher || !verifyPassword(String(password || ""), teacher.password_hash)) {
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+    
+    await db.collection("teachers").updateOne({ _id: teacher._id }, { $set: { last_login: Date.now() } });
+    
+    const token = teacherToken(teacher);
+    res.setHeader("Set-Cookie", authCookie(token));
+    
+    console.log(`🔑 Teacher logged in: ${teacher.email}`);
+    res.json({ success: true, teacher: publicTeacher(teacher), token });
+  } catch (err) {
+    console.error("❌ Failed to log in:", err);
+    res.status(500).json({ error: "Failed to log in" });
+  }
+});
+
+/* Log out */
+app.post("/api/auth/logout", (req, res) => {
+  res.setHeader("Set-Cookie", clearAuthCookie());
+  res.json({ success: true });
+});
+
+/* Current teacher */
+app.get("/api/auth/me", requireTeacher, (req, res) => {
+  res.json({ success: true, teacher: req.teacher, permissions: permissionsFor(req.teacher.role) });
+});
+
+/* School admin: list accounts */
+app.get("/api/teachers", requireTeacher, requirePermission("accounts:manage"), async (req, res) => {
+  try {
+    const teachers = await db.collection("teachers")
+      .find({}, { projection: { password_hash: 0 } })
+      .sort({ name: 1 })
+      .toArray();
+    res.json({ success: true, roles: ROLES, teachers: teachers.map(publicTeacher) });
+  } catch (err) {
+    console.error("❌ Failed to list teachers:", err);
+    res.status(500).json({ error: "Failed to list teachers" });
+  }
+});
+
+/* School admin: change an account's role (applies from the teacher's next request) */
+app.put("/api/teachers/:id/role", requireTeacher, requirePermission("accounts:manage"), express.json(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, leadTeacherId = null } = req.body;
+    
+    if (!isValidRole(role)) {
+      return res.status(400).json({ error: "Unknown role", roles: ROLES });
+    }
+    if (id === req.teacher.id && role !== "school_admin") {
+      return res.status(400).json({ error: "You cannot remove your own school admin role" });
+    }
+    
+    // Co-teachers and observers need a lead teacher whose sessions they join
+    let lead = null;
+    if (ASSISTANT_ROLES.includes(role)) {
+      lead = leadTeacherId ? await db.collection("teachers").findOne({ _id: leadTeacherId }) : null;
+      if (!lead || lead._id === id || ASSISTANT_ROLES.includes(lead.role)) {
+        return res.status(400).json({ error: "Co-teachers and observers need a lead teacher" });
+      }
+    }
+    
+    const result = await db.collection("teachers").findOneAndUpdate(
+      { _id: id },
+      { $set: { role, lead_teacher_id: lead ? lead._id : null, updated_at: Date.now() } },
+      { returnDocument: "after", projection: { password_hash: 0 } }
+    );
+    if (!result) {
+      return res.status(404).json({ error: "Teacher not found" });
+    }
+    
+    console.log(`👥 ${req.teacher.email} set ${result.email} to role ${role}${lead ? ` (lead: ${lead.email})` : ""}`);
+    res.json({ success: true, teacher: publicTeacher(result) });
+  } catch (err) {
+    console.error("❌ Failed to update teacher role:", err);
+    res.status(500).json({ error: "Failed to update role" });
+  }
+});
+
+/* School admin: aggregate session activity per teacher */
+app.get("/api/admin/overview", requireTeacher, requirePermission("sessions:view_all"), async (req, res) => {
+  try {
+    const [teachers, perTeacher] = await Promise.all([
+      db.collection("teachers").find({}, { projection: { password_hash: 0 } }).toArray(),
+      db.collection("sessions").aggregate([
+        { $match: { deleted_at: null } },
+        { $group: {
+          _id: "$teacher_id",
+          sessions: { $sum: 1 },
+          summary: { $sum: { $cond: [{ $eq: [{ $ifNull: ["$mode", "summary"] }, "summary"] }, 1, 0] } },
+          mindmap: { $sum: { $cond: [{ $eq: ["$mode", "mindmap"] }, 1, 0] } },
+          checkbox: { $sum: { $cond: [{ $eq: ["$mode", "checkbox"] }, 1, 0] } },
+          total_duration_seconds: { $sum: { $ifNull: ["$total_duration_seconds", 0] } },
+          last_session_at: { $max: "$created_at" }
+        } }
+      ]).toArray()
+    ]);
+    
+    const byTeacher = new Map(teachers.map(t => [t._id, t]));
+    const rows = perTeacher.map(row => ({
+      teacher: byTeacher.has(row._id) ? publicTeacher(byTeacher.get(row._id)) : null,
+      sessions: row.sessions,
+      modes: { summary: row.summary, mindmap: row.mindmap, checkbox: row.checkbox },
+      totalDurationSeconds: row.total_duration_seconds,
+      lastSessionAt: row.last_session_at
+    })).sort((a, b) => b.sessions - a.sessions);
+    
+    res.json({
+      success: true,
+      totals: {
+        teachers: teachers.length,
+        sessions: rows.reduce((sum, r) => sum + r.sessions, 0),
+        activeSessions: activeSessions.size
+      },
+      teachers: rows
+    });
+  } catch (err) {
+    console.error("❌ Failed to build admin overview:", err);
+    res.status(500).json({ error: "Failed to load overview" });
+  }
+});
+
+/* ---------- Student join tokens ---------- */
+
+// Resolve a student join token to its stored record, or null if it is invalid, expired,
+// revoked or issued for a different session/group than the one being claimed
+async function verifyJoinToken(token, { code, group } = {}) {
+  const claims = readJoinToken(token);
+  if (!claims) return null;
+  if (code && String(code) !== claims.code) return null;
+  if (group && parseInt(group) !== claims.group) return null;
+  
+  const record = await db.collection("join_tokens").findOne({ _id: claims.id });
+  if (!record || record.revoked_at) return null;
+  return record;
+}
+
+function joinUrl(req, token) {
+  return `${req.protocol}://${req.get("host")}/student?token=${encodeURIComponent(token)}`;
+}
+
+function publicJoinToken(record) {
+  return {
+    id: record._id,
+    group: record.group_number,
+    created_at: record.created_at,
+    expires_at: record.expires_at,
+    revoked_at: record.revoked_at
+  };
+}
+
+/* Issue a join link for one group of a session */
+app.post("/api/session/:code/join-tokens", requireTeacher, requirePermission("session:run"), express.json(), requireSessionOwner, async (req, res) => {
+  try {
+    const { code } = req.params;
+    const group = parseInt(req.body.group);
+    
+    if (!Number.isInteger(group) || group < 1 || group > 99) {
+      return res.status(400).json({ error: "Group must be a number between 1 and 99" });
+    }
+    
+    const exists = activeSessions.has(code) || await db.collection("sessions").findOne({ code: code }, { projection: { _id: 1 } });
+    if (!exists) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    
+    const id = uuid();
+    const token = signJoinToken({ id, code, group });
+    const record = {
+      _id: id,
+      session_code: code,
+      group_number: group,
+      teacher_id: req.teacher.id,
+      created_at: Date.now(),
+      expires_at: readJoinToken(token).exp * 1000,
+      revoked_at: null
+    };
+    await db.collection("join_tokens").insertOne(record);
+    
+    console.log(`🎟️ Join token issued for session ${code}, group ${group}`);
+    res.json({ success: true, token, url: joinUrl(req, token), joinToken: publicJoinToken(record) });
+  } catch (err) {
+    console.error("❌ Failed to issue join token:", err);
+    res.status(500).json({ error: "Failed to issue join token" });
+  }
+});
+
+/* List join links issued for a session */
+app.get("/api/session/:code/join-tokens", requireTeacher, requireSessionOwner, async (req, res) => {
+  try {
+    const tokens = await db.collection("join_tokens")
+      .find({ session_code: req.params.code })
+      .sort({ group_number: 1, created_at: 1 })
+      .toArray();
+    res.json({ success: true, joinTokens: tokens.map(publicJoinToken) });
+  } catch (err) {
+    console.error("❌ Failed to list join tokens:", err);
+    res.status(500).json({ error: "Failed to list join tokens" });
+  }
+});
+
+/* Revoke a join link and disconnect any device that joined with it */
+app.delete("/api/session/:code/join-tokens/:tokenId", requireTeacher, requirePermission("session:run"), requireSessionOwner, async (req, res) => {
+  try {
+    const { code, tokenId } = req.params;
+    const record = await db.collection("join_tokens").findOne({ _id: tokenId, session_code: code });
+    if (!record) {
+      return res.status(404).json({ error: "Join token not found" });
+    }
+    
+    if (!record.revoked_at) {
+      await db.collection("join_tokens").updateOne({ _id: tokenId }, { $set: { revoked_at: Date.now() } });
+    }
+    
+    let disconnected = 0;
+    const sockets = await io.in(`${code}-${record.group_number}`).fetchSockets();
+    for (const s of sockets) {
+      if (s.data.joinTokenId === tokenId) {
+        s.emit("join_revoked", { code, group: record.group_number });
+        s.disconnect(true);
+        disconnected++;
+      }
+    }
+    
+    console.log(`🚫 Join token revoked for session ${code}, group ${record.group_number} (${disconnected} device(s) disconnected)`);
+    res.json({ success: true, disconnected });
+  } catch (err) {
+    console.error("❌ Failed to revoke join token:", err);
+    res.status(500).json({ error: "Failed to revoke join token" });
+  }
+});
+
+/* ---------- Session roster and speaker names ---------- */
+// The roster lists the students in each group, typed in by the teacher or added when a student
+// joins with their name. Diarized speaker labels (speaker_1, speaker_2...) are mapped to roster
+// names after the fact, either for the whole group or for one transcript (overriding the group
+// mapping, since labels are only assigned per chunk). Roster and mappings are keyed by session
+// code because students can join before the session is saved.
+
+const MAX_STUDENT_NAME_LENGTH = 60;
+const SPEAKER_LABEL = /^speaker_\d+$/;
+
+function cleanStudentName(name) {
+  return typeof name === "string" ? name.trim().replace(/\s+/g, " ").slice(0, MAX_STUDENT_NAME_LENGTH) : "";
+}
+
+function publicRosterEntry(record) {
+  return {
+    id: record._id,
+    group: record.group_number,
+    name: record.name,
+    source: record.source,
+    created_at: record.created_at
+  };
+}
+
+// Adding a name that is already on the group's roster returns the existing entry
+async function addRosterEntry(sessionCode, groupNumber, name, source) {
+  const record = {
+    _id: uuid(),
+    session_code: sessionCode,
+    group_number: parseInt(groupNumber),
+    name,
+    name_key: name.toLowerCase(),
+    source,
+    created_at: Date.now()
+  };
+  try {
+    await db.collection("roster").insertOne(record);
+    return { entry: record, duplicate: false };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    const existing = await db.collection("roster").findOne({
+      session_code: sessionCode, group_number: record.group_number, name_key: record.name_key
+    });
+    return { entry: existing, duplicate: true };
+  }
+}
+
+// Names for a group's speaker labels: group-wide ones, plus per-transcript overrides
+async function speakerNameMap(sessionCode, groupNumber) {
+  const mappings = await db.collection("speaker_mappings")
+    .find({ session_code: sessionCode, group_number: parseInt(groupNumber) })
+    .toArray();
+  const groupWide = {};
+  const byTranscript = new Map();
+  for (const m of mappings) {
+    if (!m.transcript_id) {
+      groupWide[m.speaker] = m.name;
+      continue;
+    }
+    if (!byTranscript.has(m.transcript_id)) byTranscript.set(m.transcript_id, {});
+    byTranscript.get(m.transcript_id)[m.speaker] = m.name;
+  }
+  return {
+    groupWide,
+    forTranscript: (transcriptId) => ({ ...groupWide, ...byTranscript.get(transcriptId) })
+  };
+}
+
+function speakerLabelText(label) {
+  return label.replace("speaker_", "Speaker ");
+}
+
+// Turns with the roster name of each speaker, when one is mapped
+function namedTurns(words, names = {}) {
+  return speakerTurns(words).map(turn => ({ ...turn, name: (turn.speaker && names[turn.speaker]) || null }));
+}
+
+// The group's conversation as analysis input, with "Speaker N:" lines for diarized transcripts,
+// so generated summaries can refer to speakers and have names substituted later
+function conversationText(transcripts) {
+  return transcripts.map(t => {
+    if (!t.speakers?.length) return t.text;
+    return speakerTurns(t.words)
+      .map(turn => turn.speaker ? `${speakerLabelText(turn.speaker)}: ${turn.text}` : turn.text)
+      .join("\n");
+  }).join("\n");
+}
+
+function applySpeakerNames(text, names) {
+  return text.replace(/\bSpeaker (\d+)\b/g, (label, n) => names[`speaker_${n}`] || label);
+}
+
+function normalizeSpoken(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, "").replace(/\s+/g, " ").trim();
+}
+
+// Who said a checklist quote: the speaker of its first word, where it first appears in the
+// group's word timings. Quotes the model paraphrased are not found and stay unattributed.
+function attributeQuote(quote, transcripts) {
+  const needle = normalizeSpoken(quote || "");
+  if (!needle) return null;
+  for (const t of transcripts) {
+    const tokens = (t.words || [])
+      .map(w => ({ speaker: w.speaker, text: normalizeSpoken(w.text) }))
+      .filter(w => w.text);
+    const at = tokens.map(w => w.text).join(" ").indexOf(needle);
+    if (at === -1) continue;
+    let position = 0;
+    for (const token of tokens) {
+      position += token.text.length + 1;
+      if (position > at) {
+        return token.speaker ? { transcriptId: t._id, speaker: token.speaker } : null;
+      }
+    }
+  }
+  return null;
+}
+
+function quoteSpeakerFields(quote, transcripts, names) {
+  const who = attributeQuote(quote, transcripts);
+  return {
+    quote_speaker: who?.speaker || null,
+    quote_speaker_name: (who && names.forTranscript(who.transcriptId)[who.speaker]) || null,
+    quote_transcript_id: who?.transcriptId || null
+  };
+}
+
+// Write the current mapping onto everything stored for a group: transcript speaker names,
+// the summary text and the speakers of checklist quotes
+async function applySpeakerMapping(session, groupNumber) {
+  const number = parseInt(groupNumber);
+  const group = await db.collection("groups").findOne({ session_id: session._id, number });
+  if (!group) return;
+  
+  const names = await speakerNameMap(session.code, number);
+  const transcripts = await db.collection("transcripts")
+    .find({ group_id: group._id }, { projection: { words: 1, speakers: 1 } })
+    .sort({ created_at: 1 })
+    .toArray();
+  const diarized = transcripts.filter(t => t.speakers?.length);
+  if (diarized.length > 0) {
+    await db.collection("transcripts").bulkWrite(diarized.map(t => ({
+      updateOne: { filter: { _id: t._id }, update: { $set: { speaker_names: names.forTranscript(t._id) } } }
+    })));
+  }
+  
+  const summary = await db.collection("summaries").findOne({ group_id: group._id });
+  if (summary?.labelled_text) {
+    await db.collection("summaries").updateOne(
+      { _id: summary._id },
+      { $set: { text: applySpeakerNames(summary.labelled_text, names.groupWide) } }
+    );
+  }
+  
+  // Live progress may have stored the group number as a string
+  const progress = await db.collection("checkbox_progress")
+    .find({ session_id: session._id, group_number: { $in: [number, String(number)] }, quote: { $ne: null } })
+    .toArray();
+  for (const p of progress) {
+    await db.collection("checkbox_progress").updateOne(
+      { _id: p._id },
+      { $set: quoteSpeakerFields(p.quote, diarized, names) }
+    );
+  }
+}
+
+// Mappings only exist once a session is saved with transcripts, so there may be nothing to apply yet
+async function reapplySpeakerMapping(sessionCode, groupNumber) {
+  const session = await db.collection("sessions").findOne({ code: sessionCode });
+  if (session) await applySpeakerMapping(session, groupNumber);
+}
+
+/* Roster, speaker mappings and the speaker labels seen so far, per group */
+app.get("/api/session/:code/roster", requireTeacher, requireSessionOwner, async (req, res) => {
+  try {
+    const { code } = req.params;
+    const roster = await db.collection("roster")
+      .find({ session_code: code })
+      .sort({ group_number: 1, created_at: 1 })
+      .toArray();
+    const mappings = await db.collection("speaker_mappings")
+      .find({ session_code: code })
+      .sort({ group_number: 1, speaker: 1 })
+      .toArray();
+    
+    const speakers = {};
+    const session = await db.collection("sessions").findOne({ code: code }, { projection: { _id: 1 } });
+    if (session) {
+      const groups = await db.collection("groups").find({ session_id: session._id }).sort({ number: 1 }).toArray();
+      for (const group of groups) {
+        const labels = await db.collection("transcripts").distinct("speakers", { group_id: group._id });
+        if (labels.length > 0) {
+          speakers[group.number] = labels.sort((a, b) => parseInt(a.split("_")[1]) - parseInt(b.split("_")[1]));
+        }
+      }
+    }
+    
+    res.json({
+      success: true,
+      roster: roster.map(publicRosterEntry),
+      mappings: mappings.map(m => ({
+        group: m.group_number,
+        speaker: m.speaker,
+        transcriptId: m.transcript_id,
+        studentId: m.student_id,
+        name: m.name
+      })),
+      speakers
+    });
+  } catch (err) {
+    console.error("❌ Failed to load roster:", err);
+    res.status(500).json({ error: "Failed to load roster" });
+  }
+});
+
+/* Add a student to a group's roster */
+app.post("/api/session/:code/roster", requireTeacher, requirePermission("session:run"), express.json(), requireSessionOwner, async (req, res) => {
+  try {
+    const { code } = req.params;
+    const group = parseInt(req.body.group);
+    const name = cleanStudentName(req.body.name);
+    
+    if (!Number.isInteger(group) || group < 1 || group > 99) {
+      return res.status(400).json({ error: "Group must be a number between 1 and 99" });
+    }
+    if (!name) {
+      return res.status(400).json({ error: "Student name is required" });
+    }
+    
+    const exists = activeSessions.has(code) || await db.collection("sessions").findOne({ code: code }, { projection: { _id: 1 } });
+    if (!exists) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    
+    const { entry, duplicate } = await addRosterEntry(code, group, name, "teacher");
+    console.log(`🧑‍🎓 Roster: ${name} ${duplicate ? "already in" : "added to"} session ${code}, group ${group}`);
+    res.json({ success: true, duplicate, student: publicRosterEntry(entry) });
+  } catch (err) {
+    console.error("❌ Failed to add roster entry:", err);
+    res.status(500).json({ error: "Failed to add student" });
+  }
+});
+
+/* Remove a student from the roster, along with any speakers mapped to them */
+app.delete("/api/session/:code/roster/:studentId", requireTeacher, requirePermission("session:run"), requireSessionOwner, async (req, res) => {
+  try {
+    const { code, studentId } = req.params;
+    const entry = await db.collection("roster").findOne({ _id: studentId, session_code: code });
+    if (!entry) {
+      return res.status(404).json({ error: "Student not found" });
+    }
+    
+    await db.collection("roster").deleteOne({ _id: studentId });
+    const { deletedCount } = await db.collection("speaker_mappings").deleteMany({ session_code: code, student_id: studentId });
+    if (deletedCount > 0) {
+      await reapplySpeakerMapping(code, entry.group_number);
+    }
+    
+    console.log(`🗑️ Roster: removed ${entry.name} from session ${code}, group ${entry.group_number}`);
+    res.json({ success: true, unmapped: deletedCount });
+  } catch (err) {
+    console.error("❌ Failed to remove roster entry:", err);
+    res.status(500).json({ error: "Failed to remove student" });
+  }
+});
+
+/* Map a speaker label to a roster student (studentId null clears it), group-wide or for one transcript */
+app.put("/api/session/:code/groups/:number/speakers", requireTeacher, requirePermission("session:run"), express.json(), requireSessionOwner, async (req, res) => {
+  try {
+    const { code } = req.params;
+    const number = parseInt(req.params.number);
+    const { speaker, studentId = null, transcriptId = null } = req.body;
+    
+    if (!Number.isInteger(number)) {
+      return res.status(400).json({ error: "Invalid group number" });
+    }
+    if (typeof speaker !== "string" || !SPEAKER_LABEL.test(speaker)) {
+      return res.status(400).json({ error: "Speaker must be a label like speaker_1" });
+    }
+    
+    const filter = { session_code: code, group_number: number, speaker, transcript_id: transcriptId || null };
+    if (studentId) {
+      const student = await db.collection("roster").findOne({ _id: studentId, session_code: code, group_number: number });
+      if (!student) {
+        return res.status(404).json({ error: "Student is not on this group's roster" });
+      }
+      await db.collection("speaker_mappings").updateOne(
+        filter,
+        {
+          $set: { student_id: student._id, name: student.name, updated_at: Date.now() },
+          $setOnInsert: { _id: uuid() }
+        },
+        { upsert: true }
+      );
+    } else {
+      await db.collection("speaker_mappings").deleteOne(filter);
+    }
+    
+    await reapplySpeakerMapping(code, number);
+    
+    console.log(`🏷️ Session ${code}, group ${number}: ${speaker}${transcriptId ? ` (transcript ${transcriptId})` : ""} ${studentId ? "mapped" : "unmapped"}`);
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Failed to map speaker:", err);
+    res.status(500).json({ error: "Failed to map speaker" });
+  }
+});
+
+/* ---------- Session languages ---------- */
+// A session lists the languages its groups speak, and a group can override that list
+// (sessions.languages, sessions.group_languages). One language is passed to speech-to-text;
+// none (auto-detect) or several (bilingual groups) leave detection to the provider.
+// A group can also have a translation target (sessions.translation_languages) for its students.
+// Before recording starts the settings only live in memory and are saved with the session.
+
+const MAX_LANGUAGES = 5;
+
+function groupLanguages(session, groupNumber) {
+  return session.group_languages?.[parseInt(groupNumber)] ?? session.languages ?? [];
+}
+
+function sttLanguage(session, groupNumber) {
+  const languages = groupLanguages(session, groupNumber);
+  return languages.length === 1 ? languages[0] : null;
+}
+
+function translationLanguage(session, groupNumber) {
+  return session.translation_languages?.[parseInt(groupNumber)] || null;
+}
+
+// Normalized, de-duplicated codes, or null when the input isn't a valid list
+function parseLanguageList(value) {
+  if (!Array.isArray(value) || value.length > MAX_LANGUAGES) return null;
+  const codes = value.map(normalizeLanguage);
+  if (codes.some(code => !code)) return null;
+  return [...new Set(codes)];
+}
+
+app.get("/api/session/:code/languages", requireTeacher, requireSessionOwner, async (req, res) => {
+  try {
+    const { code } = req.params;
+    const session = await db.collection("sessions").findOne({ code: code }) || activeSessions.get(code);
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    res.json({
+      success: true,
+      languages: session.languages || [],
+      groups: session.group_languages || {},
+      translations: session.translation_languages || {},
+      available: LANGUAGES.map(({ code, name }) => ({ code, name }))
+    });
+  } catch (err) {
+    console.error("❌ Failed to load session languages:", err);
+    res.status(500).json({ error: "Failed to load session languages" });
+  }
+});
+
+/* Set the session's languages ([] = auto-detect), per-group overrides ({ "2": ["de", "en"] }) and,
+   when given, per-group translation targets ({ "2": "en" }) */
+app.put("/api/session/:code/languages", requireTeacher, requirePermission("session:run"), express.json(), requireSessionOwner, async (req, res) => {
+  try {
+    const { code } = req.params;
+    const languages = parseLanguageList(req.body.languages ?? []);
+    if (!languages) {
+      return res.status(400).json({ error: `languages must be a list of up to ${MAX_LANGUAGES} language codes` });
+    }
+    
+    const groups = {};
+    for (const [group, list] of Object.entries(req.body.groups || {})) {
+      const number = parseInt(group);
+      const groupList = parseLanguageList(list);
+      if (!Number.isInteger(number) || number < 1 || number > 99 || !groupList) {
+        return res.status(400).json({ error: `Invalid languages for group ${group}` });
+      }
+      groups[number] = groupList;
+    }
+    
+    const update = { languages, group_languages: groups };
+    if (req.body.translations !== undefined) {
+      update.translation_languages = {};
+      for (const [group, language] of Object.entries(req.body.translations || {})) {
+        const number = parseInt(group);
+        const target = normalizeLanguage(language);
+        if (!Number.isInteger(number) || number < 1 || number > 99 || (language && !target)) {
+          return res.status(400).json({ error: `Invalid translation language for group ${group}` });
+        }
+        if (target) update.translation_languages[number] = target;
+      }
+    }
+    
+    const mem = activeSessions.get(code);
+    const { matchedCount } = await db.collection("sessions").updateOne({ code: code }, { $set: update });
+    if (!mem && matchedCount === 0) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    if (mem) {
+      Object.assign(mem, update);
+      activeSessions.set(code, mem);
+    }
+    
+    console.log(`🌍 Session ${code} languages: ${languages.join(", ") || "auto-detect"}${Object.keys(groups).length ? ` (${Object.keys(groups).length} group override(s))` : ""}`);
+    res.json({ success: true, languages, groups, ...(update.translation_languages && { translations: update.translation_languages }) });
+  } catch (err) {
+    console.error("❌ Failed to set session languages:", err);
+    res.status(500).json({ error: "Failed to set session languages" });
+  }
+});
+
+/* ---------- Transcript filters ---------- */
+// Each transcript runs through the filter pipeline in lib/filters.js before any analysis. The
+// school's settings (school_settings, _id "filters") override the built-in defaults and a session's
+// own (sessions.filters) override those. Every run is logged to session_logs as "transcript_filter"
+// with each filter's decision, so teachers can see why a transcript was skipped.
+
+const FILTER_SETTINGS_ID = "filters";
+
+async function schoolFilters() {
+  const doc = await db.collection("school_settings").findOne({ _id: FILTER_SETTINGS_ID });
+  return doc?.filters || {};
+}
+
+async function filterConfigFor(session) {
+  return mergeFilterConfig(DEFAULT_FILTERS, await schoolFilters(), session.filters);
+}
+
+async function filterTranscript(session, groupNumber, transcriptId, text, language, config = null) {
+  config = config || await filterConfigFor(session);
+  const result = await runFilters(text, {
+    language,
+    expectedLanguages: groupLanguages(session, groupNumber),
+    config,
+    topic: session.main_topic || null,
+    classifyOffTopic
+  });
+
+  await db.collection("session_logs").insertOne({
+    _id: uuid(),
+    session_id: session._id,
+    type: "transcript_filter",
+    group_number: parseInt(groupNumber),
+    transcript_id: transcriptId,
+    content: text,
+    skipped: result.noise,
+    filter: result.filter,
+    reason: result.reason,
+    decisions: result.decisions,
+    created_at: Date.now()
+  });
+  return result;
+}
+
+function sendFilterConfigError(res, err) {
+  if (err instanceof FilterConfigError) {
+    res.status(400).json({ error: err.message });
+    return true;
+  }
+  return false;
+}
+
+app.get("/api/settings/filters", requireTeacher, async (req, res) => {
+  try {
+    const school = await schoolFilters();
+    res.json({
+      success: true,
+      defaults: DEFAULT_FILTERS,
+      school,
+      effective: mergeFilterConfig(DEFAULT_FILTERS, school)
+    });
+  } catch (err) {
+    console.error("❌ Failed to load filter settings:", err);
+    res.status(500).json({ error: "Failed to load filter settings" });
+  }
+});
+
+/* Replace the school's filter settings, e.g. { filters: { profanity: { enabled: true, words: [...] } } } */
+app.put("/api/settings/filters", requireTeacher, requirePermission("settings:manage"), express.json(), async (req, res) => {
+  try {
+    const filters = validateFilterConfig(req.body.filters);
+    await db.collection("school_settings").updateOne(
+      { _id: FILTER_SETTINGS_ID },
+      { $set: { filters, updated_at: Date.now(), updated_by: req.teacher.id } },
+      { upsert: true }
+    );
+    console.log(`🧹 School filter settings updated by ${req.teacher.email}`);
+    res.json({ success: true, school: filters, effective: mergeFilterConfig(DEFAULT_FILTERS, filters) });
+  } catch (err) {
+    if (sendFilterConfigError(res, err)) return;
+    console.error("❌ Failed to save filter settings:", err);
+    res.status(500).json({ error: "Failed to save filter settings" });
+  }
+});
+
+app.get("/api/session/:code/filters", requireTeacher, requireSessionOwner, async (req, res) => {
+  try {
+    const { code } = req.params;
+    const session = await db.collection("sessions").findOne({ code: code }) || activeSessions.get(code);
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    const school = mergeFilterConfig(DEFAULT_FILTERS, await schoolFilters());
+    res.json({
+      success: true,
+      school,
+      session: session.filters || {},
+      effective: mergeFilterConfig(school, session.filters)
+    });
+  } catch (err) {
+    console.error("❌ Failed to load session filters:", err);
+    res.status(500).json({ error: "Failed to load session filters" });
+  }
+});
+
+/* Replace the session's overrides ({} = use the school settings). Applies to chunks transcribed from now on. */
+app.put("/api/session/:code/filters", requireTeacher, requirePermission("session:run"), express.json(), requireSessionOwner, async (req, res) => {
+  try {
+    const { code } = req.params;
+    const filters = validateFilterConfig(req.body.filters ?? {});
+
+    const mem = activeSessions.get(code);
+    const { matchedCount } = await db.collection("sessions").updateOne({ code: code }, { $set: { filters } });
+    if (!mem && matchedCount === 0) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    if (mem) {
+      mem.filters = filters;
+      activeSessions.set(code, mem);
+    }
+
+    console.log(`🧹 Session ${code} filters: ${Object.keys(filters).join(", ") || "school settings"}`);
+    res.json({ success: true, session: filters, effective: mergeFilterConfig(DEFAULT_FILTERS, await schoolFilters(), filters) });
+  } catch (err) {
+    if (sendFilterConfigError(res, err)) return;
+    console.error("❌ Failed to set session filters:", err);
+    res.status(500).json({ error: "Failed to set session filters" });
+  }
+});
+
+/* Filter decisions for the session's transcripts, newest first (?skipped=true for skipped ones only) */
+app.get("/api/session/:code/filters/log", requireTeacher, requireSessionOwner, async (req, res) => {
+  try {
+    const session = await db.collection("sessions").findOne({ code: req.params.code });
+    if (!session) {
+      return res.json({ success: true, entries: [] });
+    }
+    const query = { session_id: session._id, type: "transcript_filter" };
+    if (req.query.skipped === "true") query.skipped = true;
+    if (req.query.group) query.group_number = parseInt(req.query.group);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const entries = await db.collection("session_logs")
+      .find(query)
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .toArray();
+    res.json({
+      success: true,
+      entries: entries.map(e => ({
+        id: e._id,
+        group: e.group_number,
+        transcriptId: e.transcript_id,
+        text: e.content,
+        skipped: e.skipped,
+        filter: e.filter,
+        reason: e.reason,
+        decisions: e.decisions,
+        createdAt: e.created_at
+      }))
+    });
+  } catch (err) {
+    console.error("❌ Failed to load filter log:", err);
+    res.status(500).json({ error: "Failed to load filter log" });
+  }
+});
+
+/* ---------- PII redaction ---------- */
+// Transcripts pass through lib/redaction.js between speech-to-text and storage, so everything
+// stored, shown or sent to the LLM carries placeholders ("[PHONE_1]") instead of personal data.
+// A session numbers its own placeholders (pii_mappings: one per distinct value, the original
+// encrypted) and can change the defaults (sessions.redaction; PII_REDACTION, on, and
+// PII_REDACT_NAMES, off). Names come from the session roster. Only pii:reveal reads originals back.
+
+const REDACTION_DEFAULTS = {
+  enabled: process.env.PII_REDACTION !== "false",
+  names: process.env.PII_REDACT_NAMES === "true"
+};
+
+function redactionSettings(session) {
+  return { ...REDACTION_DEFAULTS, ...(session?.redaction || {}) };
+}
+
+async function rosterNamesForRedaction(sessionCode) {
+  const roster = await db.collection("roster").find({ session_code: sessionCode }, { projection: { name: 1 } }).toArray();
+  const names = new Set();
+  for (const { name } of roster) {
+    names.add(name);
+    // Classmates mostly use first names
+    const first = name.split(" ")[0];
+    if (first.length >= 3) names.add(first);
+  }
+  return [...names];
+}
+
+async function piiPlaceholder(session, sessionCode, match) {
+  const valueHash = hashValue(match.type, match.value);
+  const existing = await db.collection("pii_mappings").findOne({ session_code: sessionCode, value_hash: valueHash });
+  if (existing) return existing.placeholder;
+
+  const counter = await db.collection("pii_counters").findOneAndUpdate(
+    { _id: `${sessionCode}:${match.type}` },
+    { $inc: { count: 1 } },
+    { upsert: true, returnDocument: "after" }
+  );
+  try {
+    await db.collection("pii_mappings").updateOne(
+      { session_code: sessionCode, value_hash: valueHash },
+      {
+        $setOnInsert: {
+          _id: uuid(),
+          session_id: session._id,
+          type: match.type,
+          placeholder: `[${match.type.toUpperCase()}_${counter.count}]`,
+          value: encryptValue(match.value),
+          created_at: Date.now()
+        }
+      },
+      { upsert: true }
+    );
+  } catch (err) {
+    // Two chunks raced on the same new value; the first one's placeholder stands
+    if (err.code !== 11000) throw err;
+  }
+  const stored = await db.collection("pii_mappings").findOne({ session_code: sessionCode, value_hash: valueHash });
+  return stored.placeholder;
+}
+
+// { text, words } with personal data replaced, or unchanged when the session doesn't redact
+async function redactTranscript(session, sessionCode, text, words = []) {
+  const settings = redactionSettings(session);
+  if (!settings.enabled || !text) return { text, words };
+
+  const names = settings.names ? await rosterNamesForRedaction(sessionCode) : [];
+  const matches = findPii(text, { names });
+  if (matches.length === 0) return { text, words };
+
+  const placeholders = new Map();
+  for (const match of matches) {
+    const valueHash = hashValue(match.type, match.value);
+    if (!placeholders.has(valueHash)) {
+      placeholders.set(valueHash, await piiPlaceholder(session, sessionCode, match));
+    }
+  }
+  const placeholderOf = match => placeholders.get(hashValue(match.type, match.value));
+  console.log(`🕶️ Redacted ${matches.length} item(s) of personal data in session ${sessionCode}`);
+  return {
+    text: redactText(text, matches, placeholderOf),
+    words: redactWords(words, matches, placeholderOf)
+  };
+}
+
+app.get("/api/session/:code/redaction", requireTeacher, requireSessionOwner, async (req, res) => {
+  try {
+    const { code } = req.params;
+    const session = await db.collection("sessions").findOne({ code: code }) || activeSessions.get(code);
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    res.json({
+      success: true,
+      ...redactionSettings(session),
+      defaults: REDACTION_DEFAULTS,
+      redactedValues: await db.collection("pii_mappings").countDocuments({ session_code: code })
+    });
+  } catch (err) {
+    console.error("❌ Failed to load redaction settings:", err);
+    res.status(500).json({ error: "Failed to load redaction settings" });
+  }
+});
+
+/* { enabled, names }; applies to chunks transcribed from now on */
+app.put("/api/session/:code/redaction", requireTeacher, requirePermission("session:run"), express.json(), requireSessionOwner, async (req, res) => {
+  try {
+    const { code } = req.params;
+    const redaction = {};
+    for (const field of ["enabled", "names"]) {
+      if (req.body[field] === undefined) continue;
+      if (typeof req.body[field] !== "boolean") {
+        return res.status(400).json({ error: `${field} must be true or false` });
+      }
+      redaction[field] = req.body[field];
+    }
+
+    const mem = activeSessions.get(code);
+    const { matchedCount } = await db.collection("sessions").updateOne({ code: code }, { $set: { redaction } });
+    if (!mem && matchedCount === 0) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    if (mem) {
+      mem.redaction = redaction;
+      activeSessions.set(code, mem);
+    }
+
+    const settings = redactionSettings({ redaction });
+    console.log(`🕶️ Session ${code} redaction ${settings.enabled ? "on" : "off"}${settings.enabled && settings.names ? " (with names)" : ""}`);
+    res.json({ success: true, ...settings });
+  } catch (err) {
+    console.error("❌ Failed to set redaction settings:", err);
+    res.status(500).json({ error: "Failed to set redaction settings" });
+  }
+});
+
+/* The originals behind a session's placeholders; every read is logged */
+app.get("/api/session/:code/pii", requireTeacher, requirePermission("pii:reveal"), requireSessionOwner, async (req, res) => {
+  try {
+    const { code } = req.params;
+    const mappings = await db.collection("pii_mappings")
+      .find({ session_code: code })
+      .sort({ type: 1, created_at: 1 })
+      .toArray();
+
+    const session = await db.collection("sessions").findOne({ code: code }, { projection: { _id: 1 } });
+    if (session) {
+      await db.collection("session_logs").insertOne({
+        _id: uuid(),
+        session_id: session._id,
+        type: "pii_reveal",
+        teacher_id: req.teacher.id,
+        teacher_email: req.teacher.email,
+        content: `${mappings.length} value(s) revealed`,
+        created_at: Date.now()
+      });
+    }
+    console.log(`🔓 ${req.teacher.email} revealed ${mappings.length} redacted value(s) in session ${code}`);
+
+    res.json({
+      success: true,
+      mappings: mappings.map(m => ({
+        placeholder: m.placeholder,
+        type: m.type,
+        value: decryptValue(m.value),
+        createdAt: m.created_at
+      }))
+    });
+  } catch (err) {
+    console.error("❌ Failed to reveal redacted values:", err);
+    res.status(500).json({ error: "Failed to reveal redacted values" });
+  }
+});
+
+/* ---------- Safeguarding alerts ---------- */
+// Every transcript, noise or not, is scanned (lib/safeguarding.js) as it arrives. Hits are stored in
+// safeguarding_alerts and sent as "safeguarding_alert" to the session's admin room only: students
+// share the session room, so quotes can't travel with admin_update. An alert goes from open to
+// acknowledged to resolved, and each step is appended to its audit trail. Alerts are the school's
+// safeguarding record, so they are kept when a session's history is deleted.
 
-/* Serve student and admin pages */
-app.get("/student", (req, res) => {
-  console.log("📚 Serving student page");
-  res.sendFile(path.join(__dirname, "public", "student.html"));
-});
-app.get("/admin", (req, res) => {
-  console.log("👨‍🏫 Serving admin page");
-  res.sendFile(path.join(__dirname, "public", "admin.html"));
-});
-app.get("/admin_static", (req, res) => {
-  console.log("👨‍🏫 Serving static admin page");
-  res.sendFile(path.join(__dirname, "public", "admin_static.html"));
-});
+const ALERT_STATUSES = ["open", "acknowledged", "resolved"];
 
-/* Serve test transcription page */
-app.get("/test-transcription", (req, res) => {
-  res.sendFile(path.join(__dirname, "public", "test-transcription.html"));
-});
+const ALERT_TRANSITIONS = {
+  acknowledge: { from: ["open"], to: "acknowledged" },
+  resolve: { from: ["open", "acknowledged"], to: "resolved" }
+};
 
-/* Serve test recording page */
-app.get("/test-recording", (req, res) => {
-  res.sendFile(path.join(__dirname, "public", "test-recording.html"));
-});
+function adminRoom(code) {
+  return `${code}-admin`;
+}
 
-/* Serve history page */
-app.get("/history", (req, res) => {
-  res.sendFile(path.join(__dirname, "public", "history.html"));
+function publicAlert(alert) {
+  return {
+    id: alert._id,
+    sessionCode: alert.session_code,
+    group: alert.group_number,
+    transcriptId: alert.transcript_id,
+    category: alert.category,
+    severity: alert.severity,
+    term: alert.term,
+    quote: alert.quote,
+    status: alert.status,
+    createdAt: alert.created_at,
+    audit: alert.audit
+  };
+}
+
+// Stores and announces new alerts; failures are logged rather than holding up the transcript
+async function raiseSafeguardingAlerts(session, sessionCode, groupNumber, transcriptId, hits, now = Date.now()) {
+  for (const hit of hits) {
+    try {
+      const alert = {
+        _id: uuid(),
+        session_id: session._id,
+        session_code: sessionCode,
+        teacher_id: session.teacher_id,
+        group_number: parseInt(groupNumber),
+        transcript_id: transcriptId,
+        ...hit,
+        status: "open",
+        created_at: now,
+        audit: [{ action: "raised", at: now }]
+      };
+      // A retried or reprocessed chunk is scanned again; one alert per transcript and category
+      const { upsertedCount } = await db.collection("safeguarding_alerts").updateOne(
+        { transcript_id: transcriptId, category: hit.category },
+        { $setOnInsert: alert },
+        { upsert: true }
+      );
+      if (!upsertedCount) continue;
+      console.log(`🚨 Safeguarding alert (${hit.category}, ${hit.severity}) in session ${sessionCode}, group ${groupNumber}`);
+      io.to(adminRoom(sessionCode)).emit("safeguarding_alert", publicAlert(alert));
+    } catch (err) {
+      console.error(`❌ Failed to raise ${hit.category} safeguarding alert for session ${sessionCode}:`, err);
+    }
+  }
+}
+
+// Alerts outlive a purged session, and its code can then be claimed again, so alert queries go by
+// the session id the code belongs to now rather than by the code. Null when there is no session.
+async function alertScope(code) {
+  const session = await db.collection("sessions").findOne({ code: code }, { projection: { _id: 1 } });
+  return session ? { session_id: session._id, session_code: code } : null;
+}
+
+app.get("/api/session/:code/alerts", requireTeacher, requireSessionOwner, async (req, res) => {
+  try {
+    const scope = await alertScope(req.params.code);
+    if (!scope) {
+      return res.json({ success: true, alerts: [] });
+    }
+    const query = { ...scope };
+    if (req.query.status) {
+      const statuses = String(req.query.status).split(",");
+      if (statuses.some(status => !ALERT_STATUSES.includes(status))) {
+        return res.status(400).json({ error: `status must be one of: ${ALERT_STATUSES.join(", ")}` });
+      }
+      query.status = { $in: statuses };
+    }
+    const alerts = await db.collection("safeguarding_alerts")
+      .find(query)
+      .sort({ created_at: -1 })
+      .toArray();
+    res.json({ success: true, alerts: alerts.map(publicAlert) });
+  } catch (err) {
+    console.error("❌ Failed to load safeguarding alerts:", err);
+    res.status(500).json({ error: "Failed to load safeguarding alerts" });
+  }
 });
 
-/* Health check endpoint for Render deployment */
-app.get("/health", (req, res) => {
-  res.status(200).json({
-    status: "healthy",
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    version: "2.0.0",
-    features: ["transcription", "checkbox-mode", "mindmap-mode", "summary-mode"],
-    environment: process.env.NODE_ENV || "development",
-    port: process.env.PORT || 10000
-  });
+/* Acknowledge or resolve an alert, with an optional { note } for the audit trail */
+app.post("/api/session/:code/alerts/:id/:action", requireTeacher, requirePermission("session:run"), express.json(), requireSessionOwner, async (req, res) => {
+  try {
+    const { code, id, action } = req.params;
+    const transition = ALERT_TRANSITIONS[action];
+    if (!transition) {
+      return res.status(404).json({ error: "Unknown alert action" });
+    }
+    const note = typeof req.body.note === "string" ? req.body.note.trim().slice(0, 1000) : "";
+    const now = Date.now();
+    const scope = await alertScope(code);
+    if (!scope) {
+      return res.status(404).json({ error: "Alert not found" });
+    }
+
+    const alert = await db.collection("safeguarding_alerts").findOneAndUpdate(
+      { _id: id, ...scope, status: { $in: transition.from } },
+      {
+        $set: { status: transition.to, [`${transition.to}_at`]: now, [`${transition.to}_by`]: req.teacher.id },
+        $push: { audit: { action: transition.to, at: now, teacher_id: req.teacher.id, teacher_email: req.teacher.email, ...(note && { note }) } }
+      },
+      { returnDocument: "after" }
+    );
+    if (!alert) {
+      const exists = await db.collection("safeguarding_alerts").findOne({ _id: id, ...scope }, { projection: { status: 1 } });
+      return exists
+        ? res.status(409).json({ error: `Alert is already ${exists.status}` })
+        : res.status(404).json({ error: "Alert not found" });
+    }
+
+    console.log(`🚨 Safeguarding alert ${id} in session ${code} ${transition.to} by ${req.teacher.email}`);
+    io.to(adminRoom(code)).emit("safeguarding_alert_updated", publicAlert(alert));
+    res.json({ success: true, alert: publicAlert(alert) });
+  } catch (err) {
+    console.error("❌ Failed to update safeguarding alert:", err);
+    res.status(500).json({ error: "Failed to update safeguarding alert" });
+  }
 });
 
 /* Test transcription API endpoint */
-app.post("/api/test-transcription", upload.single('audio'), async (req, res) => {
+app.post("/api/test-transcription", requireTeacher, requirePermission("session:run"), upload.single('audio'), async (req, res) => {
   try {
     console.log("🧪 Test transcription request received");
     
@@ -259,7 +1693,7 @@ app.post("/api/test-transcription", upload.single('audio'), async (req, res) =>
 });
 
 /* Test summary API endpoint */
-app.post("/api/test-summary", express.json(), async (req, res) => {
+app.post("/api/test-summary", requireTeacher, requirePermission("session:run"), express.json(), async (req, res) => {
   try {
     console.log("🧪 Test summary request received");
     
@@ -301,7 +1735,7 @@ app.post("/api/test-summary", express.json(), async (req, res) => {
 });
 
 /* Session prompt management endpoints */
-app.post("/api/session/:code/prompt", express.json(), async (req, res) => {
+app.post("/api/session/:code/prompt", requireTeacher, requirePermission("session:run"), express.json(), requireSessionOwner, async (req, res) => {
   try {
     const { code } = req.params;
     const { prompt } = req.body;
@@ -323,6 +1757,7 @@ app.post("/api/session/:code/prompt", express.json(), async (req, res) => {
       await db.collection("sessions").insertOne({
         _id: newId,
         code: code,
+        teacher_id: sessionOwnerId(req.teacher),
         interval_ms: mem.interval || 30000,
         created_at: mem.created_at || Date.now(),
         active: mem.active || false,
@@ -357,7 +1792,7 @@ app.post("/api/session/:code/prompt", express.json(), async (req, res) => {
   }
 });
 
-app.get("/api/session/:code/prompt", async (req, res) => {
+app.get("/api/session/:code/prompt", requireTeacher, requireSessionOwner, async (req, res) => {
   try {
     const { code } = req.params;
     
@@ -389,7 +1824,7 @@ app.get("/api/session/:code/prompt", async (req, res) => {
 });
 
 /* Prompt library management */
-app.get("/api/prompt-library", async (req, res) => {
+app.get("/api/prompt-library", requireTeacher, async (req, res) => {
   try {
     const prompts = await db
       .collection("prompt_library")
@@ -403,7 +1838,7 @@ app.get("/api/prompt-library", async (req, res) => {
   }
 });
 
-app.post("/api/prompt-library", express.json(), async (req, res) => {
+app.post("/api/prompt-library", requireTeacher, requirePermission("prompts:write"), express.json(), async (req, res) => {
   try {
     const { name, text } = req.body;
     if (!name || !text) {
@@ -419,7 +1854,7 @@ app.post("/api/prompt-library", express.json(), async (req, res) => {
   }
 });
 
-app.put("/api/prompt-library/:id", express.json(), async (req, res) => {
+app.put("/api/prompt-library/:id", requireTeacher, requirePermission("prompts:write"), express.json(), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, text } = req.body;
@@ -439,7 +1874,7 @@ app.put("/api/prompt-library/:id", express.json(), async (req, res) => {
   }
 });
 
-app.delete("/api/prompt-library/:id", async (req, res) => {
+app.delete("/api/prompt-library/:id", requireTeacher, requirePermission("prompts:delete"), async (req, res) => {
   try {
     const { id } = req.params;
     await db.collection("prompt_library").deleteOne({ _id: new ObjectId(id) });
@@ -451,14 +1886,25 @@ app.delete("/api/prompt-library/:id", async (req, res) => {
 });
 
 /* Admin API: create new session */
-app.get("/api/new-session", async (req, res) => {
+app.get("/api/new-session", requireTeacher, requirePermission("session:run"), async (req, res) => {
   try {
     const id = uuid();
-    const code = req.query.code || Math.floor(100000 + Math.random() * 900000).toString();
+    let code = req.query.code;
+    if (code) {
+      // Explicit codes (admin_static) must not take over another teacher's session
+      if (!(await canAccessSession(req.teacher, code))) {
+        return res.status(409).json({ error: "Session code already in use" });
+      }
+    } else {
+      // Random codes must not collide with any session that already exists
+      code = await unusedSessionCode();
+    }
     const interval = Number(req.query.interval) || 30000;
+    const fixture = hasFixture(req.query.fixture) ? req.query.fixture : DEFAULT_FIXTURE;
     
     // Clear any existing session with same code (unlikely but safe)
     activeSessions.delete(code);
+    resetMockSession(code);
     
     // Store session in memory only - no database persistence until recording starts
     activeSessions.set(code, {
@@ -468,11 +1914,13 @@ app.get("/api/new-session", async (req, res) => {
       interval,
       startTime: null,
       created_at: Date.now(),
-      persisted: false // Flag to track if saved to database
+      persisted: false, // Flag to track if saved to database
+      mockFixture: fixture,
+      teacherId: sessionOwnerId(req.teacher)
     });
     
     console.log(`🆕 New session created in memory: Code=${code}, Interval=${interval}ms (memory only)`);
-    res.json({ code, interval });
+    res.json({ code, interval, mockMode: isMockMode(), fixture: isMockMode() ? fixture : null });
   } catch (err) {
     console.error("❌ Failed to create session:", err);
     res.status(500).json({ error: "Failed to create session" });
@@ -480,7 +1928,7 @@ app.get("/api/new-session", async (req, res) => {
 });
 
 /* Get session status */
-app.get("/api/session/:code/status", async (req, res) => {
+app.get("/api/session/:code/status", requireTeacher, requireSessionOwner, async (req, res) => {
   try {
     const code = req.params.code;
     const sessionState = activeSessions.get(code);
@@ -497,8 +1945,40 @@ app.get("/api/session/:code/status", async (req, res) => {
   }
 });
 
+/* Mock mode: list fixtures and pick one per session */
+app.get("/api/mock/fixtures", requireTeacher, (req, res) => {
+  res.json({ mockMode: isMockMode(), defaultFixture: DEFAULT_FIXTURE, fixtures: listFixtures() });
+});
+
+app.post("/api/session/:code/mock-fixture", requireTeacher, requirePermission("session:run"), express.json(), requireSessionOwner, async (req, res) => {
+  try {
+    const { code } = req.params;
+    const { fixture } = req.body;
+    
+    if (!hasFixture(fixture)) {
+      return res.status(400).json({ error: "Unknown fixture", fixtures: listFixtures().map(f => f.name) });
+    }
+    
+    const mem = activeSessions.get(code);
+    if (!mem) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    
+    mem.mockFixture = fixture;
+    activeSessions.set(code, mem);
+    resetMockSession(code);
+    await db.collection("sessions").updateOne({ code: code }, { $set: { mock_fixture: fixture } });
+    
+    console.log(`🧪 Session ${code} now uses mock fixture "${fixture}"`);
+    res.json({ success: true, fixture });
+  } catch (err) {
+    console.error("❌ Failed to set mock fixture:", err);
+    res.status(500).json({ error: "Failed to set mock fixture" });
+  }
+});
+
 /* Admin API: start/stop session */
-app.post("/api/session/:code/start", express.json(), async (req, res) => {
+app.post("/api/session/:code/start", requireTeacher, requirePermission("session:run"), express.json(), requireSessionOwner, async (req, res) => {
   try {
     const { interval } = req.body;
     const code = req.params.code;
@@ -539,8 +2019,14 @@ app.post("/api/session/:code/start", express.json(), async (req, res) => {
         await db.collection("sessions").insertOne({
           _id: dbSessionId,
           code: code,
+          teacher_id: sessionState.teacherId || sessionOwnerId(req.teacher),
           interval_ms: interval || 30000,
           created_at: sessionState.created_at,
+          languages: sessionState.languages || [],
+          group_languages: sessionState.group_languages || {},
+          translation_languages: sessionState.translation_languages || {},
+          filters: sessionState.filters || {},
+          ...(sessionState.redaction && { redaction: sessionState.redaction }),
           active: true,
           start_time: startTime,
           end_time: null,
@@ -572,6 +2058,9 @@ app.post("/api/session/:code/start", express.json(), async (req, res) => {
     sessionState.interval = interval || 30000;
     sessionState.startTime = startTime;
 
+    // Replay mock transcripts from the start of the fixture script
+    resetMockSession(code);
+
     // Notify all clients to reset their local state before recording starts
     io.to(code).emit("session_reset");
 
@@ -597,7 +2086,8 @@ app.post("/api/session/:code/start", express.json(), async (req, res) => {
             if (state?.joined && !state?.recording) pending.push(grp);
           });
           if (pending.length === 0 || Date.now() > current.startRetryUntil) {
-            clearInterval(current.startRetryInterval);
+            // `current` may be a copy replicated from another instance, so clear our own timer
+            clearInterval(mem.startRetryInterval);
             current.startRetryInterval = null;
             activeSessions.set(code, current);
             if (pending.length === 0) {
@@ -624,7 +2114,7 @@ app.post("/api/session/:code/start", express.json(), async (req, res) => {
   }
 });
 
-app.post("/api/session/:code/stop", async (req, res) => {
+app.post("/api/session/:code/stop", requireTeacher, requirePermission("session:run"), requireSessionOwner, async (req, res) => {
   try {
     const code = req.params.code;
     const endTime = Date.now();
@@ -662,6 +2152,7 @@ app.post("/api/session/:code/stop", async (req, res) => {
       clearInterval(sessionState.startRetryInterval);
       sessionState.startRetryInterval = null;
     }
+    activeSessions.set(code, sessionState);
     
     io.to(code).emit("stop_recording");
     
@@ -673,10 +2164,65 @@ app.post("/api/session/:code/stop", async (req, res) => {
   }
 });
 
-/* Admin API: get transcripts for a specific group */
-app.get("/api/transcripts/:code/:number", async (req, res) => {
+/* ---------- Caption export ---------- */
+// ?format=vtt|srt|txt on the transcript routes downloads captions instead of JSON, timed from the
+// session start so they line up with a camera recording started alongside it. Skipped noise is
+// left out.
+
+async function groupCaptions(session, group, format) {
+  const transcripts = await db.collection("transcripts")
+    .find({ group_id: group._id, is_noise: { $ne: true } })
+    .sort({ created_at: 1 })
+    .toArray();
+  const startTime = session.start_time || transcripts[0]?.created_at || session.created_at;
+  return renderCaptions(captionCues(transcripts, startTime), format, { title: `Session ${session.code}, group ${group.number}` });
+}
+
+function sendDownload(res, body, contentType, filename) {
+  res.set({ "Content-Type": contentType, "Content-Disposition": `attachment; filename="${filename}"` });
+  res.send(body);
+}
+
+/* Admin API: every group's captions in one zip - ?format=vtt|srt|txt, or all three by default */
+app.get("/api/transcripts/:code", requireTeacher, requireSessionOwner, async (req, res) => {
+  try {
+    const { code } = req.params;
+    const format = req.query.format || "all";
+    if (format !== "all" && !CAPTION_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of: all, ${Object.keys(CAPTION_FORMATS).join(", ")}` });
+    }
+    
+    const session = await db.collection("sessions").findOne({ code: code });
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    
+    const groups = await db.collection("groups").find({ session_id: session._id }).sort({ number: 1 }).toArray();
+    const formats = format === "all" ? Object.keys(CAPTION_FORMATS) : [format];
+    const zip = new JSZip();
+    for (const group of groups) {
+      for (const f of formats) {
+        zip.file(`group-${group.number}.${CAPTION_FORMATS[f].extension}`, await groupCaptions(session, group, f));
+      }
+    }
+    
+    const archive = await zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+    console.log(`🗜️ Exported ${format} transcripts for ${groups.length} group(s) of session ${code}`);
+    sendDownload(res, archive, "application/zip", `session-${code}-transcripts.zip`);
+  } catch (err) {
+    console.error("❌ Failed to export transcripts:", err);
+    res.status(500).json({ error: "Failed to export transcripts" });
+  }
+});
+
+/* Admin API: get transcripts for a specific group (or its captions with ?format=vtt|srt|txt) */
+app.get("/api/transcripts/:code/:number", requireTeacher, requireSessionOwner, async (req, res) => {
   try {
     const { code, number } = req.params;
+    const { format } = req.query;
+    if (format && !CAPTION_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(CAPTION_FORMATS).join(", ")}` });
+    }
     console.log(`📝 Fetching transcripts for session ${code}, group ${number}`);
     
     // Get session and group IDs
@@ -690,6 +2236,15 @@ app.get("/api/transcripts/:code/:number", async (req, res) => {
       return res.status(404).json({ error: "Group not found" });
     }
     
+    if (format) {
+      return sendDownload(
+        res,
+        await groupCaptions(session, group, format),
+        CAPTION_FORMATS[format].contentType,
+        `session-${code}-group-${group.number}.${CAPTION_FORMATS[format].extension}`
+      );
+    }
+    
     // Get all transcripts for this group (no limit for full "Show All")
     const transcripts = await db.collection("transcripts").find({ group_id: group._id }).sort({ created_at: -1 }).toArray();
     
@@ -711,10 +2266,11 @@ app.get("/api/transcripts/:code/:number", async (req, res) => {
     ]).toArray();
     
     res.json({
-      transcripts: await Promise.all(transcripts.map(async t => ({
+      transcripts: transcripts.map(t => ({
         ...t,
-        created_at: new Date(t.created_at).toISOString()
-      }))),
+        created_at: new Date(t.created_at).toISOString(),
+        turns: namedTurns(t.words, t.speaker_names)
+      })),
       summary: summary || { text: "No summary available", updated_at: null },
       stats: stats[0] || {
         totalSegments: 0,
@@ -731,7 +2287,7 @@ app.get("/api/transcripts/:code/:number", async (req, res) => {
 });
 
 /* Admin API: get historical data */
-app.get("/api/history", async (req, res) => {
+app.get("/api/history", requireTeacher, async (req, res) => {
   try {
     const { 
       sessionCode, 
@@ -764,7 +2320,7 @@ app.get("/api/history", async (req, res) => {
     }
     
     // Get sessions with basic info
-    const sessions = await db.collection("sessions").find({}).sort({ created_at: -1 }).skip(parseInt(offset)).limit(parseInt(limit)).toArray();
+    const sessions = await db.collection("sessions").find({ ...ownerFilter(req), deleted_at: null }).sort({ created_at: -1 }).skip(parseInt(offset)).limit(parseInt(limit)).toArray();
     
     const result = {
       sessions: await Promise.all(sessions.map(async s => {
@@ -853,8 +2409,158 @@ app.get("/api/history", async (req, res) => {
   }
 });
 
+/* Analytics API: talk-time share, turns, longest silence and equity index per group */
+app.get("/api/analytics/session/:code/participation", requireTeacher, requireSessionOwner, async (req, res) => {
+  try {
+    const { code } = req.params;
+    const session = await db.collection("sessions").findOne({ code: code });
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    
+    const groups = await db.collection("groups").find({ session_id: session._id }).sort({ number: 1 }).toArray();
+    const report = [];
+    for (const group of groups) {
+      const transcripts = await db.collection("transcripts")
+        .find({ group_id: group._id, is_noise: { $ne: true } }, { projection: { created_at: 1, recorded_at: 1, words: 1 } })
+        .sort({ created_at: 1 })
+        .toArray();
+      // Labels are numbered per chunk, so each transcript's own mapping says which student is which
+      const names = await speakerNameMap(code, group.number);
+      const participation = groupParticipation(transcripts.map(t => ({ ...t, speaker_names: names.forTranscript(t._id) })));
+      report.push({ number: group.number, segments: transcripts.length, ...participation });
+    }
+    
+    res.json({
+      sessionCode: code,
+      mode: session.mode,
+      equityIndex: sessionEquityIndex(report),
+      groups: report
+    });
+  } catch (err) {
+    console.error("❌ Failed to build participation report:", err);
+    res.status(500).json({ error: "Failed to build participation report" });
+  }
+});
+
 /* Admin API: get specific session details */
-app.get("/api/history/session/:code", async (req, res) => {
+/* ---------- Session reports ---------- */
+// The class report export: session details, the mindmap, checklist outcomes with their quotes and
+// each group's summary and full transcript (skipped noise left out), rendered by lib/report.js.
+// Times are shown in the teacher's time zone (?tz=), as the server usually runs in UTC.
+
+const MODE_NAMES = { summary: "Summary", checkbox: "Checklist", mindmap: "Mindmap" };
+
+function reportTimeZone(value) {
+  try {
+    return new Intl.DateTimeFormat("en-GB", { timeZone: value || "UTC" }).resolvedOptions().timeZone;
+  } catch {
+    return "UTC";
+  }
+}
+
+async function buildSessionReport(session, timeZone) {
+  const dateTime = ms => new Date(ms).toLocaleString("en-GB", { timeZone, dateStyle: "medium", timeStyle: "short" });
+  const time = ms => new Date(ms).toLocaleTimeString("en-GB", { timeZone });
+  
+  const teacher = session.teacher_id
+    ? await db.collection("teachers").findOne({ _id: session.teacher_id }, { projection: { name: 1, email: 1 } })
+    : null;
+  const groups = await db.collection("groups").find({ session_id: session._id }).sort({ number: 1 }).toArray();
+  
+  const details = [
+    ["Session", session.code],
+    ["Date", dateTime(session.start_time || session.created_at)],
+    ["Mode", MODE_NAMES[session.mode] || "Summary"],
+    ["Duration", session.end_time && session.start_time ? formatDuration(session.end_time - session.start_time) : "In progress"],
+    ["Groups", groups.length],
+    ["Languages", session.languages?.length ? session.languages.map(code => LANGUAGES.find(l => l.code === code)?.name || code).join(", ") : "Auto-detect"]
+  ];
+  if (teacher) details.splice(1, 0, ["Teacher", teacher.name || teacher.email]);
+  if (session.main_topic) details.push(["Topic", session.main_topic]);
+  
+  const reportGroups = [];
+  for (const group of groups) {
+    const transcripts = await db.collection("transcripts").find({ group_id: group._id }).sort({ created_at: 1 }).toArray();
+    const summary = await db.collection("summaries").findOne({ group_id: group._id });
+    const names = await speakerNameMap(session.code, group.number);
+    const spoken = transcripts.filter(t => !t.is_noise);
+    reportGroups.push({
+      number: group.number,
+      summary: summary?.text || null,
+      skipped: transcripts.length - spoken.length,
+      transcripts: spoken.map(t => ({
+        time: time(t.created_at),
+        lines: t.speakers?.length
+          ? namedTurns(t.words, names.forTranscript(t._id)).map(turn => ({
+              speaker: turn.name || (turn.speaker ? speakerLabelText(turn.speaker) : null),
+              text: turn.text
+            }))
+          : [{ speaker: null, text: t.text }]
+      }))
+    });
+  }
+  
+  let checklist = null;
+  if (session.mode === "checkbox") {
+    const checkboxSession = await db.collection("checkbox_sessions").findOne({ session_id: session._id });
+    const criteria = await db.collection("checkbox_criteria")
+      .find({ session_id: session._id })
+      .sort({ order_index: 1, created_at: 1 })
+      .toArray();
+    const progress = (await db.collection("checkbox_progress").find({ session_id: session._id }).toArray())
+      .map(p => ({ ...p, quote_speaker_name: p.quote_speaker_name || (p.quote_speaker ? speakerLabelText(p.quote_speaker) : null) }));
+    checklist = checklistSection(checkboxSession?.scenario, criteria, progress, groups.map(g => g.number));
+  }
+  
+  let mindmap = null;
+  if (session.mode === "mindmap") {
+    // The saved archive is the teacher's final version; the live one may still be mid-edit
+    const mindmapArchive = await db.collection("mindmap_archives").findOne({ session_id: session._id }, { sort: { saved_at: -1 } });
+    const mindmapSession = await db.collection("mindmap_sessions").findOne({ session_id: session._id });
+    mindmap = mindmapArchive?.mindmap_data || mindmapSession?.current_mindmap || null;
+  }
+  
+  return {
+    title: `Class report: session ${session.code}`,
+    details,
+    mindmap,
+    checklist,
+    groups: reportGroups,
+    generatedAt: dateTime(Date.now())
+  };
+}
+
+/* Download a session report: ?format=pdf|docx|md (default pdf), optional ?tz=Europe/London */
+app.get("/api/history/session/:code/report", requireTeacher, requireSessionOwner, async (req, res) => {
+  try {
+    const { code } = req.params;
+    const format = req.query.format || "pdf";
+    if (!REPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(REPORT_FORMATS).join(", ")}` });
+    }
+    
+    const session = await db.collection("sessions").findOne({ code: code });
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    
+    const report = await buildSessionReport(session, reportTimeZone(req.query.tz));
+    const file = await renderReport(report, format);
+    console.log(`📄 ${format.toUpperCase()} report for session ${code} generated for ${req.teacher.email}`);
+    
+    res.set({
+      "Content-Type": REPORT_FORMATS[format].contentType,
+      "Content-Disposition": `attachment; filename="session-${code}-report.${REPORT_FORMATS[format].extension}"`
+    });
+    res.send(file);
+  } catch (err) {
+    console.error("❌ Failed to generate session report:", err);
+    res.status(500).json({ error: "Failed to generate session report" });
+  }
+});
+
+app.get("/api/history/session/:code", requireTeacher, requireSessionOwner, async (req, res) => {
   try {
     const { code } = req.params;
     console.log(`📋 Fetching detailed data for session: ${code}`);
@@ -887,12 +2593,14 @@ app.get("/api/history/session/:code", async (req, res) => {
       
       const groupData = {
         number: group.number,
-        transcripts: await Promise.all(transcripts.map(async t => ({
+        transcripts: transcripts.map(t => ({
           ...t,
-          created_at: new Date(t.created_at).toISOString()
-        }))),
+          created_at: new Date(t.created_at).toISOString(),
+          turns: namedTurns(t.words, t.speaker_names)
+        })),
         summary: summary ? {
           text: summary.text,
+          translations: summary.translations || {},
           updated_at: new Date(summary.updated_at).toISOString()
         } : null,
         stats: {
@@ -907,77 +2615,325 @@ app.get("/api/history/session/:code", async (req, res) => {
       result.groups.push(groupData);
     }
     
-    res.json(result);
+    res.json(result);
+    
+  } catch (err) {
+    console.error("❌ Failed to fetch session details:", err);
+    res.status(500).json({ error: "Failed to fetch session details" });
+  }
+});
+
+/* Admin API: delete multiple sessions */
+/* ---------- Session bundles ---------- */
+// Backup and migration: a session and everything stored against it as one versioned JSON file
+// (see lib/bundle.js). Imports get fresh ids throughout, so a bundle can be restored next to
+// the session it came from; a session code already in use is either refused or swapped for a
+// new one (?onConflict=rename).
+
+const BUNDLE_MAX_SIZE = process.env.BUNDLE_MAX_SIZE || "50mb";
+
+async function exportSessionBundle(session) {
+  const groupIds = (await db.collection("groups").find({ session_id: session._id }, { projection: { _id: 1 } }).toArray()).map(g => g._id);
+  const filters = {
+    session_id: { session_id: session._id },
+    group_id: { group_id: { $in: groupIds } },
+    session_code: { session_code: session.code }
+  };
+  
+  const collections = {};
+  for (const [name, { by }] of Object.entries(BUNDLE_COLLECTIONS)) {
+    collections[name] = await db.collection(name).find(filters[by]).toArray();
+  }
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exported_at: Date.now(),
+    session,
+    collections
+  };
+}
+
+async function unusedSessionCode() {
+  let code;
+  do {
+    code = Math.floor(100000 + Math.random() * 900000).toString();
+  } while (activeSessions.has(code) || await db.collection("sessions").findOne({ code: code }, { projection: { _id: 1 } }));
+  return code;
+}
+
+/* Download a session bundle */
+app.get("/api/history/session/:code/export", requireTeacher, requireSessionOwner, async (req, res) => {
+  try {
+    const { code } = req.params;
+    const session = await db.collection("sessions").findOne({ code: code });
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    
+    const bundle = await exportSessionBundle(session);
+    const count = Object.values(bundle.collections).reduce((sum, docs) => sum + docs.length, 0);
+    console.log(`📦 Exported session ${code} as a bundle (${count} documents) for ${req.teacher.email}`);
+    
+    res.set({
+      "Content-Type": "application/json; charset=utf-8",
+      "Content-Disposition": `attachment; filename="session-${code}.json"`
+    });
+    res.send(BSON.EJSON.stringify(bundle, { relaxed: true }));
+  } catch (err) {
+    console.error("❌ Failed to export session bundle:", err);
+    res.status(500).json({ error: "Failed to export session" });
+  }
+});
+
+/* Import a session bundle as a new session owned by this teacher - ?onConflict=fail|rename */
+app.post("/api/history/import", requireTeacher, requirePermission("session:run"), express.text({ type: "*/*", limit: BUNDLE_MAX_SIZE }), async (req, res) => {
+  const inserted = [];
+  try {
+    const onConflict = req.query.onConflict || "fail";
+    if (!["fail", "rename"].includes(onConflict)) {
+      return res.status(400).json({ error: "onConflict must be fail or rename" });
+    }
+    
+    let bundle;
+    try {
+      bundle = BSON.EJSON.parse(req.body);
+    } catch {
+      return res.status(400).json({ error: "Bundle is not valid JSON" });
+    }
+    const warnings = validateBundle(bundle);
+    
+    let code = bundle.session.code;
+    const taken = activeSessions.has(code) || await db.collection("sessions").findOne({ code: code }, { projection: { _id: 1 } });
+    if (taken) {
+      if (onConflict === "fail") {
+        return res.status(409).json({ error: `Session code ${code} is already in use`, code });
+      }
+      code = await unusedSessionCode();
+    }
+    
+    const { session, collections } = remapBundle(bundle, { code });
+    
+    // The session goes in last, so a half-finished import never shows up in history
+    for (const [name, docs] of Object.entries(collections)) {
+      if (docs.length === 0) continue;
+      await db.collection(name).insertMany(docs);
+      inserted.push([name, docs.map(d => d._id)]);
+    }
+    await db.collection("sessions").insertOne({
+      ...session,
+      teacher_id: sessionOwnerId(req.teacher),
+      active: false,
+      imported_at: Date.now(),
+      imported_from: { code: bundle.session.code, exported_at: bundle.exported_at ?? null }
+    });
+    
+    const count = Object.values(collections).reduce((sum, docs) => sum + docs.length, 0);
+    console.log(`📥 Imported session ${bundle.session.code} as ${code} (${count} documents) for ${req.teacher.email}`);
+    
+    res.json({ success: true, code, renamed: code !== bundle.session.code, documents: count, warnings });
+  } catch (err) {
+    // Take back whatever made it in before the failure
+    for (const [name, ids] of inserted) {
+      await db.collection(name).deleteMany({ _id: { $in: ids } }).catch(() => {});
+    }
+    if (err instanceof BundleError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("❌ Failed to import session bundle:", err);
+    res.status(500).json({ error: "Failed to import session" });
+  }
+});
+
+/* ---------- Trash ---------- */
+// Deleting sessions from history moves them to the trash (deleted_at) instead of removing
+// anything: they drop out of lists and session routes, can be restored, and an hourly job
+// purges them for good TRASH_RETENTION_DAYS after they were deleted.
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS ?? 30);
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+let trashPurgeTimer = null;
+
+// Everything stored against a session; the session document itself is left to the caller.
+// Safeguarding alerts are kept on purpose.
+async function purgeSessionData(session) {
+  const groups = await db.collection("groups").find({ session_id: session._id }).toArray();
+  const groupIds = groups.map(g => g._id);
+  
+  if (groupIds.length > 0) {
+    // Delete transcripts, summaries for all groups
+    await db.collection("transcripts").deleteMany({ group_id: { $in: groupIds } });
+    await db.collection("summaries").deleteMany({ group_id: { $in: groupIds } });
+    
+    // Delete groups
+    await db.collection("groups").deleteMany({ session_id: session._id });
+  }
+  
+  // Delete session prompts
+  await db.collection("session_prompts").deleteMany({ session_id: session._id });
+  
+  // Delete mindmap related data
+  await db.collection("mindmap_sessions").deleteMany({ session_id: session._id });
+  await db.collection("mindmap_nodes").deleteMany({ session_id: session._id });
+  
+  // Delete checkbox related data
+  await db.collection("checkbox_sessions").deleteMany({ session_id: session._id });
+  await db.collection("checkbox_criteria").deleteMany({ session_id: session._id });
+  await db.collection("checkbox_progress").deleteMany({ session_id: session._id });
+  
+  // Delete session logs
+  await db.collection("session_logs").deleteMany({ session_id: session._id });
+  
+  // Delete the roster and speaker names
+  await db.collection("roster").deleteMany({ session_code: session.code });
+  await db.collection("speaker_mappings").deleteMany({ session_code: session.code });
+  await db.collection("pii_mappings").deleteMany({ session_code: session.code });
+  await db.collection("pii_counters").deleteMany({ _id: { $regex: `^${session.code}:` } });
+  
+  // Expire archived audio; the purge job removes it from the blob store
+  await db.collection("audio_chunks").updateMany({ session_id: session._id }, { $set: { expires_at: 0 } });
+  
+  console.log(`🧹 Cleaned up data for session ${session.code}`);
+}
+
+function trashPurgeAt(session) {
+  return session.deleted_at + TRASH_RETENTION_DAYS * DAY_MS;
+}
+
+/* Background job: permanently delete sessions that have been in the trash long enough */
+async function purgeTrash() {
+  const expired = await db.collection("sessions")
+    .find({ deleted_at: { $ne: null, $lte: Date.now() - TRASH_RETENTION_DAYS * DAY_MS } })
+    .toArray();
+  for (const session of expired) {
+    await purgeSessionData(session);
+    await db.collection("sessions").deleteOne({ _id: session._id });
+  }
+  if (expired.length > 0) {
+    console.log(`🧹 Purged ${expired.length} session(s) from the trash`);
+  }
+}
+
+// Every instance schedules the purge, but the hourly job id means only one copy runs per hour
+function startTrashPurge() {
+  const schedule = () => {
+    const slot = Math.floor(Date.now() / TRASH_PURGE_INTERVAL_MS);
+    jobQueue.enqueue("purge_trash", "purge_trash", {}, { id: uuidv5(`purge_trash:${slot}`, JOB_ID_NAMESPACE) })
+      .catch(err => console.error("❌ Failed to schedule trash purge:", err.message));
+  };
+  schedule();
+  trashPurgeTimer = setInterval(schedule, TRASH_PURGE_INTERVAL_MS);
+}
+
+// Sessions picked by id (sessionIds) or, as the history page sends them, by code (sessionCodes)
+function sessionSelection(body) {
+  const { sessionIds, sessionCodes } = body || {};
+  if (Array.isArray(sessionIds) && sessionIds.length > 0) return { _id: { $in: sessionIds.map(String) } };
+  if (Array.isArray(sessionCodes) && sessionCodes.length > 0) return { code: { $in: sessionCodes.map(String) } };
+  return null;
+}
+
+/* Move sessions to the trash */
+app.delete("/api/history/sessions", requireTeacher, requirePermission("history:delete"), express.json(), async (req, res) => {
+  try {
+    const selection = sessionSelection(req.body);
+    if (!selection) {
+      return res.status(400).json({ error: "Invalid session IDs provided" });
+    }
+    
+    const sessions = await db.collection("sessions").find({ ...selection, ...ownerFilter(req), deleted_at: null }).toArray();
+    if (sessions.length === 0) {
+      return res.status(404).json({ error: "No sessions found to delete" });
+    }
+    
+    // A session that is still recording has to be stopped first
+    const running = sessions.filter(s => activeSessions.get(s.code)?.active).map(s => s.code);
+    const trashed = sessions.filter(s => !running.includes(s.code));
+    
+    if (trashed.length > 0) {
+      await db.collection("sessions").updateMany(
+        { _id: { $in: trashed.map(s => s._id) } },
+        { $set: { deleted_at: Date.now(), deleted_by: req.teacher.id } }
+      );
+    }
+    console.log(`🗑️ ${req.teacher.email} moved ${trashed.length} session(s) to the trash: ${trashed.map(s => s.code).join(", ")}`);
+    
+    res.json({
+      success: true,
+      deletedCount: trashed.length,
+      skippedActive: running,
+      purgeAfterDays: TRASH_RETENTION_DAYS,
+      message: `Moved ${trashed.length} session(s) to the trash; they can be restored for ${TRASH_RETENTION_DAYS} days`
+    });
     
   } catch (err) {
-    console.error("❌ Failed to fetch session details:", err);
-    res.status(500).json({ error: "Failed to fetch session details" });
+    console.error("❌ Failed to delete sessions:", err);
+    res.status(500).json({ error: "Failed to delete sessions" });
   }
 });
 
-/* Admin API: delete multiple sessions */
-app.delete("/api/history/sessions", express.json(), async (req, res) => {
+/* List the sessions in the trash */
+app.get("/api/history/trash", requireTeacher, async (req, res) => {
   try {
-    const { sessionIds } = req.body;
+    const sessions = await db.collection("sessions")
+      .find({ ...ownerFilter(req), deleted_at: { $ne: null } })
+      .sort({ deleted_at: -1 })
+      .toArray();
     
-    if (!Array.isArray(sessionIds) || sessionIds.length === 0) {
+    res.json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      sessions: sessions.map(s => ({
+        id: s._id,
+        code: s.code,
+        mode: s.mode || "summary",
+        createdAt: s.created_at,
+        deletedAt: s.deleted_at,
+        purgeAt: trashPurgeAt(s)
+      }))
+    });
+  } catch (err) {
+    console.error("❌ Failed to list the trash:", err);
+    res.status(500).json({ error: "Failed to list the trash" });
+  }
+});
+
+/* Restore sessions from the trash */
+app.post("/api/history/trash/restore", requireTeacher, requirePermission("history:delete"), express.json(), async (req, res) => {
+  try {
+    const selection = sessionSelection(req.body);
+    if (!selection) {
       return res.status(400).json({ error: "Invalid session IDs provided" });
     }
     
-    console.log(`🗑️  Deleting ${sessionIds.length} sessions:`, sessionIds);
-    
-    // Get session details first for cleanup
-    const sessions = await db.collection("sessions").find({ _id: { $in: sessionIds } }).toArray();
+    const result = await db.collection("sessions").updateMany(
+      { ...selection, ...ownerFilter(req), deleted_at: { $ne: null } },
+      { $unset: { deleted_at: "", deleted_by: "" } }
+    );
+    console.log(`♻️ ${req.teacher.email} restored ${result.modifiedCount} session(s) from the trash`);
     
-    if (sessions.length === 0) {
-      return res.status(404).json({ error: "No sessions found to delete" });
+    res.json({ success: true, restoredCount: result.modifiedCount });
+  } catch (err) {
+    console.error("❌ Failed to restore sessions:", err);
+    res.status(500).json({ error: "Failed to restore sessions" });
+  }
+});
+
+/* Permanently delete sessions from the trash now */
+app.delete("/api/history/trash", requireTeacher, requirePermission("history:delete"), express.json(), async (req, res) => {
+  try {
+    const selection = sessionSelection(req.body);
+    if (!selection) {
+      return res.status(400).json({ error: "Invalid session IDs provided" });
     }
     
-    // Delete related data for each session
+    const sessions = await db.collection("sessions").find({ ...selection, ...ownerFilter(req), deleted_at: { $ne: null } }).toArray();
     for (const session of sessions) {
-      const groups = await db.collection("groups").find({ session_id: session._id }).toArray();
-      const groupIds = groups.map(g => g._id);
-      
-      if (groupIds.length > 0) {
-        // Delete transcripts, summaries for all groups
-        await db.collection("transcripts").deleteMany({ group_id: { $in: groupIds } });
-        await db.collection("summaries").deleteMany({ group_id: { $in: groupIds } });
-        
-        // Delete groups
-        await db.collection("groups").deleteMany({ session_id: session._id });
-      }
-      
-      // Delete session prompts
-      await db.collection("session_prompts").deleteMany({ session_id: session._id });
-      
-      // Delete mindmap related data
-      await db.collection("mindmap_sessions").deleteMany({ session_id: session._id });
-      await db.collection("mindmap_nodes").deleteMany({ session_id: session._id });
-      
-      // Delete checkbox related data
-      await db.collection("checkbox_sessions").deleteMany({ session_id: session._id });
-      await db.collection("checkbox_criteria").deleteMany({ session_id: session._id });
-      await db.collection("checkbox_progress").deleteMany({ session_id: session._id });
-      
-      // Delete session logs
-      await db.collection("session_logs").deleteMany({ session_id: session._id });
-      
-      console.log(`🧹 Cleaned up data for session ${session.code}`);
+      await purgeSessionData(session);
     }
+    const deleteResult = await db.collection("sessions").deleteMany({ _id: { $in: sessions.map(s => s._id) } });
+    console.log(`✅ ${req.teacher.email} permanently deleted ${deleteResult.deletedCount} session(s)`);
     
-    // Delete the sessions themselves
-    const deleteResult = await db.collection("sessions").deleteMany({ _id: { $in: sessionIds } });
-    
-    console.log(`✅ Deleted ${deleteResult.deletedCount} sessions successfully`);
-    
-    res.json({ 
-      success: true, 
-      deletedCount: deleteResult.deletedCount,
-      message: `Successfully deleted ${deleteResult.deletedCount} sessions and their related data`
-    });
-    
+    res.json({ success: true, deletedCount: deleteResult.deletedCount });
   } catch (err) {
-    console.error("❌ Failed to delete sessions:", err);
+    console.error("❌ Failed to empty the trash:", err);
     res.status(500).json({ error: "Failed to delete sessions" });
   }
 });
@@ -985,9 +2941,9 @@ app.delete("/api/history/sessions", express.json(), async (req, res) => {
 /* ---------- Mindmap Mode API Endpoints ---------- */
 
 /* Create mindmap session */
-app.post("/api/mindmap/session", express.json(), async (req, res) => {
+app.post("/api/mindmap/session", requireTeacher, requirePermission("session:run"), express.json(), requireSessionOwner, async (req, res) => {
   try {
-    const { sessionCode, mainTopic, interval = 30000 } = req.body;
+    const { sessionCode, mainTopic, interval = 30000, fixture } = req.body;
     
     if (!sessionCode || !mainTopic) {
       return res.status(400).json({ error: "Session code and main topic required" });
@@ -1005,6 +2961,7 @@ app.post("/api/mindmap/session", express.json(), async (req, res) => {
         $set: {
           _id: sessionId,
           code: sessionCode,
+          teacher_id: sessionOwnerId(req.teacher),
           mode: "mindmap",
           main_topic: mainTopic,
           interval_ms: interval,
@@ -1042,8 +2999,11 @@ app.post("/api/mindmap/session", express.json(), async (req, res) => {
       interval: interval,
       startTime: now,
       created_at: now,
-      persisted: true
+      persisted: true,
+      mockFixture: hasFixture(fixture) ? fixture : DEFAULT_FIXTURE,
+      teacherId: sessionOwnerId(req.teacher)
     });
+    resetMockSession(sessionCode);
     
     res.json({ 
       success: true, 
@@ -1058,7 +3018,7 @@ app.post("/api/mindmap/session", express.json(), async (req, res) => {
 });
 
 /* Generate initial mindmap from text */
-app.post("/api/mindmap/generate", express.json(), async (req, res) => {
+app.post("/api/mindmap/generate", requireTeacher, requirePermission("session:run"), express.json(), requireSessionOwner, async (req, res) => {
   try {
     const { sessionCode, text } = req.body;
     
@@ -1115,7 +3075,7 @@ app.post("/api/mindmap/generate", express.json(), async (req, res) => {
 });
 
 /* Expand existing mindmap with new information */
-app.post("/api/mindmap/expand", express.json(), async (req, res) => {
+app.post("/api/mindmap/expand", requireTeacher, requirePermission("session:run"), express.json(), requireSessionOwner, async (req, res) => {
   try {
     const { sessionCode, text } = req.body;
     
@@ -1178,7 +3138,7 @@ app.post("/api/mindmap/expand", express.json(), async (req, res) => {
 });
 
 /* Process transcript for mindmap (for recording mode) */
-app.post("/api/mindmap/process", express.json(), async (req, res) => {
+app.post("/api/mindmap/process", requireTeacher, requirePermission("session:run"), express.json(), requireSessionOwner, async (req, res) => {
   try {
     const { sessionCode, transcript } = req.body;
     
@@ -1254,7 +3214,7 @@ app.post("/api/mindmap/process", express.json(), async (req, res) => {
 });
 
 /* Get mindmap data */
-app.get("/api/mindmap/:sessionCode", async (req, res) => {
+app.get("/api/mindmap/:sessionCode", requireTeacher, requireSessionOwner, async (req, res) => {
   try {
     const { sessionCode } = req.params;
     
@@ -1293,7 +3253,7 @@ app.get("/api/mindmap/:sessionCode", async (req, res) => {
 });
 
 /* Save mindmap session with metadata */
-app.post("/api/mindmap/save", express.json(), async (req, res) => {
+app.post("/api/mindmap/save", requireTeacher, requirePermission("session:run"), express.json(), requireSessionOwner, async (req, res) => {
   try {
     const { sessionCode, mainTopic, startTime, endTime, duration, durationFormatted, 
             nodeCount, speechInputs, mindmapData, chatHistory, version, savedAt } = req.body;
@@ -1436,33 +3396,9 @@ Otherwise, create a structured mindmap:
 
 Generate proper UUIDs for each node. Return ONLY the JSON object.`;
 
-    const body = {
-      model: "claude-sonnet-4-20250514", // Using Claude Sonnet 4 as requested
-      max_tokens: 2000, // Increased for comprehensive prompt and detailed analysis
-      temperature: 0, // Set to 0 for maximum consistency
-      messages: [{
-        role: "user",
-        content: prompt
-      }]
-    };
-
-    const res = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "x-api-key": process.env.ANTHROPIC_API_KEY || process.env.ANTHROPIC_KEY,
-        "anthropic-version": "2023-06-01",
-        "content-type": "application/json"
-      },
-      body: JSON.stringify(body)
-    });
-
-    if (!res.ok) {
-      console.error(`❌ Mind-Map Maestro API error: ${res.status} ${res.statusText}`);
-      throw new Error("AI API error");
-    }
-
-    const response = await res.json();
-    const responseText = response.content[0].text;
+    const responseText = isMockMode()
+      ? mockMindmapResponse(contextualText, mainTopic)
+      : await complete("mindmap", prompt);
     
     // Try to parse JSON
     try {
@@ -1591,33 +3527,9 @@ Return format:
 
 Generate proper UUIDs for any new nodes. Return ONLY the JSON object.`;
 
-    const body = {
-      model: "claude-sonnet-4-20250514", // Using Claude Sonnet 4 as requested
-      max_tokens: 2000, // Increased for comprehensive prompt and detailed analysis
-      temperature: 0, // Set to 0 for maximum consistency
-      messages: [{
-        role: "user",
-        content: prompt
-      }]
-    };
-
-    const res = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "x-api-key": process.env.ANTHROPIC_API_KEY || process.env.ANTHROPIC_KEY,
-        "anthropic-version": "2023-06-01",
-        "content-type": "application/json"
-      },
-      body: JSON.stringify(body)
-    });
-
-    if (!res.ok) {
-      console.error(`❌ Mind-Map Maestro expansion API error: ${res.status} ${res.statusText}`);
-      throw new Error("AI API error");
-    }
-
-    const response = await res.json();
-    const responseText = response.content[0].text;
+    const responseText = isMockMode()
+      ? mockMindmapResponse(contextualText, mainTopic, currentMaestroFormat)
+      : await complete("mindmap", prompt);
     
     // Try to parse JSON
     let result;
@@ -1705,7 +3617,7 @@ function convertLegacyToMaestro(legacyData, mainTopic) {
 /* ---------- Checkbox Mode API Endpoints ---------- */
 
 /* Cleanup session data */
-app.post("/api/cleanup/:sessionCode", async (req, res) => {
+app.post("/api/cleanup/:sessionCode", requireTeacher, requirePermission("history:delete"), requireSessionOwner, async (req, res) => {
   try {
     const { sessionCode } = req.params;
     await cleanupOldSessionData(sessionCode);
@@ -1717,7 +3629,7 @@ app.post("/api/cleanup/:sessionCode", async (req, res) => {
 });
 
 /* Create checkbox session */
-app.post("/api/checkbox/session", express.json(), async (req, res) => {
+app.post("/api/checkbox/session", requireTeacher, requirePermission("session:run"), express.json(), requireSessionOwner, async (req, res) => {
   try {
     const { sessionCode, criteria, scenario, interval, strictness = 2 } = req.body; // Default strictness to 2 (moderate)
     
@@ -1743,6 +3655,7 @@ app.post("/api/checkbox/session", express.json(), async (req, res) => {
       session = {
         _id: uuid(),
         code: sessionCode,
+        teacher_id: sessionOwnerId(req.teacher),
         mode: "checkbox",
         active: false, // Stay inactive until /api/session/:code/start is called
         interval_ms: interval || 30000,
@@ -1832,6 +3745,8 @@ app.post("/api/checkbox/session", express.json(), async (req, res) => {
       startTime: null,
       created_at: existingMem.created_at || Date.now(),
       persisted: true,
+      mockFixture: existingMem.mockFixture,
+      teacherId: sessionOwnerId(req.teacher),
       checkbox: {
         scenario: scenario || "",
         criteria: memCriteria,
@@ -1853,7 +3768,7 @@ app.post("/api/checkbox/session", express.json(), async (req, res) => {
 });
 
 /* Process transcript for checkbox */
-app.post("/api/checkbox/process", express.json(), async (req, res) => {
+app.post("/api/checkbox/process", requireTeacher, requirePermission("session:run"), express.json(), requireSessionOwner, async (req, res) => {
   try {
     const { sessionCode, transcript, groupNumber = 1, criteria: clientCriteria, scenario: clientScenario } = req.body; // allow client-provided config
     
@@ -2054,7 +3969,8 @@ app.post("/api/checkbox/process", express.json(), async (req, res) => {
           rubric: c.rubric || '',
           status: progress?.status || 'grey',
           completed: progress?.completed || false,
-          quote: progress?.quote || null
+          quote: progress?.quote || null,
+          quoteSpeaker: progress?.quote_speaker_name || null
         };
       }),
       scenario: checkboxSession?.scenario || "",
@@ -2085,7 +4001,7 @@ app.post("/api/checkbox/process", express.json(), async (req, res) => {
 });
 
 /* Get checkbox data */
-app.get("/api/checkbox/:sessionCode", async (req, res) => {
+app.get("/api/checkbox/:sessionCode", requireTeacher, requireSessionOwner, async (req, res) => {
   try {
     const { sessionCode } = req.params;
     
@@ -2157,8 +4073,51 @@ app.get("/api/checkbox/:sessionCode", async (req, res) => {
   }
 });
 
+/* Checklist gradebook: groups as rows, criteria as columns, with a weighted score - ?format=csv|xlsx */
+app.get("/api/checkbox/:sessionCode/gradebook", requireTeacher, requireSessionOwner, async (req, res) => {
+  try {
+    const { sessionCode } = req.params;
+    const format = req.query.format || "csv";
+    if (!GRADEBOOK_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(GRADEBOOK_FORMATS).join(", ")}` });
+    }
+    
+    const session = await db.collection("sessions").findOne({ code: sessionCode, mode: "checkbox" });
+    if (!session) {
+      return res.status(404).json({ error: "Checkbox session not found" });
+    }
+    
+    const criteria = await db.collection("checkbox_criteria")
+      .find({ session_id: session._id })
+      .sort({ order_index: 1, created_at: 1 })
+      .toArray();
+    const progress = (await db.collection("checkbox_progress").find({ session_id: session._id }).toArray())
+      .map(p => ({ ...p, quote_speaker_name: p.quote_speaker_name || (p.quote_speaker ? speakerLabelText(p.quote_speaker) : null) }));
+    
+    // Progress is seeded grey for groups 1-10, so only list groups that recorded or got a result
+    const groups = await db.collection("groups").find({ session_id: session._id }).toArray();
+    const groupNumbers = [...new Set([
+      ...groups.map(g => Number(g.number)),
+      ...progress.filter(p => p.status !== "grey").map(p => Number(p.group_number))
+    ])].sort((a, b) => a - b);
+    
+    const gradebook = buildGradebook(criteria, progress, groupNumbers);
+    const file = await renderGradebook(gradebook, format, { title: `Session ${sessionCode} checklist` });
+    console.log(`📊 ${format.toUpperCase()} gradebook for session ${sessionCode}: ${groupNumbers.length} group(s), ${criteria.length} criteria`);
+    
+    res.set({
+      "Content-Type": GRADEBOOK_FORMATS[format].contentType,
+      "Content-Disposition": `attachment; filename="session-${sessionCode}-gradebook.${GRADEBOOK_FORMATS[format].extension}"`
+    });
+    res.send(file);
+  } catch (err) {
+    console.error("❌ Failed to export gradebook:", err);
+    res.status(500).json({ error: "Failed to export gradebook" });
+  }
+});
+
 /* Get session logs */
-app.get("/api/logs/:sessionCode", async (req, res) => {
+app.get("/api/logs/:sessionCode", requireTeacher, requireSessionOwner, async (req, res) => {
   try {
     const { sessionCode } = req.params;
     const { limit = 100, type } = req.query;
@@ -2240,20 +4199,18 @@ function stopAutoSummary(sessionCode) {
   }
 }
 
-// Concurrency guard for transcription
-const processingGroups = new Set();
+// Concurrency guard for transcription (cluster-wide when REDIS_URL is set)
+const processingGroups = lockSet("processing_groups", 5 * 60 * 1000);
 
 async function generateSummaryForGroup(sessionCode, groupNumber) {
   const groupKey = `${sessionCode}-${groupNumber}`;
   
   // Prevent overlapping processing for the same group
-  if (processingGroups.has(groupKey)) {
+  if (!(await processingGroups.acquire(groupKey))) {
     console.log(`⏳ Group ${groupNumber} already being processed, skipping`);
     return;
   }
   
-  processingGroups.add(groupKey);
-  
   try {
     console.log(`📋 Processing group ${groupNumber} in session ${sessionCode}`);
     
@@ -2345,11 +4302,16 @@ async function generateSummaryForGroup(sessionCode, groupNumber) {
       
       console.log(`🎵 Audio format: ${audioChunk.format}`);
       
-      const transcription = await transcribe(audioChunk.data, audioChunk.format);
+      const transcription = await transcribe(audioChunk.data, audioChunk.format, {
+        sessionCode, groupNumber, fixture: getMockFixture(sessionCode)
+      });
       
       // Only proceed if we have valid transcription
       let cleanedText = transcription.text;
       if (transcription.text && transcription.text !== "No transcription available" && transcription.text !== "Transcription failed") {
+        const redacted = await redactTranscript(await db.collection("sessions").findOne({ code: sessionCode }), sessionCode, transcription.text, transcription.words);
+        cleanedText = transcription.text = redacted.text;
+        transcription.words = redacted.words;
         // Transcript cleaning removed - using raw transcription
         console.log(`📝 Transcription for group ${groupNumber}:`, {
           text: cleanedText,
@@ -2376,6 +4338,10 @@ async function generateSummaryForGroup(sessionCode, groupNumber) {
             transcription.words[transcription.words.length - 1].end : 
             Math.max(10, Math.min(30, transcription.text.length * 0.05)); // Estimate 0.05 seconds per character
           
+          const audioId = await archiveAudio({
+            id: transcriptId, session, groupNumber, buffer: audioChunk.data, mimeType: audioChunk.format, recordedAt: now
+          });
+          
           await db.collection("transcripts").insertOne({
             _id: transcriptId,
             group_id: group._id,
@@ -2383,7 +4349,8 @@ async function generateSummaryForGroup(sessionCode, groupNumber) {
             word_count: wordCount,
             duration_seconds: duration,
             created_at: now,
-            segment_number: Math.floor(now / 30000) // Update segment tracking for new interval
+            segment_number: Math.floor(now / 30000), // Update segment tracking for new interval
+            ...(audioId && { audio_id: audioId })
           });
           
           // Get all transcripts for this group to create summary of FULL conversation
@@ -2450,7 +4417,7 @@ async function generateSummaryForGroup(sessionCode, groupNumber) {
   } catch (err) {
     console.error(`❌ Error processing group ${groupNumber}:`, err);
   } finally {
-    processingGroups.delete(groupKey);
+    await processingGroups.release(groupKey);
   }
 }
 
@@ -2468,10 +4435,14 @@ io.on("connection", socket => {
   let groupId, localBuf = [], sessionCode, groupNumber;
 
   // Live prompt updates from admin: keep latest prompt in memory to avoid DB reads
-  socket.on('prompt_update', data => {
+  socket.on('prompt_update', async data => {
     try {
       const { sessionCode: code, prompt } = data || {};
       if (!code || typeof prompt !== 'string') return;
+      if (!(await canRunSession(await socketTeacher(socket), code))) {
+        console.log(`🚫 prompt_update from socket ${socket.id} rejected for session ${code}`);
+        return;
+      }
       const mem = activeSessions.get(code);
       if (mem) {
         activeSessions.set(code, { ...mem, customPrompt: prompt });
@@ -2488,20 +4459,36 @@ io.on("connection", socket => {
   function ts() { return new Date().toISOString(); }
 
   // Admin joins session room
-  socket.on("admin_join", ({ code }) => {
+  socket.on("admin_join", async ({ code }) => {
     try {
+      // Observers and school admins may watch live dashboards without running the session
+      if (!(await canAccessSession(await socketTeacher(socket), code, { readOnly: true }))) {
+        console.log(`🚫 Socket ${socket.id} denied admin access to session ${code}`);
+        return socket.emit("error", "Not authorised for this session");
+      }
       console.log(`👨‍🏫 Admin socket ${socket.id} joining session room: ${code}`);
       socket.join(code);
+      socket.join(adminRoom(code));
       console.log(`✅ Admin joined session room: ${code}`);
     } catch (err) {
       console.error("❌ Error admin joining session room:", err);
     }
   });
 
-  socket.on("join", async ({ code, group }) => {
+  socket.on("join", async ({ code, group, token, name }) => {
     try {
       console.log(`[${ts()}] 👋 Socket ${socket.id} attempting to join session ${code}, group ${group}`);
       
+      // Students may only join with a join link issued by the teacher
+      const joinToken = await verifyJoinToken(token, { code, group });
+      if (!joinToken) {
+        console.log(`🚫 Socket ${socket.id} rejected: invalid or revoked join token`);
+        return socket.emit("error", "Invalid or revoked join link - ask your teacher for a new one");
+      }
+      code = joinToken.session_code;
+      group = joinToken.group_number;
+      socket.data.joinTokenId = joinToken._id;
+      
       // Check memory only - no database lookup
       const sessionState = activeSessions.get(code);
       
@@ -2564,6 +4551,13 @@ io.on("connection", socket => {
         activeSessions.set(code, mem);
       }
       
+      // Students who give their name are added to the group's roster
+      const studentName = cleanStudentName(name);
+      if (studentName) {
+        const { duplicate } = await addRosterEntry(code, group, studentName, "student");
+        if (!duplicate) console.log(`🧑‍🎓 Roster: ${studentName} joined session ${code}, group ${group}`);
+      }
+      
       // Notify admin about student joining
       socket.to(code).emit("student_joined", { group, socketId: socket.id });
       console.log(`[${ts()}] 📢 Notified admin about student joining group ${group}`);
@@ -2624,11 +4618,15 @@ io.on("connection", socket => {
   // This helps some proxies keep connections warm
 
   /* ===== DEV ONLY: Simulate disconnect test (guarded by env) ===== */
-  socket.on('dev_simulate_disconnect', ({ sessionCode: code, target = 'all', group = 1, durationMs = 5000 }) => {
+  socket.on('dev_simulate_disconnect', async ({ sessionCode: code, target = 'all', group = 1, durationMs = 5000 }) => {
     if (!process.env.ALLOW_DEV_TEST) {
       console.log('🚫 dev_simulate_disconnect ignored (ALLOW_DEV_TEST not set)');
       return;
     }
+    if (!(await canRunSession(await socketTeacher(socket), code))) {
+      console.log(`🚫 dev_simulate_disconnect from socket ${socket.id} rejected for session ${code}`);
+      return;
+    }
     try {
       console.log(`🧪 DEV: simulate disconnect → session ${code}, target=${target}, group=${group}, duration=${durationMs}ms`);
       const payload = { durationMs: Number(durationMs) || 5000 };
@@ -2679,7 +4677,7 @@ io.on("connection", socket => {
     // Remove from processing groups if it was being processed
     if (sessionCode && groupNumber) {
       const groupKey = `${sessionCode}-${groupNumber}`;
-      processingGroups.delete(groupKey);
+      processingGroups.release(groupKey).catch(err => console.warn('⚠️ Failed to release processing lock:', err.message));
     }
   });
 
@@ -2705,6 +4703,10 @@ io.on("connection", socket => {
   // Handle checklist release to students
   socket.on('release_checklist', async (data) => {
     try {
+      if (!(await canRunSession(await socketTeacher(socket), data.sessionCode))) {
+        console.log(`🚫 release_checklist from socket ${socket.id} rejected for session ${data.sessionCode}`);
+        return;
+      }
       console.log(`📤 Teacher releasing checklist to Group ${data.groupNumber} in session ${data.sessionCode}`);
       
       const cacheKey = `${data.sessionCode}-${Number(data.groupNumber)}`;
@@ -2769,7 +4771,8 @@ io.on("connection", socket => {
             rubric: c.rubric || '',
             status: prog?.status || 'grey',
             completed: prog?.completed || (prog?.status === 'green') || false,
-            quote: prog?.quote || null
+            quote: prog?.quote || null,
+            quoteSpeaker: prog?.quote_speaker_name || null
           };
         });
         // Merge in teacher payload to avoid initial all-grey if DB progress isn't there yet
@@ -2864,9 +4867,9 @@ function extractMime(mime) {
   return mime.split(';')[0].trim().toLowerCase();
 }
 
-async function transcribe(buf, format = 'audio/webm') {
+async function transcribe(buf, format = 'audio/webm', context = {}, { language = null } = {}) {
   try {
-    console.log(`🌐 Calling ElevenLabs API for transcription (${buf.length} bytes, format: ${format})`);
+    console.log(`🌐 Calling ${process.env.STT_PROVIDER || 'elevenlabs'} speech-to-text for transcription (${buf.length} bytes, format: ${format})`);
     
     // Additional validation
     if (!buf || buf.length === 0) {
@@ -2879,10 +4882,6 @@ async function transcribe(buf, format = 'audio/webm') {
       return { text: "Audio too short for transcription", words: [] };
     }
     
-    // Create FormData for the API call
-    const FormData = (await import('form-data')).default;
-    const formData = new FormData();
-    
     // Extract base MIME type and map formats correctly
     const baseMime = extractMime(format);
     let audioMime = baseMime;
@@ -2937,59 +4936,28 @@ async function transcribe(buf, format = 'audio/webm') {
       console.log(`✅ Valid WebM container detected (${buf.length} bytes)`);
     }
     
-    // Add the audio buffer as a file
-    formData.append('file', buf, {
-      filename: filename,
-      contentType: audioMime
-    });
-    formData.append('model_id', 'scribe_v1');
-    formData.append('timestamps_granularity', 'word');
-    
-    // Make direct API call instead of using SDK
-    const response = await fetch('https://api.elevenlabs.io/v1/speech-to-text', {
-      method: 'POST',
-      headers: {
-        'xi-api-key': process.env.ELEVENLABS_KEY,
-        ...formData.getHeaders()
-      },
-      body: formData
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`❌ ElevenLabs API error: ${response.status} ${response.statusText}`);
-      console.error('Error response:', errorText);
-      
-      // Handle specific error cases
-      if (response.status === 400) {
-        try {
-          const errorJson = JSON.parse(errorText);
-          if (errorJson.detail?.message?.includes('corrupted')) {
-            console.log("🔄 Audio appears corrupted - this might be due to WebM container issues");
-            console.log(`📊 Audio details: ${buf.length} bytes, format: ${audioMime}, header: ${buf.slice(0, 4).toString('hex')}`);
-            return { text: "Audio quality issue - WebM container may be incomplete", words: [] };
-          }
-        } catch (e) {
-          // If we can't parse the error, continue with generic error
-        }
-      }
-      
-      throw new Error(`API error: ${response.status} ${response.statusText}`);
-    }
-    
-    const result = await response.json();
-    console.log("✅ ElevenLabs transcription successful");
+    const result = await transcribeAudio(buf, { mimeType: audioMime, filename, language, context });
+    console.log(`✅ ${result.provider} transcription successful`);
     
-    // Return both text and word-level data
+    // Return the normalized provider result (text, word-level data, language, confidence)
     return {
       text: result.text || "No transcription available",
-      words: result.words || []
+      words: result.words,
+      language: result.language,
+      confidence: result.confidence
     };
     
   } catch (err) {
     console.error("❌ Transcription error:", err);
     console.error("Error details:", err.message);
     
+    // Handle specific error cases
+    if (err.status === 400 && String(err.details || '').includes('corrupted')) {
+      console.log("🔄 Audio appears corrupted - this might be due to WebM container issues");
+      console.log(`📊 Audio details: ${buf.length} bytes, format: ${format}, header: ${buf.slice(0, 4).toString('hex')}`);
+      return { text: "Audio quality issue - WebM container may be incomplete", words: [] };
+    }
+    
     // Return a more user-friendly error message
     if (err.message.includes('corrupted') || err.message.includes('invalid_content')) {
       return { text: "Audio quality issue - please try again", words: [] };
@@ -3001,47 +4969,59 @@ async function transcribe(buf, format = 'audio/webm') {
 
 async function summarise(text, customPrompt) {
   try {
-    console.log(`🌐 Calling Anthropic API for summarization`);
     const basePrompt = customPrompt || "Summarise the following classroom discussion in ≤6 clear bullet points:";
     
-  const body = {
-      model: "claude-sonnet-4-20250514",
-      max_tokens: 800, // Reduced from 2000 - ultra-efficient prompt needs fewer tokens
-      temperature: 0, // Set to 0 for maximum consistency
-    messages: [
-      {
-          role: "user",
-          content: `${basePrompt}\n\n${text}`
-      }
-    ]
-  };
-
-  const res = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-    headers: {
-        "x-api-key": process.env.ANTHROPIC_KEY,
-        "anthropic-version": "2023-06-01",
-        "content-type": "application/json"
-    },
-    body: JSON.stringify(body)
-  });
-    
-    if (!res.ok) {
-      console.error(`❌ Anthropic API error: ${res.status} ${res.statusText}`);
-      const errorText = await res.text();
-      console.error("Error response:", errorText);
-      return "Summarization failed";
-    }
-
-  const j = await res.json();
-    console.log("✅ Anthropic summarization successful");
-  return j.content?.[0]?.text?.trim() ?? "(no summary)";
+    const summary = isMockMode()
+      ? mockSummary(text)
+      : await complete("summary", `${basePrompt}\n\n${text}`);
+    console.log("✅ Summarization successful");
+    return summary || "(no summary)";
   } catch (err) {
     console.error("❌ Summarization error:", err);
+    if (err instanceof LlmError) {
+      console.error("Error response:", err.details);
+    }
     return "Summarization failed";
   }
 }
 
+// Returns null when translation fails, so students still get the original
+async function translate(text, language) {
+  try {
+    const name = LANGUAGES.find(l => l.code === language)?.name || language;
+    const translation = isMockMode()
+      ? mockTranslation(text, language)
+      : await complete("translation", `Translate the following classroom discussion text into ${name}. Keep names and "Speaker N" labels unchanged and keep the line breaks and bullet points. Reply with the translation only.\n\n${text}`);
+    return translation || null;
+  } catch (err) {
+    console.error(`❌ Translation to ${language} failed:`, err);
+    if (err instanceof LlmError) {
+      console.error("Error response:", err.details);
+    }
+    return null;
+  }
+}
+
+// The off_topic filter's classifier; errors propagate so the pipeline keeps the transcript
+async function classifyOffTopic(text, topic) {
+  if (isMockMode()) {
+    return { offTopic: false, reason: null };
+  }
+  const responseText = await complete("off_topic", `Students in a classroom group discussion were asked to discuss: "${topic}".
+
+Decide whether this transcript segment is off-topic chatter (unrelated to the discussion or the task) rather than part of the discussion. Short remarks that organise the group's work count as on-topic.
+
+Transcript: "${text}"
+
+Respond with JSON only: {"off_topic": true|false, "reason": "one short sentence"}`);
+  const match = (responseText || "").match(/\{[\s\S]*\}/);
+  if (!match) {
+    throw new Error("Classifier returned no JSON");
+  }
+  const verdict = JSON.parse(match[0]);
+  return { offTopic: verdict.off_topic === true, reason: verdict.reason || null };
+}
+
 async function processMindmapTranscript(text, mainTopic, existingNodes = []) {
   try {
     console.log(`🧠 Processing transcript for mindmap...`);
@@ -3075,35 +5055,17 @@ Respond with JSON in this exact format:
 
 Levels: 1=main topic, 2=subtopic, 3=sub-subtopic/example`;
 
-    const body = {
-      model: "claude-sonnet-4-20250514",
-      max_tokens: 300,
-      temperature: 0.3,
-      messages: [
-        {
-          role: "user",
-          content: prompt
-        }
-      ]
-    };
-
-    const res = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "x-api-key": process.env.ANTHROPIC_KEY,
-        "anthropic-version": "2023-06-01",
-        "content-type": "application/json"
-      },
-      body: JSON.stringify(body)
-    });
-    
-    if (!res.ok) {
-      console.error(`❌ Mindmap processing API error: ${res.status} ${res.statusText}`);
+    let responseText;
+    try {
+      responseText = isMockMode()
+        ? mockMindmapNodeResponse(text)
+        : await complete("mindmap_node", prompt);
+    } catch (llmError) {
+      console.error(`❌ Mindmap processing API error: ${llmError.message}`);
       return { action: "ignore", reason: "API error", node: null };
     }
 
-    const response = await res.json();
-    const result = JSON.parse(response.content?.[0]?.text?.trim() ?? '{"action": "ignore", "reason": "parsing error", "node": null}');
+    const result = JSON.parse(responseText || '{"action": "ignore", "reason": "parsing error", "node": null}');
     
     console.log("✅ Mindmap processing successful");
     return result;
@@ -3117,41 +5079,13 @@ async function processCheckboxTranscript(text, criteria, scenario = "", strictne
   try {
     console.log(`☑️ Processing transcript for 3-state checkbox evaluation (strictness: ${strictness})...`);
     
-    // Check if API key is available
-    const apiKey = process.env.ANTHROPIC_API_KEY || process.env.ANTHROPIC_KEY;
-    if (!apiKey) {
-      console.log(`🧪 ANTHROPIC API KEY not set - returning mock test data for demonstration`);
-      console.log(`🔍 Checked for: ANTHROPIC_API_KEY and ANTHROPIC_KEY environment variables`);
-      
-      // Return mock matches for testing when API key is not available
-      const mockMatches = [];
-      
-      // Check for some obvious matches in the text for demonstration
-      if (text.toLowerCase().includes('back titration') && text.toLowerCase().includes('not soluble')) {
-        mockMatches.push({
-          criteria_index: 0,
-          quote: "back titration is used because CaCO3 is not soluble",
-          status: "green"
-        });
-      }
-      
-      // Include existing GREEN criteria in the response
-      existingProgress.forEach((progress, index) => {
-        if (progress && progress.status === 'green') {
-          mockMatches.push({
-            criteria_index: index,
-            quote: progress.quote,
-            status: "green"
-          });
-        }
-      });
-      
-      return {
-        matches: mockMatches
-      };
+    // Fall back to the deterministic mock evaluator when offline or no provider is configured
+    const useMock = isMockMode() || !isLlmConfigured("checkbox");
+    if (useMock) {
+      console.log(`🧪 ${isMockMode() ? 'MOCK_MODE enabled' : 'LLM provider for checkbox mode not configured'} - using deterministic mock evaluation`);
     }
     
-    console.log(`✅ Using Anthropic API for ${strictness === 1 ? 'LENIENT' : strictness === 2 ? 'MODERATE' : 'STRICT'} transcript analysis`);
+    console.log(`✅ Using ${useMock ? "mock evaluator" : "LLM provider"} for ${strictness === 1 ? 'LENIENT' : strictness === 2 ? 'MODERATE' : 'STRICT'} transcript analysis`);
     
     // Filter out already GREEN criteria from evaluation
     const criteriaToEvaluate = [];
@@ -3316,37 +5250,17 @@ QUALITY CHECK:
 
 Begin evaluation now:`;
 
-    const body = {
-      model: "claude-sonnet-4-20250514", // Using Claude Sonnet 4 as requested
-      max_tokens: 2000, // Increased for comprehensive prompt and detailed analysis
-      temperature: 0, // Set to 0 for maximum consistency
-      messages: [
-        {
-          role: "user",
-          content: prompt
-        }
-      ]
-    };
-
-    const res = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "x-api-key": apiKey,
-        "anthropic-version": "2023-06-01",
-        "content-type": "application/json"
-      },
-      body: JSON.stringify(body)
-    });
-    
-    if (!res.ok) {
-      console.error(`❌ Checkbox processing API error: ${res.status} ${res.statusText}`);
+    let responseText;
+    try {
+      responseText = useMock
+        ? mockCheckboxResponse(text, criteriaToEvaluate)
+        : await complete("checkbox", prompt);
+    } catch (llmError) {
+      console.error(`❌ Checkbox processing API error: ${llmError.message}`);
       return { matches: [] };
     }
 
-    const response = await res.json();
-    const responseText = response.content?.[0]?.text?.trim();
-
-    console.log(`🔍 Anthropic response text: "${responseText?.substring(0, 300)}..."`);
+    console.log(`🔍 LLM response text: "${responseText?.substring(0, 300)}..."`);
 
     // Robust JSON extraction that tolerates Markdown code fences and extra text
     const extractJson = (text) => {
@@ -3392,7 +5306,7 @@ Begin evaluation now:`;
     
     // Validate each match object with 'why' rationale
     result.matches = result.matches.filter(match => {
-      // Coerce criteria_index if Anthropic returns string like 'IDX 6' or '6'
+      // Coerce criteria_index if the model returns string like 'IDX 6' or '6'
       if (typeof match?.criteria_index === 'string') {
         const m = match.criteria_index.match(/(\d+)/);
         if (m) {
@@ -3597,38 +5511,269 @@ Begin evaluation now:`;
       }
     });
     
-    // Sort by criteria_index for consistent ordering
-    allMatches.sort((a, b) => a.criteria_index - b.criteria_index);
+    // Sort by criteria_index for consistent ordering
+    allMatches.sort((a, b) => a.criteria_index - b.criteria_index);
+    
+    console.log(`📊 Complete results: ${allMatches.length} total matches for ${criteria.length} criteria`);
+    console.log(`📊 Final status breakdown:`, allMatches.reduce((acc, match) => {
+      acc[match.status] = (acc[match.status] || 0) + 1;
+      return acc;
+    }, {}));
+    
+    return { matches: allMatches };
+  } catch (err) {
+    console.error("❌ Checkbox processing error:", err);
+    return { matches: [] };
+  }
+}
+
+// Clean up on server shutdown. Running sessions stay active in the database and are
+// checkpointed one last time so the next boot can pick them up again.
+async function shutdown(signal) {
+  console.log(`🛑 Server shutting down (${signal})...`);
+  
+  // Stop all auto-summary timers
+  for (const [sessionCode, timer] of activeSummaryTimers) {
+    clearInterval(timer);
+    console.log(`⏰ Stopped timer for session ${sessionCode}`);
+  }
+  
+  if (checkpointTimer) clearInterval(checkpointTimer);
+  if (audioPurgeTimer) clearInterval(audioPurgeTimer);
+  if (trashPurgeTimer) clearInterval(trashPurgeTimer);
+  // Unfinished jobs stay in the database; their leases expire and another worker picks them up
+  jobQueue?.stop();
+  try {
+    await checkpointSessionState();
+    console.log(`💾 Saved ${activeSessions.size} running session(s) for restore`);
+  } catch (err) {
+    console.error("❌ Final session state checkpoint failed:", err);
+  }
+  await disconnectCluster();
+  
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+/* ---------- Audio archive ---------- */
+// With AUDIO_ARCHIVE set, each uploaded chunk's audio is kept in the blob store and linked from
+// its transcript (audio_id) so teachers can listen back or reprocess the session. A session keeps its audio for
+// audio_retention_days (AUDIO_RETENTION_DAYS by default; 0 keeps none) and an hourly purge job
+// deletes whatever has expired.
+const AUDIO_RETENTION_DAYS = Number(process.env.AUDIO_RETENTION_DAYS ?? 30);
+const AUDIO_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+let audioPurgeTimer = null;
+
+function audioRetentionDays(session) {
+  return session.audio_retention_days ?? AUDIO_RETENTION_DAYS;
+}
+
+function audioExtension(mimeType) {
+  const base = extractMime(mimeType || "");
+  if (base === "audio/wav" || base === "audio/x-wav") return "wav";
+  if (base === "audio/ogg") return "ogg";
+  if (base === "audio/mp4" || base === "audio/m4a") return "m4a";
+  return "webm";
+}
+
+// Store a chunk's audio under the id of its transcript. Returns the audio id, or null when the
+// archive is off, the session keeps no audio, or the store failed (which never fails transcription).
+async function archiveAudio({ id, session, groupNumber, buffer, mimeType, recordedAt }) {
+  const days = audioRetentionDays(session);
+  if (!isAudioArchiveEnabled() || !(days > 0)) return null;
+  
+  try {
+    const store = getAudioStore();
+    const key = `${session.code}/${parseInt(groupNumber)}/${id}.${audioExtension(mimeType)}`;
+    await store.put(key, buffer, { contentType: mimeType });
+    
+    const now = Date.now();
+    await db.collection("audio_chunks").replaceOne({ _id: id }, {
+      session_id: session._id,
+      session_code: session.code,
+      group_number: parseInt(groupNumber),
+      store: store.name,
+      key,
+      content_type: mimeType,
+      size: buffer.length,
+      recorded_at: recordedAt,
+      created_at: now,
+      expires_at: now + days * DAY_MS
+    }, { upsert: true });
+    
+    console.log(`🗄️ Archived ${buffer.length} bytes of audio for session ${session.code}, group ${groupNumber} (${store.name}:${key})`);
+    return id;
+  } catch (err) {
+    console.error(`❌ Failed to archive audio ${id}:`, err.message);
+    return null;
+  }
+}
+
+/* Background job: delete expired audio from the blob store */
+async function purgeExpiredAudio() {
+  let purged = 0;
+  while (true) {
+    const expired = await db.collection("audio_chunks")
+      .find({ expires_at: { $lte: Date.now() } })
+      .limit(200)
+      .toArray();
+    if (expired.length === 0) break;
+    
+    for (const record of expired) {
+      await getAudioStore(record.store).delete(record.key);
+    }
+    const ids = expired.map(r => r._id);
+    await db.collection("audio_chunks").deleteMany({ _id: { $in: ids } });
+    await db.collection("transcripts").updateMany({ audio_id: { $in: ids } }, { $unset: { audio_id: "" } });
+    purged += expired.length;
+  }
+  if (purged > 0) {
+    console.log(`🧹 Purged ${purged} expired audio chunk(s)`);
+  }
+}
+
+// Every instance schedules the purge, but the hourly job id means only one copy runs per hour
+function startAudioPurge() {
+  const schedule = () => {
+    const slot = Math.floor(Date.now() / AUDIO_PURGE_INTERVAL_MS);
+    jobQueue.enqueue("purge_audio", "purge_audio", {}, { id: uuidv5(`purge_audio:${slot}`, JOB_ID_NAMESPACE) })
+      .catch(err => console.error("❌ Failed to schedule audio purge:", err.message));
+  };
+  schedule();
+  audioPurgeTimer = setInterval(schedule, AUDIO_PURGE_INTERVAL_MS);
+}
+
+/* Audio retention for one session (days; 0 deletes the session's audio at the next purge) */
+app.get("/api/session/:code/audio-retention", requireTeacher, requireSessionOwner, async (req, res) => {
+  try {
+    const session = await db.collection("sessions").findOne({ code: req.params.code });
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    
+    const archived = await db.collection("audio_chunks").aggregate([
+      { $match: { session_id: session._id } },
+      { $group: { _id: null, chunks: { $sum: 1 }, bytes: { $sum: "$size" } } }
+    ]).toArray();
+    
+    res.json({
+      archiveEnabled: isAudioArchiveEnabled(),
+      days: audioRetentionDays(session),
+      defaultDays: AUDIO_RETENTION_DAYS,
+      archivedChunks: archived[0]?.chunks || 0,
+      archivedBytes: archived[0]?.bytes || 0
+    });
+  } catch (err) {
+    console.error("❌ Failed to get audio retention:", err);
+    res.status(500).json({ error: "Failed to get audio retention" });
+  }
+});
+
+app.put("/api/session/:code/audio-retention", requireTeacher, requirePermission("session:run"), express.json(), requireSessionOwner, async (req, res) => {
+  try {
+    const { code } = req.params;
+    const days = Number(req.body.days);
+    if (!Number.isInteger(days) || days < 0 || days > 3650) {
+      return res.status(400).json({ error: "days must be a whole number between 0 and 3650" });
+    }
+    
+    const session = await db.collection("sessions").findOne({ code: code });
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    
+    await db.collection("sessions").updateOne({ _id: session._id }, { $set: { audio_retention_days: days } });
+    // Audio already archived follows the new setting, counted from when it was stored
+    await db.collection("audio_chunks").updateMany(
+      { session_id: session._id },
+      [{ $set: { expires_at: { $add: ["$created_at", days * DAY_MS] } } }]
+    );
     
-    console.log(`📊 Complete results: ${allMatches.length} total matches for ${criteria.length} criteria`);
-    console.log(`📊 Final status breakdown:`, allMatches.reduce((acc, match) => {
-      acc[match.status] = (acc[match.status] || 0) + 1;
-      return acc;
-    }, {}));
+    console.log(`🗄️ Session ${code} now keeps audio for ${days} day(s)`);
+    res.json({ success: true, days });
+  } catch (err) {
+    console.error("❌ Failed to set audio retention:", err);
+    res.status(500).json({ error: "Failed to set audio retention" });
+  }
+});
+
+/* Play back an archived audio chunk (audio_id from a transcript) */
+app.get("/api/audio/:audioId", requireTeacher, async (req, res) => {
+  try {
+    const record = await db.collection("audio_chunks").findOne({ _id: req.params.audioId });
+    if (!record || record.expires_at <= Date.now() || !(await canAccessSession(req.teacher, record.session_code, { readOnly: true }))) {
+      return res.status(404).json({ error: "Audio not found" });
+    }
     
-    return { matches: allMatches };
+    const audio = await getAudioStore(record.store).get(record.key);
+    if (!audio) {
+      console.warn(`⚠️ Archived audio ${record._id} is missing from ${record.store}:${record.key}`);
+      return res.status(404).json({ error: "Audio not found" });
+    }
+    
+    res.set({
+      "Content-Type": record.content_type || "audio/webm",
+      "Content-Length": audio.length,
+      "Cache-Control": "private, max-age=3600"
+    });
+    res.send(audio);
   } catch (err) {
-    console.error("❌ Checkbox processing error:", err);
-    return { matches: [] };
+    console.error("❌ Failed to play back audio:", err);
+    res.status(500).json({ error: "Failed to load audio" });
   }
+});
+
+/* ---------- Chunk ordering ---------- */
+// Each recording (one student device, from start to stop) numbers its chunks 0, 1, 2... and
+// stamps them with the time their audio started. A retried upload can still overtake a later
+// chunk, so:
+//  - the job id is derived from (session, group, recording, seq), so re-sent chunks are ignored
+//  - a group's chunks are processed in recording-time order rather than arrival order
+//  - a chunk that arrives before its predecessor waits up to CHUNK_REORDER_WINDOW_MS for it
+//  - a chunk rejected on upload is queued as a no-op skip_chunk job, so it doesn't hold up the next
+const CHUNK_REORDER_WINDOW_MS = Number(process.env.CHUNK_REORDER_WINDOW_MS) || 15000;
+// Namespace for job ids derived with uuidv5, which make enqueueing the same work twice a no-op
+const JOB_ID_NAMESPACE = "6f1c2b9e-4d3a-4c8e-9b57-2a0e7d5c1f34";
+
+function chunkJobId(sessionCode, groupNumber, recordingId, seq) {
+  return uuidv5(`${sessionCode}:${parseInt(groupNumber)}:${recordingId}:${seq}`, JOB_ID_NAMESPACE);
 }
 
-// Clean up on server shutdown
-process.on('SIGINT', async () => {
-  console.log('🛑 Server shutting down...');
+// Ordering fields sent with a chunk, or null for clients that don't send them
+function parseChunkMeta(body, receivedAt) {
+  const seq = Number(body.chunkSeq);
+  const recordingId = typeof body.recordingId === "string" ? body.recordingId.slice(0, 64) : "";
+  if (!recordingId || !Number.isInteger(seq) || seq < 0) return null;
   
-  // Stop all auto-summary timers
-  for (const [sessionCode, timer] of activeSummaryTimers) {
-    clearInterval(timer);
-    console.log(`⏰ Stopped timer for session ${sessionCode}`);
-  }
-  
-  // Mark all sessions as inactive in database
-  await db.collection("sessions").updateMany({}, { $set: { active: false } });
-  console.log('💾 Marked all sessions as inactive');
+  // The device clock may be off, so only trust differences between its own timestamps:
+  // the audio started (sentAt - chunkStartedAt) before this upload reached us
+  const startedAt = Number(body.chunkStartedAt);
+  const sentAt = Number(body.sentAt);
+  const age = Number.isFinite(startedAt) && Number.isFinite(sentAt) ? sentAt - startedAt : NaN;
+  const recordedAt = age >= 0 ? receivedAt - age : receivedAt;
   
-  process.exit(0);
-});
+  return { recordingId, seq, recordedAt };
+}
+
+// A chunk rejected before it was queued still takes its place in the recording, so the next
+// chunk sees a predecessor and isn't held for the whole reorder window
+async function skipChunk(body, sessionCode, groupNumber, reason) {
+  const chunk = parseChunkMeta(body, Date.now());
+  if (!chunk) return;
+  const { duplicate } = await jobQueue.enqueue("skip_chunk", `${sessionCode}-${parseInt(groupNumber)}`, {
+    sessionCode,
+    groupNumber,
+    recordingId: chunk.recordingId,
+    chunkSeq: chunk.seq,
+    reason
+  }, { id: chunkJobId(sessionCode, groupNumber, chunk.recordingId, chunk.seq), order: chunk.recordedAt });
+  if (!duplicate) {
+    await jobQueue.release(chunkJobId(sessionCode, groupNumber, chunk.recordingId, chunk.seq + 1));
+  }
+}
 
 /* New 30-second chunk transcription endpoint */
 app.post("/api/transcribe-chunk", upload.single('file'), async (req, res) => {
@@ -3647,11 +5792,18 @@ app.post("/api/transcribe-chunk", upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: "Session code and group number are required", success: false });
     }
     
+    const joinToken = await verifyJoinToken(req.body.joinToken, { code: sessionCode, group: groupNumber });
+    if (!joinToken) {
+      console.log(`🚫 Rejected chunk for session ${sessionCode}, group ${groupNumber}: invalid or revoked join token`);
+      return res.status(401).json({ error: "Invalid or revoked join link", success: false });
+    }
+    
     console.log(`📁 Processing chunk: ${audioBuffer.length} bytes, mimetype: ${mimeType}, session: ${sessionCode}, group: ${groupNumber}`);
     
     // Enhanced chunk validation
     if (audioBuffer.length < 100) {
       console.log("⚠️ Chunk too small, skipping");
+      await skipChunk(req.body, sessionCode, groupNumber, "too small");
       return res.json({ 
         success: false, 
         message: "Chunk too small (< 100 bytes)",
@@ -3661,6 +5813,7 @@ app.post("/api/transcribe-chunk", upload.single('file'), async (req, res) => {
     
     if (audioBuffer.length > 10 * 1024 * 1024) { // 10MB limit
       console.log("⚠️ Chunk too large, skipping");
+      await skipChunk(req.body, sessionCode, groupNumber, "too large");
       return res.status(400).json({ error: "Chunk too large (>10MB)", success: false });
     }
     
@@ -3683,6 +5836,7 @@ app.post("/api/transcribe-chunk", upload.single('file'), async (req, res) => {
     // Validate WebM containers more strictly
     if (mimeType.includes('webm') && header !== '1a45dfa3') {
       console.log(`❌ Invalid WebM container, header: ${header}`);
+      await skipChunk(req.body, sessionCode, groupNumber, "invalid WebM container");
       return res.status(400).json({ 
         error: "Invalid WebM container - corrupted audio data", 
         success: false,
@@ -3690,286 +5844,513 @@ app.post("/api/transcribe-chunk", upload.single('file'), async (req, res) => {
       });
     }
     
-    // Direct forward to ElevenLabs using form-data with retry logic
-    const FormData = (await import('form-data')).default;
-    const formData = new FormData();
+    const receivedAt = Date.now();
+    const chunk = parseChunkMeta(req.body, receivedAt);
+    const jobOptions = {};
+    if (chunk) {
+      jobOptions.id = chunkJobId(sessionCode, groupNumber, chunk.recordingId, chunk.seq);
+      jobOptions.order = chunk.recordedAt;
+      if (chunk.seq > 0 && !(await jobQueue.exists(chunkJobId(sessionCode, groupNumber, chunk.recordingId, chunk.seq - 1)))) {
+        console.log(`🔀 Chunk ${chunk.seq} of recording ${chunk.recordingId} arrived before chunk ${chunk.seq - 1}, holding it for up to ${CHUNK_REORDER_WINDOW_MS}ms`);
+        jobOptions.runAt = receivedAt + CHUNK_REORDER_WINDOW_MS;
+      }
+    }
     
-    formData.append('model_id', 'scribe_v1');
-    formData.append('file', audioBuffer, {
+    // Queue the chunk and acknowledge straight away. Transcription and AI analysis run in the
+    // background job queue and reach the student and teacher over Socket.IO.
+    const { id: jobId, duplicate } = await jobQueue.enqueue("transcribe_chunk", `${sessionCode}-${parseInt(groupNumber)}`, {
+      sessionCode,
+      groupNumber,
+      mimeType,
       filename: req.file.originalname || `chunk_${Date.now()}.webm`,
-      contentType: mimeType
-    });
-    
-    console.log("🌐 Forwarding to ElevenLabs Speech-to-Text API...");
-    
-    const startTime = Date.now();
-    let response;
-    let retryCount = 0;
-    const maxRetries = 3;
+      chunkSize: audioBuffer.length,
+      recordingId: chunk?.recordingId ?? null,
+      chunkSeq: chunk?.seq ?? null,
+      recordedAt: chunk?.recordedAt ?? receivedAt,
+      receivedAt,
+      audio: audioBuffer
+    }, jobOptions);
     
-    // Retry logic for ElevenLabs API
-    while (retryCount < maxRetries) {
-      try {
-        response = await fetch('https://api.elevenlabs.io/v1/speech-to-text', {
-          method: 'POST',
-          headers: {
-            'xi-api-key': process.env.ELEVENLABS_KEY,
-            ...formData.getHeaders()
-          },
-          body: formData,
-          timeout: 30000 // 30 second timeout
-        });
-        
-        if (response.ok) {
-          break; // Success, exit retry loop
-        } else if (response.status === 429) {
-          // Rate limit - wait and retry
-          console.log(`⏳ Rate limited, retrying in ${Math.pow(2, retryCount)} seconds...`);
-          await new Promise(resolve => setTimeout(resolve, Math.pow(2, retryCount) * 1000));
-          retryCount++;
-        } else if (response.status >= 500) {
-          // Server error - retry
-          console.log(`🔄 Server error ${response.status}, retrying...`);
-          retryCount++;
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        } else {
-          // Client error - don't retry
-          break;
-        }
-      } catch (fetchError) {
-        console.error(`❌ Network error (attempt ${retryCount + 1}):`, fetchError);
-        retryCount++;
-        if (retryCount < maxRetries) {
-          await new Promise(resolve => setTimeout(resolve, Math.pow(2, retryCount) * 1000));
-        }
-      }
+    // A held successor no longer needs to wait once this chunk is in
+    if (chunk && !duplicate) {
+      await jobQueue.release(chunkJobId(sessionCode, groupNumber, chunk.recordingId, chunk.seq + 1));
     }
     
-    const processingTime = Date.now() - startTime;
+    console.log(`📥 Chunk ${duplicate ? "already queued" : "queued"} as job ${jobId} (session ${sessionCode}, group ${groupNumber}${chunk ? `, seq ${chunk.seq}` : ""})`);
+    res.status(202).json({
+      success: true,
+      queued: true,
+      duplicate,
+      jobId,
+      message: duplicate ? "Chunk already received" : "Chunk accepted for processing",
+      chunkSize: audioBuffer.length
+    });
     
-    if (!response || !response.ok) {
-      let errorText = 'Unknown error';
-      try {
-        errorText = await response.text();
-      } catch (e) {
-        // Ignore text parsing errors
-      }
+  } catch (err) {
+    console.error("❌ Chunk upload error:", err);
+    res.status(500).json({ 
+      error: "Internal server error while queueing chunk", 
+      details: err.message,
+      success: false,
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
+function transcriptionErrorMessage(status) {
+  if (status === 400) return "Audio format not supported or corrupted";
+  if (status === 401) return "Transcription service authentication failed";
+  if (status === 429) return "Transcription service rate limit exceeded";
+  if (status >= 500) return "Transcription service server error";
+  return "Transcription service temporarily unavailable";
+}
+
+/* Background job: transcribe a queued chunk and run the group's AI processing */
+async function processChunkJob(job) {
+  const { sessionCode, groupNumber, mimeType, filename, recordedAt, receivedAt } = job.payload;
+  const audioBuffer = Buffer.from(job.payload.audio.buffer);
+  
+  const session = await db.collection("sessions").findOne({ code: sessionCode });
+  if (!session) {
+    console.log(`⚠️  Session ${sessionCode} not found in database - session may not have started recording yet`);
+    return;
+  }
+  
+  // Keep the audio before transcribing, so chunks that never transcribe can be backfilled later
+  const audioId = await archiveAudio({ id: job._id, session, groupNumber, buffer: audioBuffer, mimeType, recordedAt });
+  
+  console.log(`🌐 Job ${job._id}: forwarding ${audioBuffer.length} bytes to ${process.env.STT_PROVIDER || 'elevenlabs'} speech-to-text (attempt ${job.attempts})`);
+  const startTime = Date.now();
+  let result;
+  
+  try {
+    // The queue owns retries and backoff, so each attempt makes a single provider call
+    result = await transcribeAudio(audioBuffer, {
+      mimeType,
+      filename,
+      language: sttLanguage(session, groupNumber),
+      context: { sessionCode, groupNumber, fixture: getMockFixture(sessionCode) },
+      maxRetries: 1
+    });
+  } catch (sttError) {
+    if (!(sttError instanceof TranscriptionError)) throw sttError;
+    const status = sttError.status;
+    console.error(`❌ ${sttError.provider} speech-to-text error: ${status ?? sttError.message}`);
+    console.error('Error response:', sttError.details);
+    
+    // Rejected audio won't improve on retry; rate limits, outages and network errors might
+    const retryable = !(status >= 400 && status < 500 && status !== 429);
+    throw new JobError(transcriptionErrorMessage(status), { retryable });
+  }
+  
+  const processingTime = Date.now() - startTime;
+  console.log(`✅ ${result.provider} transcription successful (${processingTime}ms)`);
+  
+  // Nothing past this point sees the personal data the session redacts
+  const redacted = await redactTranscript(session, sessionCode, result.text || "", result.words);
+  result = { ...result, text: redacted.text, words: redacted.words };
+  const transcriptionText = result.text;
+  
+  // Skip empty transcriptions
+  if (!transcriptionText.trim()) {
+    console.log("⚠️ Empty transcription result, skipping database save");
+    return;
+  }
+  
+  const group = await findOrCreateGroup(session, groupNumber);
+  
+  // The job id doubles as the transcript id, so a retried job overwrites rather than duplicates
+  await processTranscriptionForGroup(session, group, transcriptionText, result, recordedAt, sessionCode, groupNumber, job._id);
+  
+  if (audioId) {
+    await db.collection("transcripts").updateOne({ _id: job._id }, { $set: { audio_id: audioId } });
+  }
+  
+  console.log("📝 Chunk transcription result:", {
+    text: transcriptionText.substring(0, 100) + (transcriptionText.length > 100 ? "..." : ""),
+    wordCount: result.words?.length || transcriptionText.split(' ').filter(w => w.trim().length > 0).length,
+    queuedFor: `${startTime - receivedAt}ms`
+  });
+}
+
+// Tell the teacher when a chunk could not be processed after every retry
+function notifyChunkFailed(job, err) {
+  const { sessionCode, groupNumber, chunkSize } = job.payload;
+  io.to(sessionCode).emit("upload_error", {
+    group: groupNumber,
+    error: err.message,
+    chunkSize,
+    timestamp: Date.now()
+  });
+}
+
+/* ---------- Reprocessing archived sessions ---------- */
+// Re-runs speech-to-text over a finished session's archived audio (optionally with another
+// provider, language or model), replaces its transcripts and rebuilds the summaries, checklist
+// progress or mindmap. Chunks whose live transcription failed get a transcript for the first time.
+// Progress is kept on the session document (sessions.reprocess).
+
+async function findOrCreateGroup(session, groupNumber) {
+  const number = parseInt(groupNumber);
+  let group = await db.collection("groups").findOne({ session_id: session._id, number });
+  if (!group) {
+    console.log(`⚠️  Group ${groupNumber} not found in database - creating new group`);
+    group = { _id: uuid(), session_id: session._id, number };
+    await db.collection("groups").insertOne(group);
+    console.log(`📝 Created new group: Session ${session.code}, Group ${groupNumber}, ID: ${group._id}`);
+  }
+  return group;
+}
+
+function setReprocessState(sessionId, fields) {
+  const update = Object.fromEntries(Object.entries(fields).map(([key, value]) => [`reprocess.${key}`, value]));
+  return db.collection("sessions").updateOne({ _id: sessionId }, { $set: update });
+}
+
+// Stored with speaker labels only; applySpeakerMapping swaps in roster names afterwards
+async function regenerateSummary(session, group, transcripts) {
+  const promptData = await db.collection("session_prompts").findOne({ session_id: session._id });
+  const summary = await summarise(conversationText(transcripts), promptData?.prompt || null);
+  await db.collection("summaries").findOneAndUpdate(
+    { group_id: group._id },
+    { $set: { text: summary, labelled_text: summary, updated_at: Date.now() }, $unset: { translations: "" } },
+    { upsert: true }
+  );
+}
+
+// Unlike live analysis, nothing is locked GREEN from before: the whole new transcript is judged afresh
+async function regenerateChecklist(session, group, texts) {
+  const criteria = await db.collection("checkbox_criteria")
+    .find({ session_id: session._id })
+    .sort({ order_index: 1, created_at: 1 })
+    .toArray();
+  if (criteria.length === 0) return;
+  
+  const checkboxSession = await db.collection("checkbox_sessions").findOne({ session_id: session._id });
+  const result = await processCheckboxTranscript(texts.join(' '), criteria, checkboxSession?.scenario || "", session.strictness || 2, []);
+  
+  const now = Date.now();
+  // Live progress may have stored the group number as a string
+  await db.collection("checkbox_progress").deleteMany({
+    session_id: session._id,
+    group_number: { $in: [group.number, String(group.number)] }
+  });
+  await db.collection("checkbox_progress").insertMany(criteria.map((criterion, idx) => {
+    const match = result.matches.find(m => m.criteria_index === idx);
+    const status = match?.status || 'grey';
+    return {
+      _id: uuid(),
+      session_id: session._id,
+      criteria_id: criterion._id,
+      group_number: group.number,
+      status,
+      completed: status === 'green',
+      quote: status === 'grey' ? null : match.quote,
+      completed_at: now,
+      created_at: now
+    };
+  }));
+}
+
+// Replay the live mindmap flow chunk by chunk, with the same three-chunk context window
+async function regenerateMindmap(session, texts) {
+  let mindmapData = null;
+  const history = [];
+  for (const text of texts) {
+    history.push(text);
+    if (history.length > 3) history.shift();
+    const contextualText = history.map((chunk, index) => {
+      const label = index === history.length - 1 ? 'CURRENT CHUNK' : `PREVIOUS CHUNK ${history.length - index - 1}`;
+      return `[${label}]: ${chunk}`;
+    }).join('\n\n');
+    
+    if (!mindmapData || !mindmapData.children || mindmapData.children.length === 0) {
+      mindmapData = await generateInitialMindmap(contextualText, session.main_topic) || mindmapData;
+    } else {
+      const expansion = await expandMindmap(contextualText, mindmapData, session.main_topic);
+      if (!expansion.filtered) mindmapData = expansion.updatedMindmap;
+    }
+  }
+  
+  if (mindmapData) {
+    await db.collection("sessions").updateOne(
+      { _id: session._id },
+      { $set: { mindmap_data: mindmapData, last_updated: new Date() } }
+    );
+  }
+}
+
+/* Background job: re-transcribe a session's archived audio and rebuild its analysis */
+async function reprocessSessionJob(job) {
+  const { sessionCode, provider, language, model } = job.payload;
+  const session = await db.collection("sessions").findOne({ code: sessionCode });
+  if (!session) {
+    throw new JobError(`Session ${sessionCode} no longer exists`, { retryable: false });
+  }
+  
+  const chunks = await db.collection("audio_chunks")
+    .find({ session_id: session._id, expires_at: { $gt: Date.now() } })
+    .sort({ group_number: 1, recorded_at: 1 })
+    .toArray();
+  await setReprocessState(session._id, { status: "running", total: chunks.length, done: 0, failed: 0, started_at: Date.now() });
+  console.log(`🔁 Reprocessing session ${sessionCode}: ${chunks.length} archived chunk(s) with ${provider || 'the default provider'}`);
+  
+  let done = 0;
+  let failed = 0;
+  const groups = new Map();
+  for (const chunk of chunks) {
+    try {
+      const audio = await getAudioStore(chunk.store).get(chunk.key);
+      if (!audio) throw new Error("archived audio is missing");
       
-      console.error(`❌ ElevenLabs API error after ${retryCount} retries: ${response?.status} ${response?.statusText}`);
-      console.error('Error response:', errorText);
+      const result = await transcribeAudio(audio, {
+        mimeType: extractMime(chunk.content_type || "audio/webm"),
+        filename: path.basename(chunk.key),
+        provider: provider || undefined,
+        language: language || sttLanguage(session, chunk.group_number),
+        model,
+        context: { sessionCode, groupNumber: chunk.group_number, fixture: session.mock_fixture || DEFAULT_FIXTURE },
+        maxRetries: 3
+      });
       
-      // Return more specific error messages
-      let errorMessage = "Transcription service temporarily unavailable";
-      if (response?.status === 400) {
-        errorMessage = "Audio format not supported or corrupted";
-      } else if (response?.status === 401) {
-        errorMessage = "Transcription service authentication failed";
-      } else if (response?.status === 429) {
-        errorMessage = "Transcription service rate limit exceeded";
-      } else if (response?.status >= 500) {
-        errorMessage = "Transcription service server error";
+      const redacted = await redactTranscript(session, sessionCode, (result.text || "").trim(), result.words);
+      const text = redacted.text;
+      result.words = redacted.words;
+      if (text) {
+        if (!groups.has(chunk.group_number)) {
+          groups.set(chunk.group_number, await findOrCreateGroup(session, chunk.group_number));
+        }
+        const words = transcriptWords(result.words);
+        const wordCount = result.words?.length || text.split(' ').filter(w => w.trim().length > 0).length;
+        const duration = result.words?.length ? result.words[result.words.length - 1].end : Math.max(5, Math.min(60, text.split(' ').length * 0.5));
+        const filterConfig = await filterConfigFor(session);
+        const filtered = await filterTranscript(session, chunk.group_number, chunk._id, text, result.language, filterConfig);
+        const flags = scanTranscript(text, { profanityWords: filterConfig.profanity.words });
+        await raiseSafeguardingAlerts(session, sessionCode, chunk.group_number, chunk._id, flags);
+        
+        // Archived audio shares its id with the transcript it produced
+        await db.collection("transcripts").replaceOne({ _id: chunk._id }, {
+          group_id: groups.get(chunk.group_number)._id,
+          text,
+          word_count: wordCount,
+          duration_seconds: duration,
+          created_at: chunk.recorded_at,
+          recorded_at: chunk.recorded_at,
+          segment_number: Math.floor(chunk.recorded_at / (session.interval_ms || 30000)),
+          words,
+          speakers: transcriptSpeakers(words),
+          audio_id: chunk._id,
+          stt_provider: result.provider,
+          language: normalizeLanguage(result.language),
+          reprocessed_at: Date.now(),
+          ...(filtered.noise && { is_noise: true, noise_filter: filtered.filter, noise_reason: filtered.reason }),
+          ...(flags.length && { safeguarding: flags.map(f => f.category) })
+        }, { upsert: true });
       }
-      
-      return res.status(response?.status || 500).json({ 
-        error: errorMessage,
-        details: errorText,
-        success: false,
-        retryCount: retryCount
-      });
+      done++;
+    } catch (err) {
+      failed++;
+      console.error(`❌ Reprocessing chunk ${chunk._id} of session ${sessionCode} failed:`, err.message);
     }
+    await setReprocessState(session._id, { done, failed });
+  }
+  
+  // Rebuild the analysis from every transcript the groups now have, archived or not
+  await setReprocessState(session._id, { status: "analyzing" });
+  const allGroups = await db.collection("groups").find({ session_id: session._id }).sort({ number: 1 }).toArray();
+  const mindmapTexts = [];
+  for (const group of allGroups) {
+    const transcripts = await db.collection("transcripts")
+      .find({ group_id: group._id, is_noise: { $ne: true } })
+      .sort({ created_at: 1 })
+      .toArray();
+    const texts = transcripts.map(t => t.text);
+    if (texts.length === 0) continue;
     
-    const result = await response.json();
-    console.log(`✅ ElevenLabs transcription successful (${processingTime}ms, ${retryCount} retries)`);
+    if (session.mode === "checkbox") {
+      await regenerateChecklist(session, group, texts);
+    } else if (session.mode === "mindmap") {
+      mindmapTexts.push(...texts);
+    } else {
+      await regenerateSummary(session, group, transcripts);
+    }
+    await applySpeakerMapping(session, group.number);
+  }
+  if (session.mode === "mindmap" && mindmapTexts.length > 0) {
+    await regenerateMindmap(session, mindmapTexts);
+  }
+  
+  await setReprocessState(session._id, { status: "done", finished_at: Date.now() });
+  console.log(`✅ Reprocessed session ${sessionCode}: ${done} chunk(s) transcribed, ${failed} failed`);
+}
+
+async function reprocessFailed(job, err) {
+  await db.collection("sessions").updateOne(
+    { code: job.payload.sessionCode },
+    { $set: { "reprocess.status": "failed", "reprocess.error": err.message, "reprocess.finished_at": Date.now() } }
+  );
+}
+
+/* Admin API: re-transcribe and re-analyze a past session from its archived audio */
+app.post("/api/history/session/:code/reprocess", requireTeacher, requirePermission("session:run"), express.json(), requireSessionOwner, async (req, res) => {
+  try {
+    const { code } = req.params;
+    const { provider = null, language = null, model = null } = req.body;
     
-    // Use the raw transcription without cleaning
-    let transcriptionText = result.text || "";
+    if (provider && !listSttProviders().includes(provider)) {
+      return res.status(400).json({ error: "Unknown speech-to-text provider", providers: listSttProviders() });
+    }
+    if ((language && (typeof language !== "string" || language.length > 10)) || (model && (typeof model !== "string" || model.length > 100))) {
+      return res.status(400).json({ error: "Invalid language or model" });
+    }
     
-    // Skip empty transcriptions
-    if (!transcriptionText.trim()) {
-      console.log("⚠️ Empty transcription result, skipping database save");
-      return res.json({
-        success: true,
-        message: "Empty transcription - no speech detected",
-        transcription: {
-          text: "",
-          words: [],
-          duration: 0,
-          wordCount: 0
-        },
-        processingTime: `${processingTime}ms`,
-        chunkSize: audioBuffer.length
-      });
+    const session = await db.collection("sessions").findOne({ code: code });
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    if (activeSessions.get(code)?.active) {
+      return res.status(409).json({ error: "Stop the session before reprocessing it" });
+    }
+    if (["queued", "running", "analyzing"].includes(session.reprocess?.status)) {
+      return res.status(409).json({ error: "This session is already being reprocessed" });
     }
     
-    // Save to database and generate summary
-    try {
-      // Get session and group
-      const session = await db.collection("sessions").findOne({ code: sessionCode });
-      if (!session) {
-        console.log(`⚠️  Session ${sessionCode} not found in database - session may not have started recording yet`);
-        return res.json({
-          success: true,
-          message: "Session not yet persisted - transcription processed but not saved",
-          transcription: {
-            text: transcriptionText,
-            words: result.words || [],
-            duration: result.words && result.words.length > 0 ? 
-              result.words[result.words.length - 1].end : 
-              Math.max(5, Math.min(60, transcriptionText.split(' ').length * 0.5)),
-            wordCount: result.words ? result.words.length : 
-              transcriptionText.split(' ').filter(w => w.trim().length > 0).length
-          },
-          processingTime: `${processingTime}ms`,
-          chunkSize: audioBuffer.length
-        });
-      }
-      
-      // Define the timestamp for this processing
-      const now = Date.now();
-      
-      const group = await db.collection("groups").findOne({ 
-        session_id: session._id, 
-        number: parseInt(groupNumber) 
-      });
-      if (!group) {
-        console.log(`⚠️  Group ${groupNumber} not found in database - creating new group`);
-        
-        // Create the group since it doesn't exist
-        const newGroupId = uuid();
-        await db.collection("groups").insertOne({
-          _id: newGroupId,
-          session_id: session._id,
-          number: parseInt(groupNumber)
-        });
-        
-        console.log(`📝 Created new group: Session ${sessionCode}, Group ${groupNumber}, ID: ${newGroupId}`);
-        
-        // Continue with the newly created group
-        const newGroup = { _id: newGroupId, session_id: session._id, number: parseInt(groupNumber) };
-        
-        // Save transcription and continue processing with the new group
-        await processTranscriptionForGroup(session, newGroup, transcriptionText, result, now, sessionCode, groupNumber);
-      } else {
-        // Process with existing group
-        await processTranscriptionForGroup(session, group, transcriptionText, result, now, sessionCode, groupNumber);
-      }
-      
-      console.log(`✅ Transcription and summary saved for session ${sessionCode}, group ${groupNumber}`);
-      
-    } catch (dbError) {
-      console.error("❌ Database error:", dbError);
-      // Still return success for transcription even if DB fails
-      return res.json({
-        success: true,
-        message: "Transcription successful but database save failed",
-        transcription: {
-          text: transcriptionText,
-          words: result.words || [],
-          duration: result.words && result.words.length > 0 ? 
-            result.words[result.words.length - 1].end : 
-            Math.max(5, Math.min(60, transcriptionText.split(' ').length * 0.5)),
-          wordCount: result.words ? result.words.length : 
-            transcriptionText.split(' ').filter(w => w.trim().length > 0).length
-        },
-        processingTime: `${processingTime}ms`,
-        chunkSize: audioBuffer.length,
-        dbError: dbError.message
-      });
+    const chunkCount = await db.collection("audio_chunks").countDocuments({ session_id: session._id, expires_at: { $gt: Date.now() } });
+    if (chunkCount === 0) {
+      return res.status(400).json({ error: "No archived audio for this session" });
     }
     
-    const finalResult = {
-      success: true,
-      transcription: {
-        text: transcriptionText,
-        words: result.words || [],
-        duration: result.words && result.words.length > 0 ? 
-          result.words[result.words.length - 1].end : 
-          Math.max(5, Math.min(60, transcriptionText.split(' ').length * 0.5)),
-        wordCount: result.words ? result.words.length : 
-          transcriptionText.split(' ').filter(w => w.trim().length > 0).length
-      },
-      processingTime: `${processingTime}ms`,
-      chunkSize: audioBuffer.length,
-      retryCount: retryCount
+    // The state is written before the job exists: a worker could otherwise start it and have its
+    // progress overwritten by this "queued" state
+    const jobId = uuid();
+    const reprocess = {
+      job_id: jobId,
+      status: "queued",
+      provider,
+      language,
+      model,
+      total: chunkCount,
+      done: 0,
+      failed: 0,
+      requested_by: req.teacher.id,
+      requested_at: Date.now()
     };
+    await db.collection("sessions").updateOne({ _id: session._id }, { $set: { reprocess } });
     
-    console.log("📝 Chunk transcription result:", {
-      text: transcriptionText.substring(0, 100) + (transcriptionText.length > 100 ? "..." : ""),
-      wordCount: finalResult.transcription.wordCount,
-      duration: finalResult.transcription.duration,
-      retries: retryCount
-    });
-    
-    res.json(finalResult);
+    // One attempt only: a failed run is restarted by the teacher, not replayed automatically
+    try {
+      await jobQueue.enqueue("reprocess_session", `reprocess-${code}`,
+        { sessionCode: code, provider, language, model },
+        { id: jobId, maxAttempts: 1 }
+      );
+    } catch (err) {
+      await setReprocessState(session._id, { status: "failed", error: "Could not queue reprocessing", finished_at: Date.now() });
+      throw err;
+    }
     
+    console.log(`🔁 Teacher ${req.teacher.email} queued reprocessing of session ${code} (${chunkCount} chunk(s))`);
+    res.status(202).json({ success: true, reprocess });
   } catch (err) {
-    console.error("❌ Chunk transcription error:", err);
-    res.status(500).json({ 
-      error: "Internal server error during transcription", 
-      details: err.message,
-      success: false,
-      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    console.error("❌ Failed to queue reprocessing:", err);
+    res.status(500).json({ error: "Failed to queue reprocessing" });
+  }
+});
+
+app.get("/api/history/session/:code/reprocess", requireTeacher, requireSessionOwner, async (req, res) => {
+  try {
+    const session = await db.collection("sessions").findOne({ code: req.params.code }, { projection: { _id: 1, reprocess: 1 } });
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    
+    const archivedChunks = await db.collection("audio_chunks").countDocuments({ session_id: session._id, expires_at: { $gt: Date.now() } });
+    res.json({
+      reprocess: session.reprocess || null,
+      archivedChunks,
+      providers: listSttProviders()
     });
+  } catch (err) {
+    console.error("❌ Failed to get reprocessing status:", err);
+    res.status(500).json({ error: "Failed to get reprocessing status" });
   }
 });
 
+/* ---------- Word timings and speakers ---------- */
+// Transcripts keep their words as { text, start, end, speaker }. Providers number speakers their
+// own way (ElevenLabs: speaker_0, speaker_1...), so labels are rewritten to speaker_1, speaker_2...
+// in order of first appearance. Diarization runs per chunk, so a label only holds within its chunk.
+function transcriptWords(words = []) {
+  const labels = new Map();
+  return words
+    .filter(w => (w.type || "word") === "word")
+    .map(w => {
+      if (w.speaker_id != null && !labels.has(w.speaker_id)) {
+        labels.set(w.speaker_id, `speaker_${labels.size + 1}`);
+      }
+      return { text: w.text, start: w.start, end: w.end, speaker: labels.get(w.speaker_id) ?? null };
+    });
+}
+
+function transcriptSpeakers(words = []) {
+  return [...new Set(words.map(w => w.speaker).filter(Boolean))];
+}
+
+// Translate a new chunk (and the group's summary) for groups with a translation target, caching
+// both next to the originals (translations.<language>) for the history pages. The summary goes
+// out with its "Speaker N" labels and gets roster names swapped in here, so the names never
+// reach the translation model.
+async function translateForGroup(session, group, groupNumber, transcriptId, text, labelledSummary = null, names = {}) {
+  const language = translationLanguage(session, groupNumber);
+  if (!language) return null;
+  
+  const [transcription, labelledTranslation] = await Promise.all([
+    translate(text, language),
+    labelledSummary ? translate(labelledSummary, language) : null
+  ]);
+  const translatedSummary = labelledTranslation ? applySpeakerNames(labelledTranslation, names) : null;
+  if (transcription) {
+    await db.collection("transcripts").updateOne({ _id: transcriptId }, { $set: { [`translations.${language}`]: transcription } });
+  }
+  if (translatedSummary) {
+    await db.collection("summaries").updateOne({ group_id: group._id }, { $set: { [`translations.${language}`]: translatedSummary } });
+  }
+  return { language, transcription, summary: translatedSummary };
+}
+
 // Helper function to process transcription for a group
-async function processTranscriptionForGroup(session, group, transcriptionText, result, now, sessionCode, groupNumber) {
+async function processTranscriptionForGroup(session, group, transcriptionText, result, now, sessionCode, groupNumber, transcriptId = uuid()) {
   try {
-    // Ensure 'now' is defined if not passed
+    // `now` is when the chunk's audio started recording; default to the present if not passed
     if (!now) {
       now = Date.now();
     }
     
-    // Filter out background noise, music, and non-educational content
-    const lowerText = transcriptionText.toLowerCase().trim();
-    const noisePatterns = [
-      /^\(.*music.*\)$/,
-      /^\(.*background.*\)$/,
-      /^\(.*noise.*\)$/,
-      /^\(.*chattering.*\)$/,
-      /^\(.*wind.*blowing.*\)$/,
-      /^\(.*keyboard.*\)$/,
-      /^\(.*clicking.*\)$/,
-      /^\(.*typing.*\)$/,
-      /^\(.*computer.*\)$/,
-      /^testing,?\s*testing\.?$/,
-      /^what the hell/,
-      /^okay\.?\s*\(pauses?\)\s*okay/,
-      /^cualquiera que sea/,
-      /^배경 소음/,
-      /^기계음 소리/,
-      /^bis zum nächsten mal/,
-      /^bis dann/,
-      /^haus zu hause/,
-      /^kształcenie/,
-      /^klikanie/,
-      /^geräusch vom tippen/,
-      /^ronco de moto/,
-      /^\(.*sounds?\)$/,
-      /^\(.*audio.*\)$/,
-      /^\(.*mechanical.*\)$/
-    ];
+    const language = normalizeLanguage(result.language);
+    const filterConfig = await filterConfigFor(session);
+    const filtered = await filterTranscript(session, groupNumber, transcriptId, transcriptionText, language, filterConfig);
     
-    const isNoise = noisePatterns.some(pattern => pattern.test(lowerText)) ||
-                   lowerText.length < 15 || // Increased from 10 to 15 - too short to be meaningful
-                   /^[\(\)\s\.,!?]*$/.test(lowerText) || // Only punctuation/parentheses
-                   /^\([^)]*\)\s*\([^)]*\)$/.test(lowerText); // Only parenthetical descriptions
-    
-    if (isNoise) {
-      console.log(`🔇 Noise/background transcript (still logging to UI): "${transcriptionText.substring(0, 50)}..."`);
-      // Log minimal transcript entry for timeline
-      const transcriptId = uuid();
-      await db.collection("transcripts").insertOne({
-        _id: transcriptId,
+    // Scan everything, skipped or not: profanity is both a filter and a safeguarding concern
+    const flags = scanTranscript(transcriptionText, { profanityWords: filterConfig.profanity.words });
+    await raiseSafeguardingAlerts(session, sessionCode, groupNumber, transcriptId, flags, now);
+    const safeguarding = flags.length ? { safeguarding: flags.map(f => f.category) } : {};
+    
+    if (filtered.noise) {
+      console.log(`🔇 Skipped transcript (${filtered.reason}, still logging to UI): "${transcriptionText.substring(0, 50)}..."`);
+      // Log minimal transcript entry for timeline (upserted so a retried job doesn't duplicate it)
+      await db.collection("transcripts").replaceOne({ _id: transcriptId }, {
         group_id: group._id,
         text: transcriptionText,
         word_count: transcriptionText.split(' ').filter(w => w.trim().length > 0).length,
         duration_seconds: 0,
         created_at: now,
+        recorded_at: now,
         segment_number: Math.floor(now / (session.interval_ms || 30000)),
-        is_noise: true
-      });
+        language,
+        is_noise: true,
+        noise_filter: filtered.filter,
+        noise_reason: filtered.reason,
+        ...safeguarding
+      }, { upsert: true });
       // Emit to teacher so transcript list shows every update
       io.to(sessionCode).emit("admin_update", {
         group: groupNumber,
@@ -3981,8 +6362,6 @@ async function processTranscriptionForGroup(session, group, transcriptionText, r
     }
     
     // Save the transcription segment
-    const transcriptId = uuid();
-    
     const wordCount = result.words && result.words.length > 0 ? 
       result.words.length : 
       transcriptionText.split(' ').filter(w => w.trim().length > 0).length;
@@ -3991,15 +6370,24 @@ async function processTranscriptionForGroup(session, group, transcriptionText, r
       result.words[result.words.length - 1].end : 
       Math.max(5, Math.min(60, transcriptionText.split(' ').length * 0.5));
     
-    await db.collection("transcripts").insertOne({
-      _id: transcriptId,
+    const words = transcriptWords(result.words);
+    const names = await speakerNameMap(sessionCode, groupNumber);
+    const turns = namedTurns(words, names.forTranscript(transcriptId));
+    
+    await db.collection("transcripts").replaceOne({ _id: transcriptId }, {
       group_id: group._id,
       text: transcriptionText,
       word_count: wordCount,
       duration_seconds: duration,
       created_at: now,
-      segment_number: Math.floor(now / (session.interval_ms || 30000))
-    });
+      recorded_at: now,
+      segment_number: Math.floor(now / (session.interval_ms || 30000)),
+      words,
+      speakers: transcriptSpeakers(words),
+      speaker_names: names.forTranscript(transcriptId),
+      language,
+      ...safeguarding
+    }, { upsert: true });
     
     // Check if this is a checkbox mode session
     if (session.mode === "checkbox") {
@@ -4114,6 +6502,7 @@ async function processTranscriptionForGroup(session, group, transcriptionText, r
             }
             
             if (shouldUpdate) {
+              const quoteSpeaker = quoteSpeakerFields(newQuote, allTranscriptsForGroup, names);
               await db.collection("checkbox_progress").findOneAndUpdate(
                 { 
                   session_id: session._id,
@@ -4126,7 +6515,8 @@ async function processTranscriptionForGroup(session, group, transcriptionText, r
                     quote: newQuote, // No quote for grey status
                     status: newStatus,
                     completed_at: now,
-                    group_number: groupNumber  // Ensure group_number is set
+                    group_number: groupNumber,  // Ensure group_number is set
+                    ...quoteSpeaker
                   }
                 },
                 { upsert: true }
@@ -4139,6 +6529,7 @@ async function processTranscriptionForGroup(session, group, transcriptionText, r
                 description: criterion.description,
                 completed: match.status === 'green',
                 quote: match.quote,
+                quoteSpeaker: quoteSpeaker.quote_speaker_name,
                 status: match.status
               });
               
@@ -4155,6 +6546,7 @@ async function processTranscriptionForGroup(session, group, transcriptionText, r
         io.to(sessionCode).emit("admin_update", {
           group: groupNumber,
           latestTranscript: transcriptionText,
+          latestTurns: turns,
           checkboxUpdates: progressUpdates,
           isActive: true
         });
@@ -4183,7 +6575,8 @@ async function processTranscriptionForGroup(session, group, transcriptionText, r
               rubric: c.rubric || '',
               status: progress?.status || 'grey',
               completed: progress?.completed || false,
-              quote: progress?.quote || null
+              quote: progress?.quote || null,
+              quoteSpeaker: progress?.quote_speaker_name || null
             };
           }),
           scenario: checkboxSession?.scenario || "",
@@ -4202,6 +6595,7 @@ async function processTranscriptionForGroup(session, group, transcriptionText, r
         
         // Send transcription to students in checkbox mode
         const roomName = `${sessionCode}-${groupNumber}`;
+        const translation = await translateForGroup(session, group, groupNumber, transcriptId, transcriptionText);
         io.to(roomName).emit("transcription_and_summary", {
           transcription: {
             text: transcriptionText, // Current chunk only
@@ -4211,6 +6605,7 @@ async function processTranscriptionForGroup(session, group, transcriptionText, r
             wordCount: wordCount
           },
           summary: "Checkbox mode: Real-time discussion analysis", // Simple summary for checkbox mode
+          translation,
           isLatestSegment: true
         });
         
@@ -4228,6 +6623,7 @@ async function processTranscriptionForGroup(session, group, transcriptionText, r
     
     // Create cumulative conversation text (chronological order)
     const cumulativeText = allTranscripts.map(t => t.text).join(' ');
+    const conversation = conversationText(allTranscripts.filter(t => !t.is_noise));
     
     // Generate summary of the entire conversation so far
     console.log("🤖 Generating summary of full conversation...");
@@ -4240,17 +6636,20 @@ async function processTranscriptionForGroup(session, group, transcriptionText, r
       customPrompt = promptData?.prompt || null;
     }
     
-    const summary = await summarise(cumulativeText, customPrompt);
+    // The model refers to "Speaker N"; the stored text has mapped roster names swapped in
+    const labelledSummary = await summarise(conversation, customPrompt);
+    const summary = applySpeakerNames(labelledSummary, names.groupWide);
     
     // Save/update the summary
     await db.collection("summaries").findOneAndUpdate(
       { group_id: group._id },
-      { $set: { text: summary, updated_at: now } },
+      { $set: { text: summary, labelled_text: labelledSummary, updated_at: now } },
       { upsert: true }
     );
     
     // Send both new transcription and updated summary to clients
     const roomName = `${sessionCode}-${groupNumber}`;
+    const translation = await translateForGroup(session, group, groupNumber, transcriptId, transcriptionText, labelledSummary, names.groupWide);
     io.to(roomName).emit("transcription_and_summary", {
       transcription: {
         text: transcriptionText, // Current chunk only
@@ -4260,6 +6659,7 @@ async function processTranscriptionForGroup(session, group, transcriptionText, r
         wordCount: wordCount
       },
       summary,
+      translation,
       isLatestSegment: true
     });
     
@@ -4267,6 +6667,7 @@ async function processTranscriptionForGroup(session, group, transcriptionText, r
     io.to(sessionCode).emit("admin_update", {
       group: groupNumber,
       latestTranscript: transcriptionText,
+      latestTurns: turns,
       cumulativeTranscript: cumulativeText, // Add full conversation for admin
       transcriptDuration: duration,
       transcriptWordCount: wordCount,
@@ -4303,7 +6704,7 @@ async function processTranscriptionForGroup(session, group, transcriptionText, r
 }
 
 /* Test mode detection endpoint */
-app.post("/api/checkbox/test", express.json(), async (req, res) => {
+app.post("/api/checkbox/test", requireTeacher, requirePermission("session:run"), express.json(), requireSessionOwner, async (req, res) => {
   try {
     const { sessionCode, transcript } = req.body;
     
@@ -4356,7 +6757,7 @@ async function processTestTranscript(sessionCode, transcript) {
 }
 
 /* New mindmap-specific chunk transcription endpoint */
-app.post("/api/transcribe-mindmap-chunk", upload.single('file'), async (req, res) => {
+app.post("/api/transcribe-mindmap-chunk", requireTeacher, requirePermission("session:run"), upload.single('file'), requireSessionOwner, async (req, res) => {
   const startTime = Date.now();
   
   try {
@@ -4382,9 +6783,14 @@ app.post("/api/transcribe-mindmap-chunk", upload.single('file'), async (req, res
       });
     }
 
+    // Mindmap sessions record as a single group; keep the audio so the mindmap can be rebuilt later
+    await archiveAudio({ id: uuid(), session, groupNumber: 1, buffer: file.buffer, mimeType: file.mimetype, recordedAt: startTime });
+    
     // Transcribe the audio chunk
     console.log(`🎯 Transcribing audio chunk...`);
-    const transcriptionResult = await transcribe(file.buffer, file.mimetype);
+    const transcriptionResult = await transcribe(file.buffer, file.mimetype, {
+      sessionCode, groupNumber: 1, fixture: getMockFixture(sessionCode)
+    }, { language: sttLanguage(session, 1) });
     
     // Extract transcript text properly
     let transcript = '';
@@ -4399,6 +6805,7 @@ app.post("/api/transcribe-mindmap-chunk", upload.single('file'), async (req, res
     
     // Ensure we have a valid string
     transcript = String(transcript || '').trim();
+    transcript = (await redactTranscript(session, sessionCode, transcript)).text;
     
     if (!transcript || transcript.length === 0) {
       return res.json({
@@ -4507,33 +6914,10 @@ app.post("/api/transcribe-mindmap-chunk", upload.single('file'), async (req, res
   }
 });
 
-// Cleanup function for inactive sessions (called on server shutdown)
-async function markAllSessionsInactive() {
-  try {
-    const result = await db.collection("sessions").updateMany(
-      { active: true },
-      { 
-        $set: { 
-          active: false, 
-          ended_at: new Date() 
-        } 
-      }
-    );
-    
-    // Clear all transcript histories
-    sessionTranscriptHistory.clear();
-    console.log("🗑️ Cleared all transcript histories");
-    
-    console.log(`💾 Marked ${result.modifiedCount} sessions as inactive`);
-  } catch (error) {
-    console.error("❌ Error marking sessions inactive:", error);
-  }
-}
-
 // ... existing code ...
 
 // Enhanced session cleanup
-app.delete("/api/sessions/:sessionCode", async (req, res) => {
+app.delete("/api/sessions/:sessionCode", requireTeacher, requirePermission("session:run"), requireSessionOwner, async (req, res) => {
   try {
     const { sessionCode } = req.params;
     
@@ -4567,14 +6951,14 @@ app.delete("/api/sessions/:sessionCode", async (req, res) => {
 /* ---------- Comprehensive Data Access API ---------- */
 
 /* Get all sessions with comprehensive data across all modes */
-app.get("/api/data/sessions", async (req, res) => {
+app.get("/api/data/sessions", requireTeacher, async (req, res) => {
   try {
     const { limit = 20, offset = 0, mode = null } = req.query;
     
     console.log(`📊 Fetching comprehensive session data (limit: ${limit}, offset: ${offset}, mode: ${mode})`);
     
     // Build query filter
-    const query = {};
+    const query = { ...ownerFilter(req), deleted_at: null };
     if (mode && ['summary', 'mindmap', 'checkbox'].includes(mode)) {
       query.mode = mode;
     }
@@ -4700,7 +7084,7 @@ app.get("/api/data/sessions", async (req, res) => {
 });
 
 /* Get detailed data for a specific session */
-app.get("/api/data/session/:sessionCode", async (req, res) => {
+app.get("/api/data/session/:sessionCode", requireTeacher, requireSessionOwner, async (req, res) => {
   try {
     const { sessionCode } = req.params;
     
@@ -4814,8 +7198,15 @@ function formatDuration(ms) {
 
 /* ---------- Teacher Prompt Management API ---------- */
 
+// Teachers may only edit or delete their own prompts (and ones saved before prompts had authors);
+// school admins may edit any prompt
+function promptEditFilter(req, id) {
+  if (can(req.teacher, "accounts:manage")) return { _id: id };
+  return { _id: id, $or: [{ author_id: req.teacher.id }, { author_id: { $exists: false } }] };
+}
+
 /* Get all prompts with filtering and search */
-app.get("/api/prompts", async (req, res) => {
+app.get("/api/prompts", requireTeacher, async (req, res) => {
   try {
     const { 
       search = "", 
@@ -4885,7 +7276,7 @@ app.get("/api/prompts", async (req, res) => {
 });
 
 /* Get a specific prompt by ID */
-app.get("/api/prompts/:id", async (req, res) => {
+app.get("/api/prompts/:id", requireTeacher, async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -4917,7 +7308,7 @@ app.get("/api/prompts/:id", async (req, res) => {
 });
 
 /* Create a new prompt */
-app.post("/api/prompts", express.json(), async (req, res) => {
+app.post("/api/prompts", requireTeacher, requirePermission("prompts:write"), express.json(), async (req, res) => {
   try {
     const { 
       title, 
@@ -4949,6 +7340,7 @@ app.post("/api/prompts", express.json(), async (req, res) => {
       tags: Array.isArray(tags) ? tags.map(tag => tag.trim()).filter(tag => tag.length > 0) : [],
       isPublic: Boolean(isPublic),
       authorName: authorName.trim(),
+      author_id: req.teacher.id,
       created_at: now,
       updated_at: now,
       views: 0,
@@ -4972,7 +7364,7 @@ app.post("/api/prompts", express.json(), async (req, res) => {
 });
 
 /* Update an existing prompt */
-app.put("/api/prompts/:id", express.json(), async (req, res) => {
+app.put("/api/prompts/:id", requireTeacher, requirePermission("prompts:write"), express.json(), async (req, res) => {
   try {
     const { id } = req.params;
     const { 
@@ -5006,7 +7398,7 @@ app.put("/api/prompts/:id", express.json(), async (req, res) => {
     if (authorName) updateData.authorName = authorName.trim();
     
     const result = await db.collection("teacher_prompts").updateOne(
-      { _id: id },
+      promptEditFilter(req, id),
       { $set: updateData }
     );
     
@@ -5029,13 +7421,13 @@ app.put("/api/prompts/:id", express.json(), async (req, res) => {
 });
 
 /* Delete a prompt */
-app.delete("/api/prompts/:id", async (req, res) => {
+app.delete("/api/prompts/:id", requireTeacher, requirePermission("prompts:delete"), async (req, res) => {
   try {
     const { id } = req.params;
     
     console.log(`📝 Deleting prompt: ${id}`);
     
-    const result = await db.collection("teacher_prompts").deleteOne({ _id: id });
+    const result = await db.collection("teacher_prompts").deleteOne(promptEditFilter(req, id));
     
     if (result.deletedCount === 0) {
       return res.status(404).json({ error: "Prompt not found" });
@@ -5053,7 +7445,7 @@ app.delete("/api/prompts/:id", async (req, res) => {
 });
 
 /* Use/apply a prompt (increments usage counter) */
-app.post("/api/prompts/:id/use", express.json(), async (req, res) => {
+app.post("/api/prompts/:id/use", requireTeacher, express.json(), async (req, res) => {
   try {
     const { id } = req.params;
     const { sessionCode } = req.body;
@@ -5087,7 +7479,7 @@ app.post("/api/prompts/:id/use", express.json(), async (req, res) => {
 });
 
 /* Get prompt statistics */
-app.get("/api/prompts/stats/overview", async (req, res) => {
+app.get("/api/prompts/stats/overview", requireTeacher, async (req, res) => {
   try {
     console.log("📊 Fetching prompt statistics");
     
@@ -5141,7 +7533,7 @@ app.get("/api/prompts/stats/overview", async (req, res) => {
 });
 
 /* Duplicate/clone a prompt */
-app.post("/api/prompts/:id/clone", express.json(), async (req, res) => {
+app.post("/api/prompts/:id/clone", requireTeacher, requirePermission("prompts:write"), express.json(), async (req, res) => {
   try {
     const { id } = req.params;
     const { authorName = "Anonymous Teacher" } = req.body;
@@ -5161,6 +7553,7 @@ app.post("/api/prompts/:id/clone", express.json(), async (req, res) => {
       _id: clonedPromptId,
       title: `${originalPrompt.title} (Copy)`,
       authorName: authorName.trim(),
+      author_id: req.teacher.id,
       created_at: now,
       updated_at: now,
       views: 0,
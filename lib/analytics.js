@@ -0,0 +1,144 @@
+/* ---------- Participation analytics ---------- */
+// Built from the word timings and speaker labels stored on transcripts ({ text, start, end, speaker },
+// seconds from the start of the chunk). Chunks are placed on one timeline by recorded_at, the time
+// their audio started. Speaker labels come from per-chunk diarization and are numbered afresh in
+// every chunk, so speaker_1 in one chunk need not be speaker_1 in the next: talk is added up per
+// student where the teacher has mapped a label to a roster name (speaker_names), and an unmapped
+// label only counts within its own chunk.
+
+// Consecutive words by the same speaker
+export function speakerTurns(words = []) {
+  const turns = [];
+  for (const word of words) {
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === word.speaker) {
+      last.text += ` ${word.text}`;
+      last.end = word.end;
+    } else {
+      turns.push({ speaker: word.speaker, start: word.start, end: word.end, text: word.text });
+    }
+  }
+  return turns;
+}
+
+function round(value, places = 1) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+// How evenly talk time is spread: Shannon entropy of the shares divided by its maximum, ln(n).
+// 1 means everyone spoke equally, values near 0 mean one speaker dominated. Needs two speakers.
+export function equityIndex(talkSeconds) {
+  const values = talkSeconds.filter(v => v > 0);
+  const total = values.reduce((sum, v) => sum + v, 0);
+  if (values.length < 2 || total === 0) return null;
+  const entropy = -values.reduce((sum, v) => sum + (v / total) * Math.log(v / total), 0);
+  return round(entropy / Math.log(values.length), 3);
+}
+
+// When a transcript's audio started (ms); older transcripts only have the time they were stored
+function recordedAt(transcript) {
+  return transcript.recorded_at ?? transcript.created_at;
+}
+
+// Participation for one group from its transcripts (each { recorded_at, words, speaker_names }).
+// Speakers come back one per student, plus one per unmapped label and chunk (with its `segment`,
+// counting timed chunks from 1). The equity index compares students when every speaker is mapped;
+// otherwise labels can't be matched across chunks, so it is each chunk's own index, weighted by
+// the talk time in that chunk.
+export function groupParticipation(transcripts) {
+  const speakers = new Map();
+  const timeline = [];
+  const chunkEquity = [];
+  let unattributedSeconds = 0;
+  let turns = 0;
+  let timedSegments = 0;
+
+  for (const transcript of transcripts) {
+    const words = transcript.words || [];
+    if (words.length === 0) continue;
+    timedSegments++;
+    const offset = recordedAt(transcript) / 1000;
+    const names = transcript.speaker_names || {};
+    const keyOf = label => names[label] ? `student:${names[label]}` : `segment:${timedSegments}:${label}`;
+    const chunkTalk = new Map();
+
+    for (const word of words) {
+      const seconds = Math.max(0, word.end - word.start);
+      timeline.push({ start: offset + word.start, end: offset + word.end });
+      if (!word.speaker) {
+        unattributedSeconds += seconds;
+        continue;
+      }
+      const key = keyOf(word.speaker);
+      const stats = speakers.get(key) || {
+        speaker: word.speaker,
+        name: names[word.speaker] || null,
+        segment: names[word.speaker] ? null : timedSegments,
+        talkSeconds: 0,
+        turns: 0,
+        words: 0
+      };
+      stats.talkSeconds += seconds;
+      stats.words++;
+      speakers.set(key, stats);
+      chunkTalk.set(key, (chunkTalk.get(key) || 0) + seconds);
+    }
+
+    for (const turn of speakerTurns(words)) {
+      if (!turn.speaker) continue;
+      speakers.get(keyOf(turn.speaker)).turns++;
+      turns++;
+    }
+
+    const talk = [...chunkTalk.values()];
+    chunkEquity.push({ index: equityIndex(talk), talk: talk.reduce((sum, v) => sum + v, 0) });
+  }
+
+  // Longest gap with nobody speaking; chunks overlap slightly, so track the furthest end seen
+  timeline.sort((a, b) => a.start - b.start);
+  let longestSilence = 0;
+  let spokenUntil = null;
+  for (const word of timeline) {
+    if (spokenUntil !== null) longestSilence = Math.max(longestSilence, word.start - spokenUntil);
+    spokenUntil = spokenUntil === null ? word.end : Math.max(spokenUntil, word.end);
+  }
+
+  const list = Array.from(speakers.values()).sort((a, b) => b.talkSeconds - a.talkSeconds);
+  const talkSeconds = list.reduce((sum, s) => sum + s.talkSeconds, 0);
+
+  let equity;
+  if (list.every(s => s.name)) {
+    equity = equityIndex(list.map(s => s.talkSeconds));
+  } else {
+    const scored = chunkEquity.filter(c => c.index !== null && c.talk > 0);
+    const weight = scored.reduce((sum, c) => sum + c.talk, 0);
+    equity = weight > 0 ? round(scored.reduce((sum, c) => sum + c.index * c.talk, 0) / weight, 3) : null;
+  }
+
+  return {
+    speakers: list.map(s => ({
+      speaker: s.speaker,
+      name: s.name,
+      segment: s.segment,
+      talkSeconds: round(s.talkSeconds),
+      share: talkSeconds > 0 ? round(s.talkSeconds / talkSeconds, 3) : 0,
+      turns: s.turns,
+      words: s.words
+    })),
+    talkSeconds: round(talkSeconds),
+    unattributedSeconds: round(unattributedSeconds),
+    turns,
+    longestSilenceSeconds: round(longestSilence),
+    equityIndex: equity,
+    timedSegments,
+    diarized: list.length > 0
+  };
+}
+
+// Session equity is the average over the groups that have one
+export function sessionEquityIndex(groups) {
+  const values = groups.map(g => g.equityIndex).filter(v => v !== null);
+  if (values.length === 0) return null;
+  return round(values.reduce((sum, v) => sum + v, 0) / values.length, 3);
+}
@@ -0,0 +1,110 @@
+import fs from "fs/promises";
+import path from "path";
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
+
+/* ---------- Audio archive blob stores ---------- */
+// Every store keeps audio chunks under a key and exposes the same three calls:
+//   put(key, buffer, { contentType }), get(key) -> Buffer | null, delete(key)
+// The active store is picked with AUDIO_ARCHIVE (local | s3); unset leaves archiving off.
+
+export class AudioStoreError extends Error {
+  constructor(message, { store = null } = {}) {
+    super(message);
+    this.name = "AudioStoreError";
+    this.store = store;
+  }
+}
+
+/* Local disk (single server, or a volume shared by every instance) */
+const local = {
+  name: "local",
+  root() {
+    return path.resolve(process.env.AUDIO_ARCHIVE_DIR || "data/audio");
+  },
+  // Keys come from our own ids, but never let one escape the archive directory
+  file(key) {
+    const file = path.resolve(this.root(), key);
+    if (!file.startsWith(this.root() + path.sep)) {
+      throw new AudioStoreError(`Invalid archive key: ${key}`, { store: "local" });
+    }
+    return file;
+  },
+  async put(key, buffer) {
+    const file = this.file(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+  },
+  async get(key) {
+    try {
+      return await fs.readFile(this.file(key));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  },
+  async delete(key) {
+    await fs.rm(this.file(key), { force: true });
+  }
+};
+
+/* Any S3-compatible object store (AWS S3, MinIO, Cloudflare R2...) */
+const s3 = {
+  name: "s3",
+  client: null,
+  bucket() {
+    const bucket = process.env.AUDIO_ARCHIVE_BUCKET;
+    if (!bucket) throw new AudioStoreError("AUDIO_ARCHIVE_BUCKET is not set", { store: "s3" });
+    return bucket;
+  },
+  s3Client() {
+    if (!this.client) {
+      this.client = new S3Client({
+        region: process.env.AUDIO_ARCHIVE_REGION || "us-east-1",
+        endpoint: process.env.AUDIO_ARCHIVE_ENDPOINT || undefined,
+        // MinIO and most self-hosted stores only support path-style bucket URLs
+        forcePathStyle: Boolean(process.env.AUDIO_ARCHIVE_ENDPOINT),
+        credentials: process.env.AUDIO_ARCHIVE_ACCESS_KEY ? {
+          accessKeyId: process.env.AUDIO_ARCHIVE_ACCESS_KEY,
+          secretAccessKey: process.env.AUDIO_ARCHIVE_SECRET_KEY
+        } : undefined
+      });
+    }
+    return this.client;
+  },
+  async put(key, buffer, { contentType }) {
+    await this.s3Client().send(new PutObjectCommand({
+      Bucket: this.bucket(), Key: key, Body: buffer, ContentType: contentType
+    }));
+  },
+  async get(key) {
+    try {
+      const result = await this.s3Client().send(new GetObjectCommand({ Bucket: this.bucket(), Key: key }));
+      return Buffer.from(await result.Body.transformToByteArray());
+    } catch (err) {
+      if (err.name === "NoSuchKey") return null;
+      throw err;
+    }
+  },
+  async delete(key) {
+    await this.s3Client().send(new DeleteObjectCommand({ Bucket: this.bucket(), Key: key }));
+  }
+};
+
+const stores = new Map([local, s3].map(s => [s.name, s]));
+
+export function registerAudioStore(store) {
+  stores.set(store.name, store);
+}
+
+export function isAudioArchiveEnabled() {
+  return Boolean(process.env.AUDIO_ARCHIVE);
+}
+
+// Records remember which store holds them, so pass that name back when reading or deleting
+export function getAudioStore(name = process.env.AUDIO_ARCHIVE) {
+  const store = stores.get(name);
+  if (!store) {
+    throw new AudioStoreError(`Unknown audio archive store: ${name}`, { store: name });
+  }
+  return store;
+}
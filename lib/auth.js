@@ -0,0 +1,149 @@
+import crypto from "crypto";
+
+/* ---------- Teacher authentication ---------- */
+// Passwords are hashed with scrypt; logins get an HMAC-signed token (JWT-style
+// header.payload.signature) delivered as an HttpOnly cookie. No extra dependencies.
+
+export const AUTH_COOKIE = "sc_auth";
+const TOKEN_TTL_SECONDS = Number(process.env.AUTH_TOKEN_TTL_SECONDS) || 12 * 60 * 60; // 12h
+
+let secret = process.env.AUTH_SECRET;
+if (!secret) {
+  secret = crypto.randomBytes(32).toString("hex");
+  console.warn("⚠️ AUTH_SECRET not set - using a random secret, teachers will be logged out on restart");
+}
+
+/* Passwords */
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const candidate = crypto.scryptSync(password, salt, 64);
+  const expected = Buffer.from(hash, "hex");
+  return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+}
+
+/* Signed tokens */
+function base64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+function sign(data) {
+  return crypto.createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+export function signToken(payload, ttlSeconds = TOKEN_TTL_SECONDS) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + ttlSeconds }));
+  return `${header}.${body}.${sign(`${header}.${body}`)}`;
+}
+
+// Returns the payload, or null when the token is malformed, tampered with or expired
+export function verifyToken(token) {
+  if (typeof token !== "string") return null;
+  const [header, body, signature] = token.split(".");
+  if (!header || !body || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${body}`));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString());
+    if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch (e) {
+    return null;
+  }
+}
+
+/* Cookies */
+// Other apps on the same domain can set cookies we can't decode; those are skipped, not fatal
+export function parseCookies(header) {
+  const cookies = {};
+  String(header || "").split(";").forEach(part => {
+    const idx = part.indexOf("=");
+    if (idx < 0) return;
+    const key = part.slice(0, idx).trim();
+    if (!key) return;
+    try {
+      cookies[key] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch (e) {
+      // Malformed percent-encoding
+    }
+  });
+  return cookies;
+}
+
+export function authCookie(token) {
+  const secure = process.env.NODE_ENV === "production" ? "; Secure" : "";
+  return `${AUTH_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${TOKEN_TTL_SECONDS}${secure}`;
+}
+
+export function clearAuthCookie() {
+  return `${AUTH_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+}
+
+// Teacher identity from a Cookie header or "Authorization: Bearer <token>". The token only
+// proves who the teacher is; role and lead teacher come from the account (see currentTeacher).
+export function teacherFromHeaders(headers = {}) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || "");
+  const token = bearer ? bearer[1] : parseCookies(headers.cookie)[AUTH_COOKIE];
+  const payload = verifyToken(token);
+  if (!payload || payload.typ !== "teacher") return null;
+  return { id: payload.sub, email: payload.email, name: payload.name };
+}
+
+// index.js registers how to load an account by id: -> { id, email, name, role, leadTeacherId } or null
+let loadAccount = null;
+
+export function setAccountLoader(loader) {
+  loadAccount = loader;
+}
+
+// The logged-in teacher as the account stands now, so a role change or a removed account applies
+// to the next request instead of when the token expires. Null when not logged in.
+export async function currentTeacher(headers) {
+  const identity = teacherFromHeaders(headers);
+  if (!identity) return null;
+  if (!loadAccount) throw new Error("No teacher account loader registered");
+  return loadAccount(identity.id);
+}
+
+/* Student join tokens */
+// A join token binds a device to one session and group. The token id is stored in
+// join_tokens so a teacher can revoke it while the session is running.
+const JOIN_TOKEN_TTL_SECONDS = Number(process.env.JOIN_TOKEN_TTL_SECONDS) || TOKEN_TTL_SECONDS;
+
+export function signJoinToken({ id, code, group }) {
+  return signToken({ typ: "student", sub: id, code: String(code), group: Number(group) }, JOIN_TOKEN_TTL_SECONDS);
+}
+
+// Returns { id, code, group, exp } for a valid student token, otherwise null (revocation is checked by the caller)
+export function readJoinToken(token) {
+  const payload = verifyToken(token);
+  if (!payload || payload.typ !== "student" || !payload.sub) return null;
+  return { id: payload.sub, code: payload.code, group: payload.group, exp: payload.exp };
+}
+
+/* Express middleware */
+export async function requireTeacher(req, res, next) {
+  let teacher;
+  try {
+    teacher = await currentTeacher(req.headers);
+  } catch (err) {
+    console.error("❌ Failed to load teacher account:", err);
+    return res.status(500).json({ error: "Failed to check authentication" });
+  }
+  if (!teacher) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+  req.teacher = teacher;
+  next();
+}
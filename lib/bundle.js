@@ -0,0 +1,120 @@
+import { v4 as uuid } from "uuid";
+
+/* ---------- Session bundles ---------- */
+// A whole session as one JSON document, for backups and for moving sessions between
+// deployments. index.js serializes it as MongoDB Extended JSON so dates and ObjectIds survive:
+//   { format: "classroom-session", version: 1, exported_at, session: {...},
+//     collections: { groups: [...], transcripts: [...], ... } }
+// Archived audio and the encrypted originals of redacted personal data stay behind: the audio
+// lives in the blob store and the originals can only be read with the source's PII_SECRET.
+
+export const BUNDLE_FORMAT = "classroom-session";
+export const BUNDLE_VERSION = 1;
+
+// How each collection hangs off a session (`by`), and which fields point at other documents in
+// the bundle ("session" is the session document itself). Fields named session_code hold the
+// session's code rather than an id.
+export const BUNDLE_COLLECTIONS = {
+  groups: { by: "session_id", refs: { session_id: "session" } },
+  transcripts: { by: "group_id", refs: { group_id: "groups" } },
+  summaries: { by: "group_id", refs: { group_id: "groups" } },
+  session_prompts: { by: "session_id", refs: { session_id: "session" } },
+  checkbox_sessions: { by: "session_id", refs: { session_id: "session" } },
+  checkbox_criteria: { by: "session_id", refs: { session_id: "session" } },
+  checkbox_progress: { by: "session_id", refs: { session_id: "session", criteria_id: "checkbox_criteria" } },
+  mindmap_sessions: { by: "session_id", refs: { session_id: "session" } },
+  mindmap_nodes: { by: "session_id", refs: { session_id: "session" } },
+  mindmap_archives: { by: "session_id", refs: { session_id: "session" } },
+  session_logs: { by: "session_id", refs: { session_id: "session", transcript_id: "transcripts" } },
+  roster: { by: "session_code", refs: {} },
+  speaker_mappings: { by: "session_code", refs: { student_id: "roster", transcript_id: "transcripts" } }
+};
+
+// Fields that only mean something on the deployment that wrote them
+const DROPPED_FIELDS = {
+  session: ["teacher_id", "reprocess", "deleted_at", "deleted_by"],
+  transcripts: ["audio_id"]
+};
+
+export class BundleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BundleError";
+  }
+}
+
+function isDocument(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Throws BundleError for anything that can't be imported; returns warnings about references to
+// documents missing from the bundle, which are cleared on import rather than rejected
+export function validateBundle(bundle) {
+  if (!isDocument(bundle) || bundle.format !== BUNDLE_FORMAT) {
+    throw new BundleError(`Not a session bundle (expected format "${BUNDLE_FORMAT}")`);
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > BUNDLE_VERSION) {
+    throw new BundleError(`Unsupported bundle version ${bundle.version}; this server reads versions 1 to ${BUNDLE_VERSION}`);
+  }
+  if (!isDocument(bundle.session) || bundle.session._id == null) {
+    throw new BundleError("Bundle has no session");
+  }
+  if (typeof bundle.session.code !== "string" || !/^[A-Za-z0-9_-]{1,32}$/.test(bundle.session.code)) {
+    throw new BundleError("Session code must be 1-32 letters, digits, dashes or underscores");
+  }
+  if (!isDocument(bundle.collections)) {
+    throw new BundleError("Bundle has no collections");
+  }
+
+  const ids = { session: new Set([String(bundle.session._id)]) };
+  for (const [name, docs] of Object.entries(bundle.collections)) {
+    if (!BUNDLE_COLLECTIONS[name]) throw new BundleError(`Unknown collection "${name}"`);
+    if (!Array.isArray(docs)) throw new BundleError(`Collection "${name}" must be an array`);
+    ids[name] = new Set();
+    for (const doc of docs) {
+      if (!isDocument(doc) || doc._id == null) throw new BundleError(`Every document in "${name}" needs an _id`);
+      const id = String(doc._id);
+      if (ids[name].has(id)) throw new BundleError(`Duplicate _id ${id} in "${name}"`);
+      ids[name].add(id);
+    }
+  }
+
+  const warnings = [];
+  for (const [name, docs] of Object.entries(bundle.collections)) {
+    for (const [field, target] of Object.entries(BUNDLE_COLLECTIONS[name].refs)) {
+      const missing = docs.filter(doc => doc[field] != null && !ids[target]?.has(String(doc[field]))).length;
+      if (missing) warnings.push(`${missing} ${name} document(s) refer to a ${field} that isn't in the bundle`);
+    }
+  }
+  return warnings;
+}
+
+// A copy of a validated bundle with fresh ids for every document, references rewritten to
+// match and `code` as the session code: { session, collections }
+export function remapBundle(bundle, { code }) {
+  const newIds = new Map([[`session:${bundle.session._id}`, uuid()]]);
+  for (const [name, docs] of Object.entries(bundle.collections)) {
+    for (const doc of docs) newIds.set(`${name}:${doc._id}`, uuid());
+  }
+
+  const strip = (doc, fields = []) => Object.fromEntries(Object.entries(doc).filter(([key]) => !fields.includes(key)));
+
+  const session = {
+    ...strip(bundle.session, DROPPED_FIELDS.session),
+    _id: newIds.get(`session:${bundle.session._id}`),
+    code
+  };
+  const collections = {};
+  for (const [name, docs] of Object.entries(bundle.collections)) {
+    const { refs } = BUNDLE_COLLECTIONS[name];
+    collections[name] = docs.map(doc => {
+      const copy = { ...strip(doc, DROPPED_FIELDS[name]), _id: newIds.get(`${name}:${doc._id}`) };
+      for (const [field, target] of Object.entries(refs)) {
+        if (copy[field] != null) copy[field] = newIds.get(`${target}:${copy[field]}`) ?? null;
+      }
+      if ("session_code" in copy) copy.session_code = code;
+      return copy;
+    });
+  }
+  return { session, collections };
+}
@@ -0,0 +1,109 @@
+/* ---------- Caption export ---------- */
+// Turns a group's stored transcripts into WebVTT, SRT or plain text. Each transcript chunk is
+// placed at its recording time relative to the session start; inside a chunk, the word timings
+// from speech-to-text split it into short cues (new speaker, a pause, or a cue getting too long).
+// Chunks without word timings become one cue spanning their duration.
+//   transcripts: [{ created_at, duration_seconds, text, words: [{ text, start, end, speaker }], speaker_names }]
+
+export const CAPTION_FORMATS = {
+  vtt: { contentType: "text/vtt; charset=utf-8", extension: "vtt" },
+  srt: { contentType: "application/x-subrip; charset=utf-8", extension: "srt" },
+  txt: { contentType: "text/plain; charset=utf-8", extension: "txt" }
+};
+
+const MAX_CUE_CHARS = 84;
+const MAX_CUE_SECONDS = 7;
+const MAX_PAUSE_SECONDS = 1.5;
+
+function speakerName(speaker, names = {}) {
+  if (!speaker) return null;
+  return names[speaker] || speaker.replace("speaker_", "Speaker ");
+}
+
+// [{ start, end, speaker, text }] with times in seconds from `startTime` (ms)
+export function captionCues(transcripts, startTime) {
+  const cues = [];
+  for (const t of transcripts) {
+    const offset = Math.max(0, (t.created_at - startTime) / 1000);
+    const words = (t.words || []).filter(w => w.text && Number.isFinite(w.start) && Number.isFinite(w.end));
+    if (words.length === 0) {
+      if (!t.text) continue;
+      cues.push({ start: offset, end: offset + Math.max(t.duration_seconds || 0, 2), speaker: null, text: t.text.trim() });
+      continue;
+    }
+
+    let cue = null;
+    for (const word of words) {
+      const speaker = speakerName(word.speaker, t.speaker_names);
+      const text = cue ? `${cue.text} ${word.text}` : word.text;
+      const split = cue && (
+        speaker !== cue.speaker ||
+        offset + word.start - cue.end > MAX_PAUSE_SECONDS ||
+        text.length > MAX_CUE_CHARS ||
+        offset + word.end - cue.start > MAX_CUE_SECONDS
+      );
+      if (!cue || split) {
+        cue = { start: offset + word.start, end: offset + word.end, speaker, text: word.text };
+        cues.push(cue);
+      } else {
+        cue.text = text;
+        cue.end = offset + word.end;
+      }
+    }
+  }
+
+  // Chunks can overlap by a little; players expect cues in order and not running into the next one
+  cues.sort((a, b) => a.start - b.start);
+  for (let i = 0; i < cues.length - 1; i++) {
+    if (cues[i].end > cues[i + 1].start) cues[i].end = Math.max(cues[i].start + 0.1, cues[i + 1].start);
+  }
+  return cues;
+}
+
+function timestamp(seconds, separator) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, width = 2) => String(value).padStart(width, "0");
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+function escapeVtt(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+export function renderCaptions(cues, format, { title = "" } = {}) {
+  switch (format) {
+    case "vtt":
+      return [
+        title ? `WEBVTT - ${title}` : "WEBVTT",
+        "",
+        ...cues.flatMap(cue => [
+          `${timestamp(cue.start, ".")} --> ${timestamp(cue.end, ".")}`,
+          cue.speaker ? `<v ${escapeVtt(cue.speaker)}>${escapeVtt(cue.text)}` : escapeVtt(cue.text),
+          ""
+        ])
+      ].join("\n");
+    case "srt":
+      return cues.flatMap((cue, i) => [
+        String(i + 1),
+        `${timestamp(cue.start, ",")} --> ${timestamp(cue.end, ",")}`,
+        cue.speaker ? `${cue.speaker}: ${cue.text}` : cue.text,
+        ""
+      ]).join("\n");
+    case "txt": {
+      // One line per speaker turn rather than per cue, so it reads as a transcript
+      const lines = title ? [title, ""] : [];
+      let last = null;
+      for (const cue of cues) {
+        if (last && last.speaker === cue.speaker && cue.start - last.end <= MAX_PAUSE_SECONDS) {
+          lines[lines.length - 1] += ` ${cue.text}`;
+        } else {
+          lines.push(`[${timestamp(cue.start, ".").slice(0, 8)}] ${cue.speaker ? `${cue.speaker}: ` : ""}${cue.text}`);
+        }
+        last = cue;
+      }
+      return lines.join("\n") + "\n";
+    }
+    default:
+      throw new Error(`Unknown caption format: ${format}`);
+  }
+}
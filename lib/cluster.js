@@ -0,0 +1,147 @@
+import crypto from "crypto";
+import { createClient } from "redis";
+import { createAdapter } from "@socket.io/redis-adapter";
+
+/* ---------- Multi-instance support ---------- */
+// With REDIS_URL set, several server instances can run behind a load balancer:
+//  - Socket.IO rooms are shared through the Redis adapter, so io.to(code) reaches every instance
+//  - SharedMap replicates in-memory session state to Redis and to the other instances
+//  - lockSet() gives cluster-wide "already processing" guards
+// Without REDIS_URL everything stays in-process, exactly as a single server behaves.
+
+export const INSTANCE_ID = crypto.randomUUID();
+const KEY_PREFIX = process.env.REDIS_KEY_PREFIX || "sc";
+
+let pubClient = null;
+let subClient = null;
+const sharedMaps = [];
+
+export function isClustered() {
+  return pubClient !== null;
+}
+
+// Connect to Redis and install the Socket.IO adapter. Call once, before the server listens.
+export async function connectCluster(io) {
+  if (!process.env.REDIS_URL) {
+    console.log("🖥️ REDIS_URL not set - running as a single instance");
+    return false;
+  }
+
+  pubClient = createClient({ url: process.env.REDIS_URL });
+  subClient = pubClient.duplicate();
+  pubClient.on("error", err => console.error("❌ Redis error:", err.message));
+  subClient.on("error", err => console.error("❌ Redis subscriber error:", err.message));
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  io.adapter(createAdapter(pubClient, subClient, { key: `${KEY_PREFIX}:socket.io` }));
+
+  for (const map of sharedMaps) {
+    await map.attach();
+  }
+
+  console.log(`🔗 Connected to Redis - instance ${INSTANCE_ID} sharing rooms and session state`);
+  return true;
+}
+
+/* Replicated Map */
+// Reads stay synchronous against the local copy. Writes (set/delete/clear) update the local copy,
+// the Redis hash and every other instance. Values are JSON-serialized, so callers must call
+// set() again after mutating a stored object in place for the change to replicate.
+export class SharedMap extends Map {
+  constructor(name, { serialize = value => value, deserialize = value => value } = {}) {
+    super();
+    this.name = name;
+    this.hashKey = `${KEY_PREFIX}:map:${name}`;
+    this.channel = `${KEY_PREFIX}:map:${name}:events`;
+    this.serialize = serialize;
+    this.deserialize = deserialize;
+    sharedMaps.push(this);
+  }
+
+  // Load the shared copy (Redis wins over anything set locally before connecting) and follow updates
+  async attach() {
+    const localEntries = Array.from(super.entries());
+    const stored = await pubClient.hGetAll(this.hashKey);
+    for (const [key, json] of Object.entries(stored)) {
+      super.set(key, this.deserialize(JSON.parse(json)));
+    }
+    // Publish entries that only this instance knows about (e.g. restored from a checkpoint)
+    for (const [key, value] of localEntries) {
+      if (!(key in stored)) this.replicate("set", key, value);
+    }
+
+    await subClient.subscribe(this.channel, message => {
+      const { instance, op, key, value } = JSON.parse(message);
+      if (instance === INSTANCE_ID) return;
+      if (op === "set") super.set(key, this.deserialize(value));
+      else if (op === "delete") super.delete(key);
+      else if (op === "clear") super.clear();
+    });
+    console.log(`🔗 Shared map "${this.name}" attached (${Object.keys(stored).length} entries from Redis)`);
+  }
+
+  replicate(op, key, value) {
+    if (!pubClient) return;
+    const payload = op === "set" ? this.serialize(value) : undefined;
+    const write = op === "set"
+      ? pubClient.hSet(this.hashKey, key, JSON.stringify(payload))
+      : op === "delete" ? pubClient.hDel(this.hashKey, key) : pubClient.del(this.hashKey);
+    write
+      .then(() => pubClient.publish(this.channel, JSON.stringify({ instance: INSTANCE_ID, op, key, value: payload })))
+      .catch(err => console.error(`❌ Failed to replicate ${this.name}.${op}(${key ?? ""}):`, err.message));
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    // Map's constructor calls set() before our fields exist
+    if (this.hashKey) this.replicate("set", key, value);
+    return this;
+  }
+
+  delete(key) {
+    const existed = super.delete(key);
+    if (existed) this.replicate("delete", key);
+    return existed;
+  }
+
+  clear() {
+    super.clear();
+    this.replicate("clear");
+  }
+}
+
+/* Cluster-wide locks */
+// A Set-like guard whose keys expire, so a crashed instance can't hold a lock forever
+export function lockSet(name, ttlMs = 60000) {
+  const local = new Set();
+  const redisKey = key => `${KEY_PREFIX}:lock:${name}:${key}`;
+
+  return {
+    async acquire(key) {
+      if (!pubClient) {
+        if (local.has(key)) return false;
+        local.add(key);
+        return true;
+      }
+      const result = await pubClient.set(redisKey(key), INSTANCE_ID, { NX: true, PX: ttlMs });
+      return result === "OK";
+    },
+
+    // Only the instance holding a lock may release it
+    async release(key) {
+      if (!pubClient) {
+        local.delete(key);
+        return;
+      }
+      await pubClient.eval(
+        "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end",
+        { keys: [redisKey(key)], arguments: [INSTANCE_ID] }
+      );
+    }
+  };
+}
+
+export async function disconnectCluster() {
+  if (!pubClient) return;
+  await Promise.allSettled([pubClient.quit(), subClient.quit()]);
+}
@@ -0,0 +1,294 @@
+import { normalizeLanguage } from "./languages.js";
+
+/* ---------- Transcript filter pipeline ---------- */
+// Decides whether a transcript is noise to skip rather than speech worth analysing. Filters run in
+// this order and the first one that flags the transcript stops the pipeline:
+//   builtin     sound descriptions, mic checks and speech-to-text artefacts (per language: a phrase
+//               only counts when the group isn't expected to speak that language)
+//   regex       the school's or session's own rules
+//   min_length  too short to be meaningful; scripts that pack more per character get a lower cut-off
+//   profanity   listed words or phrases
+//   off_topic   optional LLM classifier against the session topic (the only costly one, so last)
+// Settings come in layers - built-in defaults, school settings, session overrides - merged per filter.
+
+export class FilterConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "FilterConfigError";
+  }
+}
+
+export const DEFAULT_FILTERS = {
+  builtin: { enabled: true },
+  regex: { enabled: true, rules: [] },
+  min_length: { enabled: true, chars: 15, dense_script_chars: 4 },
+  profanity: { enabled: false, words: [] },
+  off_topic: { enabled: false, topic: "" }
+};
+
+export const FILTER_NAMES = Object.keys(DEFAULT_FILTERS);
+
+const SOUND_DESCRIPTIONS = [
+  /^\(.*music.*\)$/,
+  /^\(.*background.*\)$/,
+  /^\(.*noise.*\)$/,
+  /^\(.*chattering.*\)$/,
+  /^\(.*wind.*blowing.*\)$/,
+  /^\(.*keyboard.*\)$/,
+  /^\(.*clicking.*\)$/,
+  /^\(.*typing.*\)$/,
+  /^\(.*computer.*\)$/,
+  /^\(.*sounds?\)$/,
+  /^\(.*audio.*\)$/,
+  /^\(.*mechanical.*\)$/,
+  /^\([^)]*\)\s*\([^)]*\)$/ // Only parenthetical descriptions
+];
+
+const MIC_CHECKS = [
+  /^testing,?\s*testing\.?$/,
+  /^what the hell/,
+  /^okay\.?\s*\(pauses?\)\s*okay/
+];
+
+const HALLUCINATIONS = {
+  es: [/^cualquiera que sea/],
+  ko: [/^배경 소음/, /^기계음 소리/],
+  de: [/^bis zum nächsten mal/, /^bis dann/, /^haus zu hause/, /^geräusch vom tippen/],
+  pl: [/^kształcenie/, /^klikanie/],
+  pt: [/^ronco de moto/]
+};
+
+const DENSE_SCRIPT_LANGUAGES = new Set(["zh", "ja", "ko"]);
+
+const LIMITS = { rules: 50, pattern: 200, reason: 100, words: 500, word: 50, topic: 200, chars: 200 };
+
+// Teacher-written patterns run against every transcript, so refuse the shapes that can backtrack
+// for ever on a long one: a repeated group that itself repeats or branches ((a+)+, (a|ab)*) and
+// backreferences. Returns why the pattern is unsafe, or null.
+export function unsafeRegexReason(pattern) {
+  if (/\\[1-9]|\\k</.test(pattern)) return "backreferences are not allowed";
+  const groups = [];
+  let closed = null;
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    const quantifier = ch === "*" || ch === "+" || ch === "?" || (ch === "{" && /^\{\d+(,\d*)?\}/.test(pattern.slice(i)));
+    if (quantifier) {
+      const repeats = ch === "*" || ch === "+" || /^\{\d+,\d*\}/.test(pattern.slice(i));
+      const unbounded = repeats && !/^\{\d+,\d+\}/.test(pattern.slice(i));
+      if (closed && unbounded && (closed.quantified || closed.alternation)) {
+        return "a repeated group can't contain another repetition or alternatives";
+      }
+      if (repeats && groups.length) groups[groups.length - 1].quantified = true;
+      if (ch === "{") i = pattern.indexOf("}", i);
+      closed = null;
+      continue;
+    }
+    closed = null;
+    if (ch === "\\") {
+      i++;
+    } else if (ch === "[") {
+      // Skip the class; a ] straight after [ or [^ is literal
+      let j = i + 1;
+      if (pattern[j] === "^") j++;
+      if (pattern[j] === "]") j++;
+      while (j < pattern.length && pattern[j] !== "]") j += pattern[j] === "\\" ? 2 : 1;
+      i = j;
+    } else if (ch === "(") {
+      groups.push({ quantified: false, alternation: false });
+    } else if (ch === ")") {
+      closed = groups.pop() || null;
+      // Repetition inside counts for the enclosing group too
+      if (closed && groups.length) {
+        const parent = groups[groups.length - 1];
+        parent.quantified ||= closed.quantified;
+        parent.alternation ||= closed.alternation;
+      }
+    } else if (ch === "|" && groups.length) {
+      groups[groups.length - 1].alternation = true;
+    }
+  }
+  return null;
+}
+
+// Layers are partial configs ({ min_length: { chars: 20 } }); later layers win
+export function mergeFilterConfig(...layers) {
+  const merged = {};
+  for (const name of FILTER_NAMES) {
+    merged[name] = Object.assign({}, ...layers.map(layer => layer?.[name] || {}));
+  }
+  return merged;
+}
+
+function checkCount(value, field) {
+  if (!Number.isInteger(value) || value < 0 || value > LIMITS.chars) {
+    throw new FilterConfigError(`${field} must be a whole number between 0 and ${LIMITS.chars}`);
+  }
+  return value;
+}
+
+// Clean up a school or session override before it is stored; throws FilterConfigError
+export function validateFilterConfig(config) {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new FilterConfigError("filters must be an object keyed by filter name");
+  }
+
+  const clean = {};
+  for (const [name, settings] of Object.entries(config)) {
+    if (!FILTER_NAMES.includes(name)) {
+      throw new FilterConfigError(`Unknown filter: ${name}`);
+    }
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+      throw new FilterConfigError(`Settings for ${name} must be an object`);
+    }
+
+    const out = {};
+    if ("enabled" in settings) out.enabled = Boolean(settings.enabled);
+
+    if (name === "regex" && "rules" in settings) {
+      if (!Array.isArray(settings.rules) || settings.rules.length > LIMITS.rules) {
+        throw new FilterConfigError(`regex.rules must be a list of up to ${LIMITS.rules} rules`);
+      }
+      out.rules = settings.rules.map(rule => {
+        const pattern = typeof rule === "string" ? rule : rule?.pattern;
+        const flags = rule?.flags || "i";
+        if (typeof pattern !== "string" || !pattern || pattern.length > LIMITS.pattern) {
+          throw new FilterConfigError(`Regex patterns must be 1-${LIMITS.pattern} characters`);
+        }
+        if (!/^[imsu]*$/.test(flags)) {
+          throw new FilterConfigError(`Unsupported regex flags: ${flags}`);
+        }
+        try {
+          new RegExp(pattern, flags);
+        } catch (err) {
+          throw new FilterConfigError(`Invalid regex ${pattern}: ${err.message}`);
+        }
+        const unsafe = unsafeRegexReason(pattern);
+        if (unsafe) {
+          throw new FilterConfigError(`Regex ${pattern} could take too long to run: ${unsafe}`);
+        }
+        return { pattern, flags, reason: String(rule?.reason || "").slice(0, LIMITS.reason) };
+      });
+    }
+    if (name === "min_length") {
+      if ("chars" in settings) out.chars = checkCount(settings.chars, "min_length.chars");
+      if ("dense_script_chars" in settings) out.dense_script_chars = checkCount(settings.dense_script_chars, "min_length.dense_script_chars");
+    }
+    if (name === "profanity" && "words" in settings) {
+      if (!Array.isArray(settings.words) || settings.words.length > LIMITS.words) {
+        throw new FilterConfigError(`profanity.words must be a list of up to ${LIMITS.words} words`);
+      }
+      out.words = [...new Set(settings.words
+        .map(word => String(word).trim().toLowerCase().slice(0, LIMITS.word))
+        .filter(Boolean))];
+    }
+    if (name === "off_topic" && "topic" in settings) {
+      out.topic = String(settings.topic || "").trim().slice(0, LIMITS.topic);
+    }
+    clean[name] = out;
+  }
+  return clean;
+}
+
+function builtinFilter(lowerText, { detected, expected }) {
+  if (SOUND_DESCRIPTIONS.some(pattern => pattern.test(lowerText))) return "Sound description, not speech";
+  if (/^[\(\)\s\.,!?]*$/.test(lowerText)) return "Only punctuation";
+  if (MIC_CHECKS.some(pattern => pattern.test(lowerText))) return "Mic check";
+  for (const [code, patterns] of Object.entries(HALLUCINATIONS)) {
+    if (!expected.has(code) && patterns.some(pattern => pattern.test(lowerText))) {
+      return `Known speech-to-text artefact (${code})`;
+    }
+  }
+  return null;
+}
+
+// Compiled rules by flags and pattern, so each is built once rather than for every transcript.
+// Rules saved before the safety check existed compile to null and are skipped.
+const compiledRules = new Map();
+const MAX_COMPILED_RULES = 1000;
+
+function compileRule({ pattern, flags }) {
+  const key = `${flags}/${pattern}`;
+  if (!compiledRules.has(key)) {
+    if (compiledRules.size >= MAX_COMPILED_RULES) compiledRules.clear();
+    let regex = null;
+    try {
+      if (!unsafeRegexReason(pattern)) regex = new RegExp(pattern, flags);
+    } catch {
+      // Stored rules were validated; an invalid one is skipped like an unsafe one
+    }
+    compiledRules.set(key, regex);
+  }
+  return compiledRules.get(key);
+}
+
+// Rules see the text as spoken; their own `i` flag decides whether case matters
+function regexFilter(lowerText, { settings, text }) {
+  for (const rule of settings.rules || []) {
+    if (compileRule(rule)?.test(text)) {
+      return rule.reason || `Matches /${rule.pattern}/`;
+    }
+  }
+  return null;
+}
+
+function minLengthFilter(lowerText, { settings, detected }) {
+  const min = DENSE_SCRIPT_LANGUAGES.has(detected) ? settings.dense_script_chars : settings.chars;
+  return lowerText.length < min ? `Shorter than ${min} characters` : null;
+}
+
+function profanityFilter(lowerText, { settings }) {
+  const words = new Set(lowerText.split(/[^\p{L}\p{N}']+/u).filter(Boolean));
+  const found = (settings.words || []).find(word => word.includes(" ") ? lowerText.includes(word) : words.has(word));
+  return found ? `Contains "${found}"` : null;
+}
+
+const CHECKS = { builtin: builtinFilter, regex: regexFilter, min_length: minLengthFilter, profanity: profanityFilter };
+
+// Resolves to { noise, filter, reason, decisions: [{ filter, noise, reason }] } for every filter that
+// ran. `language` is the transcript's detected language; `expectedLanguages` the ones the group
+// speaks. `classifyOffTopic(text, topic)` -> { offTopic, reason } is only called when off_topic is on.
+export async function runFilters(text, {
+  language = null,
+  expectedLanguages = [],
+  config = DEFAULT_FILTERS,
+  topic = null,
+  classifyOffTopic = null
+} = {}) {
+  const lowerText = text.toLowerCase().trim();
+  const expected = new Set(expectedLanguages.map(normalizeLanguage).filter(Boolean));
+  const context = {
+    text: text.trim(),
+    expected,
+    detected: normalizeLanguage(language) || (expected.size === 1 ? [...expected][0] : null)
+  };
+  const decisions = [];
+
+  for (const name of FILTER_NAMES) {
+    const settings = config[name] || {};
+    if (!settings.enabled) continue;
+
+    let reason = null;
+    if (name === "off_topic") {
+      const subject = settings.topic || topic;
+      if (!subject || !classifyOffTopic) {
+        decisions.push({ filter: name, noise: false, reason: "No topic to compare against" });
+        continue;
+      }
+      try {
+        const verdict = await classifyOffTopic(text, subject);
+        if (verdict.offTopic) reason = verdict.reason || `Not about ${subject}`;
+      } catch (err) {
+        // A classifier outage must not drop real discussion
+        decisions.push({ filter: name, noise: false, reason: `Classifier failed: ${err.message}` });
+        continue;
+      }
+    } else {
+      reason = CHECKS[name](lowerText, { ...context, settings });
+    }
+
+    decisions.push({ filter: name, noise: Boolean(reason), reason });
+    if (reason) return { noise: true, filter: name, reason, decisions };
+  }
+
+  return { noise: false, filter: null, reason: null, decisions };
+}
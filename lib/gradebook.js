@@ -0,0 +1,119 @@
+import ExcelJS from "exceljs";
+
+/* ---------- Checklist gradebook ---------- */
+// A markbook view of a checklist session: one row per group, one column per criterion holding
+// its status and evidence quote, and a score weighted by each criterion's `weight`. Met
+// (green) criteria earn their full weight; not met (red) or not yet observed (grey) earn
+// nothing. index.js gathers the data; this renders it as CSV or XLSX.
+
+export const GRADEBOOK_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" }
+};
+
+const STATUS_CREDIT = { green: 1, red: 0, grey: 0 };
+
+// Cell fills for the XLSX, matching the dashboard's checklist colours
+const STATUS_FILLS = { green: "FFD1FAE5", red: "FFFEE2E2", grey: "FFF3F4F6" };
+
+// Weights come from API clients as given, so strings and missing values are possible
+function weightOf(criterion) {
+  const weight = Number(criterion.weight);
+  return weight > 0 ? weight : 1;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// A group's progress on one criterion. Live grading upserts with the group number as a string,
+// next to the grey record seeded with a number, so match both and prefer the graded one.
+export function progressFor(progress, criterionId, groupNumber) {
+  const matches = progress.filter(p => p.criteria_id === criterionId && Number(p.group_number) === Number(groupNumber));
+  return matches.find(p => p.status && p.status !== "grey") || matches[0] || null;
+}
+
+// criteria: [{ _id, description, weight }]
+// progress: [{ criteria_id, group_number, status, quote, quote_speaker_name }]
+// -> { criteria: [{ description, weight }], rows: [{ group, cells: [{ status, quote, speaker }], score, maxScore, percent }] }
+export function buildGradebook(criteria, progress, groupNumbers) {
+  const maxScore = criteria.reduce((sum, c) => sum + weightOf(c), 0);
+  const rows = groupNumbers.map(number => {
+    let score = 0;
+    const cells = criteria.map(criterion => {
+      const p = progressFor(progress, criterion._id, number);
+      const status = p?.status || "grey";
+      score += weightOf(criterion) * (STATUS_CREDIT[status] ?? 0);
+      return { status, quote: p?.quote || null, speaker: p?.quote_speaker_name || null };
+    });
+    return {
+      group: number,
+      cells,
+      score: round(score),
+      maxScore: round(maxScore),
+      percent: maxScore > 0 ? Math.round((score / maxScore) * 100) : 0
+    };
+  });
+  return { criteria: criteria.map(c => ({ description: c.description, weight: weightOf(c) })), rows };
+}
+
+function cellText({ status, quote, speaker }) {
+  if (!quote) return status;
+  return `${status}: "${quote}"${speaker ? ` (${speaker})` : ""}`;
+}
+
+function headers(gradebook) {
+  return [
+    "Group",
+    ...gradebook.criteria.map(c => `${c.description} (weight ${c.weight})`),
+    "Score",
+    "Max score",
+    "Percent"
+  ];
+}
+
+// Quotes are student speech: keep spreadsheets from reading one as a formula
+function csvField(value) {
+  let text = String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsv(gradebook) {
+  const lines = [headers(gradebook)];
+  for (const row of gradebook.rows) {
+    lines.push([`Group ${row.group}`, ...row.cells.map(cellText), row.score, row.maxScore, `${row.percent}%`]);
+  }
+  // The BOM makes Excel open it as UTF-8
+  return Buffer.from("\uFEFF" + lines.map(line => line.map(csvField).join(",")).join("\r\n") + "\r\n", "utf8");
+}
+
+async function renderXlsx(gradebook, { title }) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.title = title;
+  const sheet = workbook.addWorksheet("Gradebook", { views: [{ state: "frozen", xSplit: 1, ySplit: 1 }] });
+
+  sheet.addRow(headers(gradebook)).font = { bold: true };
+  sheet.getColumn(1).width = 10;
+  gradebook.criteria.forEach((_, i) => { sheet.getColumn(i + 2).width = 40; });
+
+  for (const row of gradebook.rows) {
+    const added = sheet.addRow([`Group ${row.group}`, ...row.cells.map(cellText), row.score, row.maxScore, row.percent / 100]);
+    row.cells.forEach((cell, i) => {
+      const target = added.getCell(i + 2);
+      target.fill = { type: "pattern", pattern: "solid", fgColor: { argb: STATUS_FILLS[cell.status] || STATUS_FILLS.grey } };
+      target.alignment = { wrapText: true, vertical: "top" };
+    });
+    added.getCell(gradebook.criteria.length + 4).numFmt = "0%";
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+export async function renderGradebook(gradebook, format, { title = "Gradebook" } = {}) {
+  switch (format) {
+    case "csv": return renderCsv(gradebook);
+    case "xlsx": return renderXlsx(gradebook, { title });
+    default: throw new Error(`Unknown gradebook format: ${format}`);
+  }
+}
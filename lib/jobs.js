@@ -0,0 +1,235 @@
+import crypto from "crypto";
+
+/* ---------- Durable background job queue ---------- */
+// Jobs are MongoDB documents, so queued work survives restarts and is shared by every instance.
+//  - Jobs with the same `key` (e.g. session+group) run strictly one at a time, lowest `order` first
+//    (enqueue time unless the caller passes one)
+//  - Each instance runs at most `concurrency` jobs at once
+//  - Failed jobs are retried with exponential backoff; a running job holds a lease that other
+//    instances take over if the worker dies
+
+export class JobError extends Error {
+  constructor(message, { retryable = true } = {}) {
+    super(message);
+    this.name = "JobError";
+    this.retryable = retryable;
+  }
+}
+
+export class JobQueue {
+  constructor(collection, {
+    concurrency = Number(process.env.JOB_CONCURRENCY) || 4,
+    maxAttempts = Number(process.env.JOB_MAX_ATTEMPTS) || 5,
+    backoffMs = 2000,
+    pollMs = 1000,
+    leaseMs = 2 * 60 * 1000,
+    retentionHours = Number(process.env.JOB_RETENTION_HOURS) || 24
+  } = {}) {
+    this.collection = collection;
+    this.concurrency = concurrency;
+    this.maxAttempts = maxAttempts;
+    this.backoffMs = backoffMs;
+    this.pollMs = pollMs;
+    this.leaseMs = leaseMs;
+    this.retentionMs = retentionHours * 60 * 60 * 1000;
+    this.workerId = crypto.randomUUID();
+    this.handlers = new Map();
+    this.running = 0;
+    this.claiming = false;
+    this.timer = null;
+  }
+
+  async ensureIndexes() {
+    await this.collection.createIndex({ status: 1, key: 1, order: 1, created_at: 1 });
+    // Finished and failed jobs are dropped by MongoDB once expire_at passes (TTL needs a Date)
+    await this.collection.createIndex({ expire_at: 1 }, { expireAfterSeconds: 0 });
+  }
+
+  finishedFields(status) {
+    const now = Date.now();
+    return { status, finished_at: now, expire_at: new Date(now + this.retentionMs), locked_by: null, locked_until: null };
+  }
+
+  // `onFailed(job, err)` runs once a job has used up its attempts
+  register(type, handler, { onFailed = null } = {}) {
+    this.handlers.set(type, { handler, onFailed });
+  }
+
+  // Passing an `id` makes enqueue idempotent: a job that already exists is left as it is
+  async enqueue(type, key, payload, { maxAttempts = this.maxAttempts, id = crypto.randomUUID(), order, runAt } = {}) {
+    const now = Date.now();
+    const job = {
+      _id: id,
+      type,
+      key,
+      payload,
+      status: "queued",
+      attempts: 0,
+      max_attempts: maxAttempts,
+      order: order ?? now,
+      run_at: runAt ?? now,
+      created_at: now,
+      locked_by: null,
+      locked_until: null,
+      last_error: null,
+      finished_at: null
+    };
+    try {
+      await this.collection.insertOne(job);
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      console.log(`🧵 Job ${id} already queued, ignoring duplicate`);
+      return { id, duplicate: true };
+    }
+    setImmediate(() => this.tick());
+    return { id, duplicate: false };
+  }
+
+  async exists(id) {
+    return (await this.collection.countDocuments({ _id: id }, { limit: 1 })) > 0;
+  }
+
+  // Make a job that was enqueued with a later runAt runnable now (no-op once it has started)
+  async release(id) {
+    const result = await this.collection.updateOne(
+      { _id: id, status: "queued", attempts: 0 },
+      { $set: { run_at: Date.now() } }
+    );
+    if (result.modifiedCount > 0) setImmediate(() => this.tick());
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.pollMs);
+    console.log(`🧵 Job queue started (worker ${this.workerId}, concurrency ${this.concurrency})`);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async stats() {
+    const rows = await this.collection.aggregate([
+      { $group: { _id: "$status", count: { $sum: 1 } } }
+    ]).toArray();
+    return Object.fromEntries(rows.map(r => [r._id, r.count]));
+  }
+
+  // Fill free worker slots with runnable jobs
+  async tick() {
+    if (this.claiming || !this.timer) return;
+    this.claiming = true;
+    try {
+      await this.requeueExpired();
+      while (this.running < this.concurrency) {
+        const job = await this.claim();
+        if (!job) break;
+        this.running++;
+        this.run(job).finally(() => {
+          this.running--;
+          setImmediate(() => this.tick());
+        });
+      }
+    } catch (err) {
+      console.error("❌ Job queue poll failed:", err.message);
+    } finally {
+      this.claiming = false;
+    }
+  }
+
+  // Jobs whose worker stopped renewing its lease go back to the queue
+  async requeueExpired() {
+    const result = await this.collection.updateMany(
+      { status: "running", locked_until: { $lt: Date.now() } },
+      { $set: { status: "queued", run_at: Date.now(), locked_by: null, locked_until: null } }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`🧵 Requeued ${result.modifiedCount} job(s) with expired leases`);
+    }
+  }
+
+  // Only the first unfinished job of each key may run, which keeps per-key order
+  async claim() {
+    const now = Date.now();
+    const heads = await this.collection.aggregate([
+      { $match: { status: { $in: ["queued", "running"] } } },
+      { $sort: { order: 1, created_at: 1 } },
+      { $group: { _id: "$key", id: { $first: "$_id" }, status: { $first: "$status" }, run_at: { $first: "$run_at" }, created_at: { $first: "$created_at" } } },
+      { $match: { status: "queued", run_at: { $lte: now } } },
+      { $sort: { created_at: 1 } },
+      { $limit: this.concurrency * 2 }
+    ]).toArray();
+
+    for (const head of heads) {
+      const job = await this.collection.findOneAndUpdate(
+        { _id: head.id, status: "queued" },
+        {
+          $set: { status: "running", locked_by: this.workerId, locked_until: now + this.leaseMs, started_at: now },
+          $inc: { attempts: 1 }
+        },
+        { returnDocument: "after" }
+      );
+      if (job) return job;
+    }
+    return null;
+  }
+
+  async run(job) {
+    const { handler } = this.handlers.get(job.type) || {};
+    const renew = setInterval(() => {
+      this.collection.updateOne(
+        { _id: job._id, locked_by: this.workerId },
+        { $set: { locked_until: Date.now() + this.leaseMs } }
+      ).catch(err => console.warn(`⚠️ Failed to renew lease for job ${job._id}:`, err.message));
+    }, this.leaseMs / 2);
+
+    try {
+      if (!handler) throw new JobError(`No handler registered for job type ${job.type}`, { retryable: false });
+      if (job.attempts > job.max_attempts) throw new JobError("Worker lease expired too many times", { retryable: false });
+
+      await handler(job);
+      const result = await this.collection.updateOne(
+        { _id: job._id, locked_by: this.workerId },
+        { $set: this.finishedFields("done"), $unset: { "payload.audio": "" } }
+      );
+      if (result.modifiedCount === 0) this.leaseLost(job);
+    } catch (err) {
+      await this.fail(job, err);
+    } finally {
+      clearInterval(renew);
+    }
+  }
+
+  // Another worker took the job over after this one's lease expired; its outcome is the one that counts
+  leaseLost(job) {
+    console.warn(`⚠️ Job ${job.type} ${job._id} was taken over by another worker, leaving its state alone`);
+  }
+
+  // Updates after a run only apply while this worker still holds the lease
+  async fail(job, err) {
+    const owned = { _id: job._id, locked_by: this.workerId };
+    const retryable = err.retryable !== false && job.attempts < job.max_attempts;
+    if (retryable) {
+      const delayMs = this.backoffMs * Math.pow(2, job.attempts - 1);
+      const result = await this.collection.updateOne(
+        owned,
+        { $set: { status: "queued", run_at: Date.now() + delayMs, last_error: err.message, locked_by: null, locked_until: null } }
+      );
+      if (result.modifiedCount === 0) return this.leaseLost(job);
+      console.warn(`🔄 Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.max_attempts}): ${err.message} - retrying in ${delayMs}ms`);
+      return;
+    }
+
+    const result = await this.collection.updateOne(
+      owned,
+      { $set: { ...this.finishedFields("failed"), last_error: err.message }, $unset: { "payload.audio": "" } }
+    );
+    if (result.modifiedCount === 0) return this.leaseLost(job);
+    console.error(`❌ Job ${job.type} ${job._id} failed permanently after ${job.attempts} attempt(s): ${err.message}`);
+    const { onFailed } = this.handlers.get(job.type) || {};
+    if (onFailed) {
+      await Promise.resolve(onFailed(job, err)).catch(e => console.error(`❌ Failure handler for ${job.type} threw:`, e.message));
+    }
+  }
+}
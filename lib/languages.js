@@ -0,0 +1,46 @@
+/* ---------- Languages ---------- */
+// Sessions and groups store ISO 639-1 codes ("en", "de"). Providers report the detected language
+// in their own form: ElevenLabs as ISO 639-3 ("deu"), OpenAI Whisper as an English name ("german"),
+// whisper.cpp as ISO 639-1. normalizeLanguage() maps all of them back to the two-letter code.
+
+export const LANGUAGES = [
+  { code: "en", name: "English", aliases: ["eng"] },
+  { code: "es", name: "Spanish", aliases: ["spa", "castilian"] },
+  { code: "fr", name: "French", aliases: ["fra", "fre"] },
+  { code: "de", name: "German", aliases: ["deu", "ger"] },
+  { code: "it", name: "Italian", aliases: ["ita"] },
+  { code: "pt", name: "Portuguese", aliases: ["por"] },
+  { code: "nl", name: "Dutch", aliases: ["nld", "dut", "flemish"] },
+  { code: "pl", name: "Polish", aliases: ["pol"] },
+  { code: "sv", name: "Swedish", aliases: ["swe"] },
+  { code: "da", name: "Danish", aliases: ["dan"] },
+  { code: "no", name: "Norwegian", aliases: ["nor", "nob", "nb"] },
+  { code: "fi", name: "Finnish", aliases: ["fin"] },
+  { code: "el", name: "Greek", aliases: ["ell", "gre"] },
+  { code: "ru", name: "Russian", aliases: ["rus"] },
+  { code: "uk", name: "Ukrainian", aliases: ["ukr"] },
+  { code: "tr", name: "Turkish", aliases: ["tur"] },
+  { code: "ar", name: "Arabic", aliases: ["ara"] },
+  { code: "he", name: "Hebrew", aliases: ["heb"] },
+  { code: "hi", name: "Hindi", aliases: ["hin"] },
+  { code: "zh", name: "Chinese", aliases: ["zho", "chi", "cmn", "mandarin"] },
+  { code: "ja", name: "Japanese", aliases: ["jpn"] },
+  { code: "ko", name: "Korean", aliases: ["kor"] },
+  { code: "vi", name: "Vietnamese", aliases: ["vie"] },
+  { code: "id", name: "Indonesian", aliases: ["ind"] }
+];
+
+const lookup = new Map();
+for (const language of LANGUAGES) {
+  for (const key of [language.code, language.name.toLowerCase(), ...language.aliases]) {
+    lookup.set(key, language.code);
+  }
+}
+
+// Unlisted codes pass through, so a provider's less common languages are still recorded
+export function normalizeLanguage(value) {
+  if (typeof value !== "string") return null;
+  const key = value.trim().toLowerCase().replace(/_/g, "-").split("-")[0];
+  if (lookup.has(key)) return lookup.get(key);
+  return /^[a-z]{2,3}$/.test(key) ? key : null;
+}
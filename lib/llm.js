@@ -0,0 +1,162 @@
+import fetch from "node-fetch";
+
+/* ---------- LLM provider layer ---------- */
+// summarise(), translate(), the checkbox evaluator and the mindmap builders all go through complete().
+// The provider is picked with LLM_PROVIDER (anthropic | openai | local) and every mode
+// can override provider, model, temperature and max_tokens, e.g. LLM_CHECKBOX_MODEL.
+
+export class LlmError extends Error {
+  constructor(message, { status = null, details = null, provider = null } = {}) {
+    super(message);
+    this.name = "LlmError";
+    this.status = status;
+    this.details = details;
+    this.provider = provider;
+  }
+}
+
+// Per-mode defaults (these match the values the prompts were tuned with)
+const MODE_DEFAULTS = {
+  summary:      { maxTokens: 800,  temperature: 0 },
+  checkbox:     { maxTokens: 2000, temperature: 0 },
+  mindmap:      { maxTokens: 2000, temperature: 0 },
+  mindmap_node: { maxTokens: 300,  temperature: 0.3 },
+  translation:  { maxTokens: 1500, temperature: 0 },
+  off_topic:    { maxTokens: 200,  temperature: 0 }
+};
+
+async function postJson(provider, url, headers, body) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...headers },
+    body: JSON.stringify(body)
+  });
+
+  if (!res.ok) {
+    let errorText = "";
+    try {
+      errorText = await res.text();
+    } catch (e) {
+      // Ignore text parsing errors
+    }
+    throw new LlmError(`${provider} API error: ${res.status} ${res.statusText}`, {
+      status: res.status,
+      details: errorText,
+      provider
+    });
+  }
+
+  return res.json();
+}
+
+/* Anthropic Messages API */
+const anthropic = {
+  name: "anthropic",
+  defaultModel: "claude-sonnet-4-20250514",
+  apiKey: () => process.env.LLM_API_KEY || process.env.ANTHROPIC_API_KEY || process.env.ANTHROPIC_KEY,
+  async complete({ prompt, model, temperature, maxTokens }) {
+    const baseUrl = (process.env.LLM_API_URL || "https://api.anthropic.com/v1").replace(/\/$/, "");
+    const j = await postJson("anthropic", `${baseUrl}/messages`, {
+      "x-api-key": this.apiKey(),
+      "anthropic-version": "2023-06-01"
+    }, {
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [{ role: "user", content: prompt }]
+    });
+    return j.content?.[0]?.text ?? "";
+  }
+};
+
+// Shared by hosted OpenAI-compatible APIs and local Ollama / llama.cpp servers
+async function openAiChat(provider, baseUrl, apiKey, { prompt, model, temperature, maxTokens }) {
+  const j = await postJson(provider, `${baseUrl.replace(/\/$/, "")}/chat/completions`,
+    apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    {
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [{ role: "user", content: prompt }]
+    });
+  return j.choices?.[0]?.message?.content ?? "";
+}
+
+/* Any OpenAI-compatible chat completions endpoint */
+const openai = {
+  name: "openai",
+  defaultModel: "gpt-4o-mini",
+  apiKey: () => process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+  complete(options) {
+    return openAiChat("openai", process.env.LLM_API_URL || "https://api.openai.com/v1", this.apiKey(), options);
+  }
+};
+
+/* Self-hosted Ollama or llama.cpp server (both expose /v1/chat/completions) */
+const local = {
+  name: "local",
+  defaultModel: "llama3.1",
+  apiKey: () => process.env.LLM_API_KEY || "",
+  keyOptional: true,
+  complete(options) {
+    return openAiChat("local", process.env.LLM_API_URL || "http://127.0.0.1:11434/v1", this.apiKey(), options);
+  }
+};
+
+const providers = new Map([anthropic, openai, local].map(p => [p.name, p]));
+
+export function registerLlmProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+export function listLlmProviders() {
+  return Array.from(providers.keys());
+}
+
+// Resolve provider/model/temperature/max_tokens for a mode from env overrides
+export function getLlmConfig(mode) {
+  const prefix = `LLM_${mode.toUpperCase()}_`;
+  const env = process.env;
+  const defaults = MODE_DEFAULTS[mode] || MODE_DEFAULTS.summary;
+
+  const providerName = env[`${prefix}PROVIDER`] || env.LLM_PROVIDER || "anthropic";
+  const provider = providers.get(providerName);
+  if (!provider) {
+    throw new LlmError(`Unknown LLM provider: ${providerName}`, { provider: providerName });
+  }
+
+  const temperature = env[`${prefix}TEMPERATURE`] ?? env.LLM_TEMPERATURE;
+  const maxTokens = env[`${prefix}MAX_TOKENS`] ?? env.LLM_MAX_TOKENS;
+
+  return {
+    provider,
+    model: env[`${prefix}MODEL`] || env.LLM_MODEL || provider.defaultModel,
+    temperature: temperature !== undefined ? Number(temperature) : defaults.temperature,
+    maxTokens: maxTokens !== undefined ? parseInt(maxTokens) : defaults.maxTokens
+  };
+}
+
+// Whether the provider for this mode has the credentials it needs
+export function isLlmConfigured(mode) {
+  try {
+    const { provider } = getLlmConfig(mode);
+    return Boolean(provider.keyOptional || provider.apiKey());
+  } catch (e) {
+    return false;
+  }
+}
+
+// Run a single-turn prompt for the given mode and return the raw response text
+export async function complete(mode, prompt, overrides = {}) {
+  const config = getLlmConfig(mode);
+  const options = {
+    prompt,
+    model: overrides.model || config.model,
+    temperature: overrides.temperature ?? config.temperature,
+    maxTokens: overrides.maxTokens ?? config.maxTokens
+  };
+
+  console.log(`🌐 Calling ${config.provider.name} (${options.model}) for ${mode}`);
+  const text = await config.provider.complete(options);
+  return (text || "").trim();
+}
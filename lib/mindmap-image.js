@@ -0,0 +1,107 @@
+import { Resvg } from "@resvg/resvg-js";
+
+/* ---------- Mindmap image ---------- */
+// Draws a stored mindmap ({ name, children: [...] }) as a left-to-right tree for reports: the
+// root on the left, one column per level, leaves stacked top to bottom and each parent centred
+// on its children. mindmapSvg() gives the vector image, mindmapPng() a raster copy for formats
+// that need one (text uses the system's sans-serif font).
+
+const COLUMN_WIDTH = 280;
+const CHAR_WIDTH = 7;
+const LINE_HEIGHT = 15;
+const ROW_GAP = 14;
+const MARGIN = 20;
+const MAX_LINE_CHARS = 28;
+const MAX_LINES = 3;
+
+function wrapLabel(text) {
+  const lines = [];
+  let line = "";
+  for (const word of String(text || "").split(/\s+/).filter(Boolean)) {
+    if (line && (line + " " + word).length > MAX_LINE_CHARS) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  if (lines.length > MAX_LINES) {
+    lines.length = MAX_LINES;
+    lines[MAX_LINES - 1] = lines[MAX_LINES - 1].slice(0, MAX_LINE_CHARS - 1) + "…";
+  }
+  return lines.length ? lines : [""];
+}
+
+// { nodes: [{ x, y, depth, lines }], links: [{ from, to }], width, height }
+export function mindmapLayout(tree) {
+  const nodes = [];
+  const links = [];
+  let nextY = MARGIN;
+  let maxDepth = 0;
+
+  function place(node, depth) {
+    const lines = wrapLabel(node.name);
+    const height = lines.length * LINE_HEIGHT;
+    const laid = {
+      x: MARGIN + depth * COLUMN_WIDTH,
+      y: 0,
+      depth,
+      lines,
+      labelWidth: 16 + Math.max(...lines.map(line => line.length)) * CHAR_WIDTH
+    };
+    nodes.push(laid);
+    maxDepth = Math.max(maxDepth, depth);
+
+    const children = (node.children || []).map(child => place(child, depth + 1));
+    if (children.length) {
+      laid.y = (children[0].y + children[children.length - 1].y) / 2;
+      children.forEach(child => links.push({ from: laid, to: child }));
+    } else {
+      laid.y = nextY + height / 2;
+      nextY += height + ROW_GAP;
+    }
+    return laid;
+  }
+
+  place(tree, 0);
+  return {
+    nodes,
+    links,
+    width: MARGIN * 2 + maxDepth * COLUMN_WIDTH + COLUMN_WIDTH,
+    height: Math.max(nextY - ROW_GAP + MARGIN, 80)
+  };
+}
+
+function escapeXml(value) {
+  return value.replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" }[c]));
+}
+
+export function mindmapSvg(tree) {
+  const { nodes, links, width, height } = mindmapLayout(tree);
+  // Links leave from the end of the parent's label so they don't run through it
+  const paths = links.map(({ from, to }) => {
+    const startX = Math.min(from.x + from.labelWidth, to.x - 20);
+    const midX = (startX + to.x) / 2;
+    return `<path d="M${startX},${from.y} C${midX},${from.y} ${midX},${to.y} ${to.x},${to.y}" fill="none" stroke="#c7d2fe" stroke-width="1.5"/>`;
+  });
+  const labels = nodes.map(node => {
+    const top = node.y - (node.lines.length - 1) * LINE_HEIGHT / 2;
+    const weight = node.depth === 0 ? "bold" : "normal";
+    const text = node.lines.map((line, i) =>
+      `<tspan x="${node.x + 10}" y="${top + i * LINE_HEIGHT + 4}">${escapeXml(line)}</tspan>`).join("");
+    return `<circle cx="${node.x}" cy="${node.y}" r="${node.depth === 0 ? 6 : 4}" fill="${node.depth === 0 ? "#4f46e5" : "#818cf8"}"/>` +
+      `<text font-family="Arial, Helvetica, DejaVu Sans, sans-serif" font-size="12" font-weight="${weight}" fill="#111827">${text}</text>`;
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<rect width="100%" height="100%" fill="#ffffff"/>${paths.join("")}${labels.join("")}</svg>`;
+}
+
+export function mindmapPng(tree, { scale = 2 } = {}) {
+  const resvg = new Resvg(mindmapSvg(tree), {
+    fitTo: { mode: "zoom", value: scale },
+    font: { loadSystemFonts: true, defaultFontFamily: "DejaVu Sans" }
+  });
+  const image = resvg.render();
+  return { png: image.asPng(), width: image.width / scale, height: image.height / scale };
+}
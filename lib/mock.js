@@ -0,0 +1,257 @@
+/* ---------- Offline mock backend ---------- */
+// With MOCK_MODE=true every transcription and AI call is answered locally from scripted
+// fixtures, so the admin, checkbox and mindmap pages can be demoed without network access.
+// Outputs depend only on the fixture, the chunk sequence and the text, never on time or randomness.
+
+export const DEFAULT_FIXTURE = "titration";
+
+const FIXTURES = {
+  titration: {
+    title: "Chemistry: back titration of calcium carbonate",
+    mainTopic: "Back titration",
+    scenario: "Groups plan a back titration to find the purity of a calcium carbonate sample.",
+    criteria: [
+      { description: "Explains why back titration is used", rubric: "CaCO3 is not soluble in water" },
+      { description: "Names a suitable indicator", rubric: "methyl orange" },
+      { description: "States the end point criterion", rubric: "two consistent results within 0.1 cm3" }
+    ],
+    transcripts: [
+      "Okay so we need to figure out how much calcium carbonate is in the sample before we start.",
+      "We use a back titration because CaCO3 is not soluble in water, so we add excess hydrochloric acid first.",
+      "Then we titrate the leftover hydrochloric acid with sodium hydroxide to see how much acid reacted.",
+      "I think the indicator should be methyl orange because it changes colour sharply at the end point.",
+      "We keep repeating the titration until we get two consistent results within 0.1 cm3 of each other.",
+      "So the moles of acid that reacted tell us the moles of calcium carbonate in the sample."
+    ]
+  },
+  photosynthesis: {
+    title: "Biology: photosynthesis and limiting factors",
+    mainTopic: "Photosynthesis",
+    scenario: "Groups discuss how light intensity affects the rate of photosynthesis in pondweed.",
+    criteria: [
+      { description: "States the word equation", rubric: "carbon dioxide and water make glucose and oxygen" },
+      { description: "Identifies a limiting factor", rubric: "light intensity, carbon dioxide or temperature" },
+      { description: "Describes how rate is measured", rubric: "count oxygen bubbles per minute" }
+    ],
+    transcripts: [
+      "Photosynthesis happens in the chloroplasts and the plant needs light energy for it.",
+      "The equation is carbon dioxide and water make glucose and oxygen using light.",
+      "If we move the lamp closer the light intensity goes up and the rate should go up too.",
+      "We can count the oxygen bubbles per minute coming off the pondweed to measure the rate.",
+      "After a point light intensity stops being the limiting factor and carbon dioxide limits it instead.",
+      "Temperature could also be a limiting factor because the enzymes work slower when it is cold."
+    ]
+  },
+  literature: {
+    title: "English: themes in Of Mice and Men",
+    mainTopic: "Of Mice and Men",
+    scenario: "Groups discuss loneliness and the American Dream in the novel.",
+    criteria: [
+      { description: "Identifies a central theme", rubric: "loneliness or the American Dream" },
+      { description: "Supports a point with a character example", rubric: "Crooks, Curley's wife or Candy" },
+      { description: "Comments on the author's purpose", rubric: "Steinbeck shows the Depression era" }
+    ],
+    transcripts: [
+      "I think the biggest theme in the book is loneliness because nearly everyone is alone.",
+      "Crooks is lonely because he is kept apart from the other workers in his own room.",
+      "George and Lennie share the American Dream of owning a small farm together.",
+      "Curley's wife is lonely too, she only wants someone to talk to on the ranch.",
+      "Steinbeck shows the Depression era and how hard life was for migrant workers.",
+      "Candy joins the dream because he is scared of being thrown out when he is old."
+    ]
+  }
+};
+
+export function isMockMode() {
+  return ["1", "true", "yes"].includes(String(process.env.MOCK_MODE || "").toLowerCase());
+}
+
+export function listFixtures() {
+  return Object.entries(FIXTURES).map(([name, f]) => ({
+    name,
+    title: f.title,
+    mainTopic: f.mainTopic,
+    scenario: f.scenario,
+    criteria: f.criteria,
+    chunkCount: f.transcripts.length
+  }));
+}
+
+export function getFixture(name) {
+  return FIXTURES[name] || FIXTURES[DEFAULT_FIXTURE];
+}
+
+export function hasFixture(name) {
+  return Object.prototype.hasOwnProperty.call(FIXTURES, name);
+}
+
+/* Scripted transcription */
+// Chunk counters per session+group so each upload plays the next line of the script
+const chunkCounters = new Map();
+
+export function resetMockSession(sessionCode) {
+  for (const key of chunkCounters.keys()) {
+    if (key.startsWith(`${sessionCode}-`)) chunkCounters.delete(key);
+  }
+}
+
+// Each clause goes to the next of three scripted speakers, so diarized views have something to show
+function scriptedWords(text, offsetSeconds = 0) {
+  const words = [];
+  let t = offsetSeconds;
+  let speaker = 0;
+  text.split(/\s+/).filter(Boolean).forEach((w, i, all) => {
+    words.push({ text: w, start: t, end: t + 0.4, type: "word", speaker_id: `speaker_${speaker}` });
+    if (/[,.?!]$/.test(w)) speaker = (speaker + 1) % 3;
+    t += 0.4;
+    if (i < all.length - 1) {
+      words.push({ text: " ", start: t, end: t + 0.1, type: "spacing", speaker_id: `speaker_${speaker}` });
+      t += 0.1;
+    }
+  });
+  return words.map(w => ({ ...w, start: round(w.start), end: round(w.end) }));
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+export const mockSttProvider = {
+  name: "mock",
+  async transcribe(buf, { context = {} } = {}) {
+    const { sessionCode = "default", groupNumber = 1, fixture } = context;
+    const script = getFixture(fixture).transcripts;
+    const key = `${sessionCode}-${groupNumber}`;
+    const count = chunkCounters.get(key) || 0;
+    chunkCounters.set(key, count + 1);
+
+    // Offset the script per group so groups don't all say the same thing at once
+    const text = script[(count + Number(groupNumber) - 1) % script.length];
+    return { text, words: scriptedWords(text), language: "en", confidence: 1 };
+  }
+};
+
+/* Text helpers shared by the AI mocks */
+const STOPWORDS = new Set(["the", "and", "for", "that", "this", "with", "will", "must", "have", "has", "are",
+  "was", "were", "can", "could", "should", "would", "from", "they", "then", "than", "into", "what", "when",
+  "because", "so", "we", "our", "you", "its", "too", "of", "to", "in", "on", "at", "by", "or", "as", "be",
+  "is", "a", "an", "it", "i", "think", "okay", "need", "just", "also", "about", "how", "much", "each"]);
+
+function tokens(text) {
+  return (text || "").toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(w => w.length > 2 && !STOPWORDS.has(w));
+}
+
+function sentences(text) {
+  return (text || "")
+    .replace(/\[(CURRENT CHUNK|PREVIOUS CHUNK \d+)\]:/g, "")
+    .split(/(?<=[.!?])\s+/)
+    .map(s => s.trim())
+    .filter(s => tokens(s).length >= 3);
+}
+
+// Only the current chunk counts as new material for incremental mindmap builds
+function currentChunk(contextualText) {
+  const marker = "[CURRENT CHUNK]:";
+  const idx = (contextualText || "").lastIndexOf(marker);
+  return idx >= 0 ? contextualText.slice(idx + marker.length) : contextualText;
+}
+
+// Deterministic id from a label, so repeated runs produce identical mindmaps
+function stableId(label) {
+  let hash = 0;
+  for (const ch of label) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  return `mock-${hash.toString(16)}`;
+}
+
+function shortLabel(sentence) {
+  return tokens(sentence).slice(0, 4).map(w => w[0].toUpperCase() + w.slice(1)).join(" ");
+}
+
+/* Summary mode */
+export function mockSummary(text) {
+  const points = sentences(text).slice(-6);
+  if (points.length === 0) return "(no summary)";
+  return points.map(s => `• ${s}`).join("\n");
+}
+
+/* Translation: tag the original so the side-by-side view is visible without a model */
+export function mockTranslation(text, language) {
+  return text.split("\n").map(line => line.trim() ? `[${language.toUpperCase()}] ${line}` : line).join("\n");
+}
+
+/* Checkbox mode: rubric/keyword overlap instead of model judgement */
+export function mockCheckboxResponse(text, criteria) {
+  const candidates = sentences(text);
+  const matches = criteria.map(c => {
+    const rubricTokens = new Set(tokens(c.rubric));
+    const allTokens = new Set([...rubricTokens, ...tokens(c.description)]);
+    let best = null;
+    let bestRubric = 0;
+    let bestAll = 0;
+    for (const s of candidates) {
+      const st = new Set(tokens(s));
+      const rubricHits = [...rubricTokens].filter(t => st.has(t)).length;
+      const allHits = [...allTokens].filter(t => st.has(t)).length;
+      if (rubricHits > bestRubric || (rubricHits === bestRubric && allHits > bestAll)) {
+        best = s;
+        bestRubric = rubricHits;
+        bestAll = allHits;
+      }
+    }
+
+    const index = c.originalIndex;
+    if (best && rubricTokens.size > 0 && bestRubric / rubricTokens.size >= 0.5) {
+      return { criteria_index: index, quote: best, status: "green", why: "Quote covers the rubric terms." };
+    }
+    if (best && bestAll >= 2) {
+      return { criteria_index: index, quote: best, status: "red", why: "Topic mentioned but rubric terms missing." };
+    }
+    return { criteria_index: index, quote: null, status: "grey", why: null };
+  });
+  return JSON.stringify({ matches });
+}
+
+/* Mindmap mode (Mind-Map Maestro JSON) */
+export function mockMindmapResponse(contextualText, mainTopic, existing = null) {
+  const existingNodes = existing?.nodes || [];
+  const labels = new Set(existingNodes.map(n => n.label.toLowerCase()));
+  const newNodes = [];
+
+  for (const s of sentences(currentChunk(contextualText))) {
+    const label = shortLabel(s);
+    if (!label || labels.has(label.toLowerCase())) continue;
+    labels.add(label.toLowerCase());
+    const id = stableId(label);
+    newNodes.push({ id, parent_id: null, label, type: "main" });
+    newNodes.push({ id: stableId(s), parent_id: id, label: s, type: "example" });
+  }
+
+  if (existing) {
+    return JSON.stringify({
+      action: newNodes.length > 0 ? "expand" : "ignore",
+      topic: mainTopic,
+      version: "mock",
+      nodes: [...existingNodes, ...newNodes],
+      explanation: newNodes.length > 0
+        ? `Mock mode: added ${newNodes.length / 2} idea(s) from the current chunk`
+        : "Mock mode: no new ideas in the current chunk"
+    });
+  }
+
+  return JSON.stringify({ topic: mainTopic, version: "mock", nodes: newNodes });
+}
+
+export function mockMindmapNodeResponse(text) {
+  const first = sentences(text)[0];
+  if (!first) {
+    return JSON.stringify({ action: "ignore", reason: "Mock mode: no content words", node: null });
+  }
+  return JSON.stringify({
+    action: "add_node",
+    reason: "Mock mode: first content sentence",
+    node: { content: shortLabel(first), level: 1, parent_id: null }
+  });
+}
@@ -0,0 +1,139 @@
+import crypto from "crypto";
+
+/* ---------- PII redaction ---------- */
+// Finds personal data in transcript text - email addresses, phone numbers, street addresses and
+// postcodes, and optionally given names - so it can be swapped for placeholders ("[PHONE_1]")
+// before anything is stored or sent to an LLM. The originals are kept encrypted with PII_SECRET
+// for teachers allowed to reveal them; hashValue() lets the same value get the same placeholder
+// again without decrypting anything.
+
+let secret = process.env.PII_SECRET;
+if (!secret) {
+  secret = crypto.randomBytes(32).toString("hex");
+  console.warn("⚠️ PII_SECRET not set - using a random secret, redacted values can't be revealed after a restart");
+}
+const key = crypto.createHash("sha256").update(secret).digest();
+
+const PATTERNS = [
+  { type: "email", pattern: /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi },
+  // As speech-to-text writes a spoken address: "sam at example dot com"
+  { type: "email", pattern: /\b[a-z0-9._-]+ at [a-z0-9-]+(?: dot [a-z]{2,})+\b/gi },
+  { type: "phone", pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,5}\)|\d{2,5})[\s.-]?\d{3,4}[\s.-]?\d{3,4}\b/g, minDigits: 9 },
+  { type: "address", pattern: /\b\d{1,5}[a-z]?,?\s+(?:[A-Z][a-z]+\s+){1,3}(?:Street|St|Road|Rd|Avenue|Ave|Lane|Ln|Drive|Dr|Close|Court|Ct|Way|Place|Pl|Crescent|Boulevard|Blvd|Terrace|Gardens|Grove|Square|Row|Mews)\b\.?/g },
+  // UK postcodes
+  { type: "address", pattern: /\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/g }
+];
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Matches as [{ type, value, index }] in text order, without overlaps (the earlier, longer match wins)
+export function findPii(text, { names = [] } = {}) {
+  const matches = [];
+  for (const { type, pattern, minDigits } of PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      if (minDigits && match[0].replace(/\D/g, "").length < minDigits) continue;
+      matches.push({ type, value: match[0].trim(), index: match.index });
+    }
+  }
+  for (const name of names) {
+    if (name.length < 2) continue;
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(name)}(?![\\p{L}\\p{N}])`, "giu");
+    for (const match of text.matchAll(pattern)) {
+      matches.push({ type: "name", value: match[0], index: match.index });
+    }
+  }
+
+  matches.sort((a, b) => a.index - b.index || b.value.length - a.value.length);
+  const kept = [];
+  for (const match of matches) {
+    const last = kept[kept.length - 1];
+    if (!last || match.index >= last.index + last.value.length) kept.push(match);
+  }
+  return kept;
+}
+
+function normalizeValue(type, value) {
+  const lower = value.toLowerCase();
+  return type === "phone" ? lower.replace(/\D/g, "") : lower.replace(/\s+/g, " ").trim();
+}
+
+// Stable, keyed lookup hash for a value, so mappings can be found without decrypting them
+export function hashValue(type, value) {
+  return crypto.createHmac("sha256", key).update(`${type}:${normalizeValue(type, value)}`).digest("hex");
+}
+
+export function encryptValue(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(value, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(part => part.toString("base64")).join(".");
+}
+
+// Null when the value was encrypted under another PII_SECRET
+export function decryptValue(payload) {
+  try {
+    const [iv, tag, data] = payload.split(".").map(part => Buffer.from(part, "base64"));
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+  } catch {
+    return null;
+  }
+}
+
+// `placeholderOf(match)` gives the placeholder for each match from findPii()
+export function redactText(text, matches, placeholderOf) {
+  let out = "";
+  let cursor = 0;
+  for (const match of matches) {
+    out += text.slice(cursor, match.index) + placeholderOf(match);
+    cursor = match.index + match.value.length;
+  }
+  return out + text.slice(cursor);
+}
+
+function wordKey(text) {
+  return String(text || "").toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+// Whether the first `count` letters and digits of a word are followed by something else
+function endsAtBoundary(text, count) {
+  let seen = 0;
+  for (const char of String(text)) {
+    if (seen === count) return !/[\p{L}\p{N}]/u.test(char);
+    if (/[\p{L}\p{N}]/u.test(char)) seen++;
+  }
+  return true;
+}
+
+// Word timings keep their positions: the first word of a match becomes the placeholder and the
+// rest are blanked. A match can span several words ("07700 900123") or sit inside one ("07700-900123").
+export function redactWords(words = [], matches, placeholderOf) {
+  const out = words.map(w => ({ ...w }));
+  const spoken = out.filter(w => (w.type || "word") === "word");
+
+  // Longest first, so "Maya Patel" is replaced whole before "Maya" gets to it
+  for (const match of [...matches].sort((a, b) => b.value.length - a.value.length)) {
+    const target = wordKey(match.value);
+    if (!target) continue;
+    for (let start = 0; start < spoken.length; start++) {
+      if (!wordKey(spoken[start].text) || !target.startsWith(wordKey(spoken[start].text))) continue;
+      let joined = "";
+      let end = start;
+      while (end < spoken.length && joined.length < target.length) {
+        const key = wordKey(spoken[end].text);
+        joined += key;
+        // The match can end inside the last word ("Patel's") but not inside a longer name ("Samantha")
+        if (!target.startsWith(joined) && !(joined.startsWith(target) && endsAtBoundary(spoken[end].text, key.length - (joined.length - target.length)))) break;
+        end++;
+      }
+      if (!joined.startsWith(target) || end === start) continue;
+      spoken[start].text = placeholderOf(match);
+      for (let i = start + 1; i < end; i++) spoken[i].text = "";
+      start = end - 1;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,252 @@
+import fs from "fs";
+import PDFDocument from "pdfkit";
+import {
+  Document, Packer, Paragraph, TextRun, HeadingLevel, ImageRun, Table, TableRow, TableCell, WidthType
+} from "docx";
+import { mindmapSvg, mindmapPng } from "./mindmap-image.js";
+import { progressFor } from "./gradebook.js";
+
+/* ---------- Session reports ---------- */
+// Renders a class report for one session as PDF, DOCX or Markdown. index.js gathers the data;
+// every format gets the same content:
+//   { title, details: [[label, value]], mindmap, checklist: { scenario, criteria: [{ description,
+//     rubric, groups: [{ number, status, quote, speaker }] }] }, groups: [{ number, summary,
+//     transcripts: [{ time, lines: [{ speaker, text }] }], skipped }], generatedAt }
+
+export const REPORT_FORMATS = {
+  pdf: { contentType: "application/pdf", extension: "pdf" },
+  docx: { contentType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document", extension: "docx" },
+  md: { contentType: "text/markdown; charset=utf-8", extension: "md" }
+};
+
+export const STATUS_LABELS = { green: "Met", red: "Not met", grey: "Not yet observed" };
+
+// PDFKit's built-in fonts only cover Western European text; a Unicode TTF keeps other scripts readable
+const UNICODE_FONTS = [
+  process.env.REPORT_FONT_PATH,
+  "/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf",
+  "/usr/share/fonts/dejavu/DejaVuSans.ttf",
+  "/Library/Fonts/Arial Unicode.ttf"
+].filter(Boolean);
+
+// The report's checklist from the stored criteria and checkbox_progress records
+// (quote_speaker_name already filled in), with every group's outcome per criterion
+export function checklistSection(scenario, criteria, progress, groupNumbers) {
+  return {
+    scenario: scenario || "",
+    criteria: criteria.map(criterion => ({
+      description: criterion.description,
+      rubric: criterion.rubric || "",
+      groups: groupNumbers.map(number => {
+        const p = progressFor(progress, criterion._id, number);
+        return { number, status: p?.status || "grey", quote: p?.quote || null, speaker: p?.quote_speaker_name || null };
+      })
+    }))
+  };
+}
+
+function mindmapOutline(node, format, depth = 0) {
+  return [`${"  ".repeat(depth)}- ${format(node.name)}`, ...(node.children || []).flatMap(child => mindmapOutline(child, format, depth + 1))];
+}
+
+function transcriptLine({ speaker, text }) {
+  return speaker ? `${speaker}: ${text}` : text;
+}
+
+/* Markdown */
+
+function escapeMarkdown(text) {
+  return String(text ?? "").replace(/([\\`*_[\]<>|#])/g, "\\$1");
+}
+
+function renderMarkdown(report) {
+  const out = [`# ${escapeMarkdown(report.title)}`, ""];
+  for (const [label, value] of report.details) out.push(`- **${label}:** ${escapeMarkdown(value)}`);
+  out.push("");
+
+  if (report.mindmap) {
+    const svg = Buffer.from(mindmapSvg(report.mindmap)).toString("base64");
+    out.push("## Mindmap", "", `![Mindmap](data:image/svg+xml;base64,${svg})`, "");
+    out.push(...mindmapOutline(report.mindmap, escapeMarkdown), "");
+  }
+
+  if (report.checklist) {
+    out.push("## Checklist", "");
+    if (report.checklist.scenario) out.push(`_${escapeMarkdown(report.checklist.scenario)}_`, "");
+    for (const criterion of report.checklist.criteria) {
+      out.push(`### ${escapeMarkdown(criterion.description)}`, "");
+      if (criterion.rubric) out.push(escapeMarkdown(criterion.rubric), "");
+      for (const group of criterion.groups) {
+        const quote = group.quote ? ` - "${escapeMarkdown(group.quote)}"${group.speaker ? ` (${escapeMarkdown(group.speaker)})` : ""}` : "";
+        out.push(`- Group ${group.number}: **${STATUS_LABELS[group.status] || group.status}**${quote}`);
+      }
+      out.push("");
+    }
+  }
+
+  for (const group of report.groups) {
+    // Summaries come from the LLM already written as Markdown-style bullets
+    out.push(`## Group ${group.number}`, "", "### Summary", "", group.summary || "_No summary._", "");
+    out.push("### Transcript", "");
+    if (group.transcripts.length === 0) out.push("_No transcript._", "");
+    for (const transcript of group.transcripts) {
+      out.push(`**${transcript.time}**  `);
+      out.push(transcript.lines.map(line => escapeMarkdown(transcriptLine(line))).join("  \n"), "");
+    }
+    if (group.skipped) out.push(`_${group.skipped} chunk(s) skipped as noise._`, "");
+  }
+
+  out.push("---", `_Generated ${report.generatedAt}_`, "");
+  return Buffer.from(out.join("\n"), "utf8");
+}
+
+/* PDF */
+
+function renderPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50, info: { Title: report.title } });
+    const chunks = [];
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    let regular = "Helvetica";
+    let bold = "Helvetica-Bold";
+    const fontPath = UNICODE_FONTS.find(file => fs.existsSync(file));
+    if (fontPath) {
+      const boldPath = fontPath.replace(/\.ttf$/, "-Bold.ttf");
+      doc.registerFont("Body", fontPath);
+      doc.registerFont("Body-Bold", fs.existsSync(boldPath) ? boldPath : fontPath);
+      regular = "Body";
+      bold = "Body-Bold";
+    }
+
+    const heading = (text, size) => {
+      doc.moveDown(0.6).font(bold).fontSize(size).fillColor("#111827").text(text).moveDown(0.3);
+    };
+    const body = (text, options = {}) => {
+      doc.font(regular).fontSize(10).fillColor(options.color || "#1f2937").text(text, options);
+    };
+
+    doc.font(bold).fontSize(20).text(report.title).moveDown(0.5);
+    for (const [label, value] of report.details) {
+      doc.font(bold).fontSize(10).fillColor("#4b5563").text(`${label}: `, { continued: true });
+      doc.font(regular).fillColor("#111827").text(String(value));
+    }
+
+    if (report.mindmap) {
+      heading("Mindmap", 15);
+      const { png, width, height } = mindmapPng(report.mindmap);
+      const maxWidth = doc.page.width - 100;
+      const scale = Math.min(1, maxWidth / width);
+      if (doc.y + height * scale > doc.page.height - 50) doc.addPage();
+      doc.image(png, { width: width * scale });
+    }
+
+    if (report.checklist) {
+      heading("Checklist", 15);
+      if (report.checklist.scenario) body(report.checklist.scenario, { color: "#4b5563" });
+      for (const criterion of report.checklist.criteria) {
+        heading(criterion.description, 11);
+        if (criterion.rubric) body(criterion.rubric, { color: "#6b7280" });
+        for (const group of criterion.groups) {
+          const quote = group.quote ? ` - "${group.quote}"${group.speaker ? ` (${group.speaker})` : ""}` : "";
+          body(`Group ${group.number}: ${STATUS_LABELS[group.status] || group.status}${quote}`);
+        }
+      }
+    }
+
+    for (const group of report.groups) {
+      doc.addPage();
+      heading(`Group ${group.number}`, 16);
+      heading("Summary", 12);
+      body(group.summary || "No summary.");
+      heading("Transcript", 12);
+      if (group.transcripts.length === 0) body("No transcript.", { color: "#6b7280" });
+      for (const transcript of group.transcripts) {
+        doc.font(bold).fontSize(9).fillColor("#6b7280").text(transcript.time);
+        for (const line of transcript.lines) body(transcriptLine(line));
+        doc.moveDown(0.3);
+      }
+      if (group.skipped) body(`${group.skipped} chunk(s) skipped as noise.`, { color: "#6b7280" });
+    }
+
+    doc.moveDown().font(regular).fontSize(8).fillColor("#9ca3af").text(`Generated ${report.generatedAt}`);
+    doc.end();
+  });
+}
+
+/* DOCX */
+
+function renderDocx(report) {
+  const children = [new Paragraph({ text: report.title, heading: HeadingLevel.TITLE })];
+  for (const [label, value] of report.details) {
+    children.push(new Paragraph({ children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(String(value))] }));
+  }
+
+  if (report.mindmap) {
+    const { png, width, height } = mindmapPng(report.mindmap);
+    const scale = Math.min(1, 600 / width);
+    children.push(new Paragraph({ text: "Mindmap", heading: HeadingLevel.HEADING_1 }));
+    children.push(new Paragraph({
+      children: [new ImageRun({ type: "png", data: png, transformation: { width: width * scale, height: height * scale } })]
+    }));
+  }
+
+  if (report.checklist) {
+    children.push(new Paragraph({ text: "Checklist", heading: HeadingLevel.HEADING_1 }));
+    if (report.checklist.scenario) children.push(new Paragraph({ children: [new TextRun({ text: report.checklist.scenario, italics: true })] }));
+    for (const criterion of report.checklist.criteria) {
+      children.push(new Paragraph({ text: criterion.description, heading: HeadingLevel.HEADING_2 }));
+      if (criterion.rubric) children.push(new Paragraph(criterion.rubric));
+      children.push(new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        rows: [
+          new TableRow({
+            tableHeader: true,
+            children: ["Group", "Outcome", "Quote"].map(text => new TableCell({ children: [new Paragraph({ children: [new TextRun({ text, bold: true })] })] }))
+          }),
+          ...criterion.groups.map(group => new TableRow({
+            children: [
+              `Group ${group.number}`,
+              STATUS_LABELS[group.status] || group.status,
+              group.quote ? `"${group.quote}"${group.speaker ? ` (${group.speaker})` : ""}` : ""
+            ].map(text => new TableCell({ children: [new Paragraph(text)] }))
+          }))
+        ]
+      }));
+    }
+  }
+
+  for (const group of report.groups) {
+    children.push(new Paragraph({ text: `Group ${group.number}`, heading: HeadingLevel.HEADING_1, pageBreakBefore: true }));
+    children.push(new Paragraph({ text: "Summary", heading: HeadingLevel.HEADING_2 }));
+    for (const line of (group.summary || "No summary.").split("\n")) children.push(new Paragraph(line));
+    children.push(new Paragraph({ text: "Transcript", heading: HeadingLevel.HEADING_2 }));
+    if (group.transcripts.length === 0) children.push(new Paragraph("No transcript."));
+    for (const transcript of group.transcripts) {
+      children.push(new Paragraph({ children: [new TextRun({ text: transcript.time, bold: true, color: "6B7280", size: 18 })] }));
+      for (const line of transcript.lines) {
+        children.push(new Paragraph({
+          children: line.speaker
+            ? [new TextRun({ text: `${line.speaker}: `, bold: true }), new TextRun(line.text)]
+            : [new TextRun(line.text)]
+        }));
+      }
+    }
+    if (group.skipped) children.push(new Paragraph({ children: [new TextRun({ text: `${group.skipped} chunk(s) skipped as noise.`, italics: true })] }));
+  }
+
+  children.push(new Paragraph({ children: [new TextRun({ text: `Generated ${report.generatedAt}`, size: 16, color: "9CA3AF" })] }));
+  const doc = new Document({ title: report.title, sections: [{ children }] });
+  return Packer.toBuffer(doc);
+}
+
+export async function renderReport(report, format) {
+  switch (format) {
+    case "pdf": return renderPdf(report);
+    case "docx": return renderDocx(report);
+    case "md": return renderMarkdown(report);
+    default: throw new Error(`Unknown report format: ${format}`);
+  }
+}
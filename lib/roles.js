@@ -0,0 +1,44 @@
+/* ---------- Teacher roles and permissions ---------- */
+// Every account has one role. Co-teachers and observers are attached to a lead teacher
+// and work in that teacher's sessions; a school admin can also read every teacher's data.
+
+export const ROLES = ["teacher", "co_teacher", "observer", "school_admin"];
+
+const PERMISSIONS = {
+  teacher: ["session:run", "history:delete", "prompts:write", "prompts:delete", "pii:reveal"],
+  co_teacher: ["session:run", "prompts:write"],
+  observer: [],
+  school_admin: ["session:run", "history:delete", "prompts:write", "prompts:delete", "sessions:view_all", "accounts:manage", "settings:manage", "pii:reveal"]
+};
+
+// Roles that act inside a lead teacher's sessions rather than their own
+export const ASSISTANT_ROLES = ["co_teacher", "observer"];
+
+export function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+export function permissionsFor(role) {
+  return PERMISSIONS[role] || PERMISSIONS.teacher;
+}
+
+// Read-only access (live dashboards, history, transcripts) needs no permission beyond being logged in
+export function can(teacher, permission) {
+  return Boolean(teacher) && permissionsFor(teacher.role).includes(permission);
+}
+
+// The teacher id that owns sessions this account creates or works in
+export function sessionOwnerId(teacher) {
+  return ASSISTANT_ROLES.includes(teacher.role) && teacher.leadTeacherId ? teacher.leadTeacherId : teacher.id;
+}
+
+/* Express middleware (run after requireTeacher) */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!can(req.teacher, permission)) {
+      console.log(`🚫 ${req.teacher?.email} (${req.teacher?.role}) lacks ${permission} for ${req.method} ${req.path}`);
+      return res.status(403).json({ error: "Your role does not allow this action" });
+    }
+    next();
+  };
+}
@@ -0,0 +1,93 @@
+/* ---------- Safeguarding scan ---------- */
+// Flags transcript text a teacher should look at straight away: mentions of self-harm, bullying
+// or threats aimed at someone, and profanity. It is a phrase list, not a judgement - it errs
+// towards raising an alert and leaves the decision to the teacher. Each category is reported at
+// most once per transcript, with the sentence it was found in as the quote.
+
+const SELF_HARM = [
+  /\b(kill|killing|hurt|hurting|cut|cutting|harm|harming) myself\b/,
+  /\b(want|wanna|going) to die\b/,
+  /\bwanna die\b/,
+  /\bend (it all|my life)\b/,
+  /\b(don'?t|do not) want to (live|be alive|be here anymore)\b/,
+  /\b(no (reason|point) (to|in) living)\b/,
+  /\bbetter off dead\b/,
+  /\bsuicid(e|al)\b/,
+  /\bself[- ]harm/,
+  /\boverdose\b/
+];
+
+// Threats and telling someone to hurt themselves are "high", name-calling "medium"
+const BULLYING = [
+  { pattern: /\b(kill|hang) yourself\b/, severity: "high" },
+  { pattern: /\bkys\b/, severity: "high" },
+  { pattern: /\bgo (and )?die\b/, severity: "high" },
+  { pattern: /\bi'?(ll| will) (beat|hurt|punch|kill|stab) you\b/, severity: "high" },
+  { pattern: /\b(you'?re|you are|ur) (so |such )?(a |an )?(worthless|ugly|fat|stupid|pathetic|disgusting|loser|freak|idiot|retard(ed)?)\b/, severity: "medium" },
+  { pattern: /\bnobody (likes|wants|cares about) you\b/, severity: "medium" },
+  { pattern: /\bevery(one|body) hates you\b/, severity: "medium" },
+  { pattern: /\bno one (likes|wants|cares about) you\b/, severity: "medium" },
+  { pattern: /\bshut up,? (you )?(idiot|loser|freak)\b/, severity: "medium" }
+];
+
+export const DEFAULT_PROFANITY = [
+  "fuck", "fucking", "fucked", "motherfucker", "shit", "bullshit", "bitch", "bastard",
+  "asshole", "arsehole", "cunt", "dick", "wanker", "twat", "slut", "whore", "piss", "prick"
+];
+
+// Speech-to-text providers often return profanity already starred out ("f***")
+const CENSORED = /(?:^|[^\p{L}])(\p{L}\*{2,}\p{L}*)/u;
+
+function sentenceAt(text, index) {
+  const start = Math.max(text.lastIndexOf(".", index), text.lastIndexOf("!", index), text.lastIndexOf("?", index)) + 1;
+  const ends = [".", "!", "?"].map(mark => text.indexOf(mark, index)).filter(i => i !== -1);
+  const end = ends.length ? Math.min(...ends) + 1 : text.length;
+  return text.slice(start, end).trim().slice(0, 300);
+}
+
+// [{ category, severity, term, quote }]; `profanityWords` extends the built-in list
+export function scanTranscript(text, { profanityWords = [] } = {}) {
+  const lowerText = text.toLowerCase();
+  const hits = [];
+  const hit = (category, severity, match) => {
+    hits.push({ category, severity, term: match[0].trim(), quote: sentenceAt(text, match.index) });
+  };
+
+  for (const pattern of SELF_HARM) {
+    const match = lowerText.match(pattern);
+    if (match) {
+      hit("self_harm", "high", match);
+      break;
+    }
+  }
+
+  for (const { pattern, severity } of BULLYING) {
+    const match = lowerText.match(pattern);
+    if (match) {
+      hit("bullying", severity, match);
+      break;
+    }
+  }
+
+  const words = new Set([...DEFAULT_PROFANITY, ...profanityWords.map(w => w.toLowerCase())]);
+  const wordPattern = /[\p{L}\p{N}']+/gu;
+  let match;
+  while ((match = wordPattern.exec(lowerText))) {
+    if (words.has(match[0])) {
+      hit("profanity", "low", match);
+      return hits;
+    }
+  }
+  for (const phrase of words) {
+    const index = phrase.includes(" ") ? lowerText.indexOf(phrase) : -1;
+    if (index !== -1) {
+      hit("profanity", "low", Object.assign([phrase], { index }));
+      return hits;
+    }
+  }
+  const censored = lowerText.match(CENSORED);
+  if (censored) {
+    hit("profanity", "low", Object.assign([censored[1]], { index: censored.index + censored[0].indexOf(censored[1]) }));
+  }
+  return hits;
+}
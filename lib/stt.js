@@ -0,0 +1,208 @@
+import fetch from "node-fetch";
+import FormData from "form-data";
+import { isMockMode, mockSttProvider } from "./mock.js";
+
+/* ---------- Speech-to-text provider layer ---------- */
+// Every provider takes an audio buffer and returns the same normalized shape:
+//   { text, words: [{ text, start, end, type, speaker_id }], language, confidence }
+// The active provider is picked with STT_PROVIDER (elevenlabs | openai | local | mock);
+// MOCK_MODE=true switches the default to the scripted mock provider.
+
+export class TranscriptionError extends Error {
+  constructor(message, { status = null, details = null, provider = null } = {}) {
+    super(message);
+    this.name = "TranscriptionError";
+    this.status = status;
+    this.details = details;
+    this.provider = provider;
+  }
+}
+
+// Average word confidence from log-probabilities, when a provider reports them
+function confidenceFromLogprobs(logprobs) {
+  const values = logprobs.filter(v => typeof v === "number");
+  if (values.length === 0) return null;
+  const mean = values.reduce((sum, v) => sum + Math.exp(v), 0) / values.length;
+  return Math.round(mean * 1000) / 1000;
+}
+
+async function postForm(provider, url, headers, formData) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { ...headers, ...formData.getHeaders() },
+    body: formData,
+    timeout: 30000 // 30 second timeout
+  });
+
+  if (!response.ok) {
+    let errorText = "Unknown error";
+    try {
+      errorText = await response.text();
+    } catch (e) {
+      // Ignore text parsing errors
+    }
+    throw new TranscriptionError(`API error: ${response.status} ${response.statusText}`, {
+      status: response.status,
+      details: errorText,
+      provider
+    });
+  }
+
+  return response.json();
+}
+
+/* ElevenLabs Scribe (hosted) */
+const elevenlabs = {
+  name: "elevenlabs",
+  async transcribe(buf, { mimeType, filename, language, model }) {
+    const formData = new FormData();
+    formData.append("file", buf, { filename, contentType: mimeType });
+    formData.append("model_id", model || process.env.STT_MODEL || "scribe_v1");
+    formData.append("timestamps_granularity", "word");
+    // Label speakers within each chunk (STT_DIARIZE=false turns it off)
+    formData.append("diarize", process.env.STT_DIARIZE === "false" ? "false" : "true");
+    if (language) formData.append("language_code", language);
+
+    const result = await postForm(
+      "elevenlabs",
+      process.env.STT_API_URL || "https://api.elevenlabs.io/v1/speech-to-text",
+      { "xi-api-key": process.env.STT_API_KEY || process.env.ELEVENLABS_KEY },
+      formData
+    );
+
+    const words = (result.words || []).map(w => ({
+      text: w.text,
+      start: w.start,
+      end: w.end,
+      type: w.type || "word",
+      speaker_id: w.speaker_id ?? null
+    }));
+
+    return {
+      text: result.text || "",
+      words,
+      language: result.language_code || language || null,
+      confidence: confidenceFromLogprobs((result.words || []).map(w => w.logprob))
+        ?? result.language_probability
+        ?? null
+    };
+  }
+};
+
+// Whisper-style verbose_json responses are shared by OpenAI and whisper.cpp
+function normalizeWhisperResult(result, language) {
+  const words = (result.words || []).map(w => ({
+    text: w.word ?? w.text,
+    start: w.start,
+    end: w.end,
+    type: "word",
+    speaker_id: null
+  }));
+
+  return {
+    text: (result.text || "").trim(),
+    words,
+    language: result.language || language || null,
+    confidence: confidenceFromLogprobs((result.segments || []).map(s => s.avg_logprob))
+  };
+}
+
+/* Any OpenAI-Whisper-compatible HTTP endpoint (OpenAI, Azure, Groq, faster-whisper-server...) */
+const openai = {
+  name: "openai",
+  async transcribe(buf, { mimeType, filename, language, model }) {
+    const baseUrl = (process.env.STT_API_URL || "https://api.openai.com/v1").replace(/\/$/, "");
+    const apiKey = process.env.STT_API_KEY || process.env.OPENAI_API_KEY;
+
+    const formData = new FormData();
+    formData.append("file", buf, { filename, contentType: mimeType });
+    formData.append("model", model || process.env.STT_MODEL || "whisper-1");
+    formData.append("response_format", "verbose_json");
+    formData.append("timestamp_granularities[]", "word");
+    formData.append("timestamp_granularities[]", "segment");
+    if (language) formData.append("language", language);
+
+    const result = await postForm(
+      "openai",
+      `${baseUrl}/audio/transcriptions`,
+      apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      formData
+    );
+    return normalizeWhisperResult(result, language);
+  }
+};
+
+/* Self-hosted whisper.cpp server (examples/server), so audio never leaves the school network */
+const local = {
+  name: "local",
+  async transcribe(buf, { mimeType, filename, language }) {
+    const baseUrl = (process.env.STT_API_URL || "http://127.0.0.1:8080").replace(/\/$/, "");
+
+    const formData = new FormData();
+    formData.append("file", buf, { filename, contentType: mimeType });
+    formData.append("response_format", "verbose_json");
+    formData.append("language", language || "auto");
+
+    const result = await postForm("local", `${baseUrl}/inference`, {}, formData);
+    return normalizeWhisperResult(result, language);
+  }
+};
+
+const providers = new Map([elevenlabs, openai, local, mockSttProvider].map(p => [p.name, p]));
+
+export function registerSttProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+export function getSttProvider(name = process.env.STT_PROVIDER || (isMockMode() ? "mock" : "elevenlabs")) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new TranscriptionError(`Unknown speech-to-text provider: ${name}`, { provider: name });
+  }
+  return provider;
+}
+
+export function listSttProviders() {
+  return Array.from(providers.keys());
+}
+
+// Transcribe with the configured provider, retrying rate limits, server and network errors.
+// `model` overrides STT_MODEL for one call; `context` ({ sessionCode, groupNumber, fixture }) is
+// only read by the mock provider.
+// Resolves to the normalized result plus { provider, retryCount }.
+export async function transcribeAudio(buf, {
+  mimeType = "audio/webm",
+  filename = "audio.webm",
+  language = null,
+  model = null,
+  context = {},
+  provider: providerName,
+  maxRetries = 1
+} = {}) {
+  const provider = getSttProvider(providerName);
+  let retryCount = 0;
+
+  while (true) {
+    try {
+      const result = await provider.transcribe(buf, { mimeType, filename, language, model, context });
+      return { ...result, provider: provider.name, retryCount };
+    } catch (err) {
+      const status = err.status ?? null;
+      const retryable = status === null || status === 429 || status >= 500;
+      if (!retryable || retryCount + 1 >= maxRetries) {
+        if (err instanceof TranscriptionError) {
+          err.retryCount = retryCount;
+          throw err;
+        }
+        const wrapped = new TranscriptionError(err.message, { provider: provider.name, details: err.message });
+        wrapped.retryCount = retryCount;
+        throw wrapped;
+      }
+
+      retryCount++;
+      const delayMs = status >= 500 ? 1000 : Math.pow(2, retryCount) * 1000;
+      console.log(`🔄 ${provider.name} transcription failed (${status ?? err.message}), retrying in ${delayMs}ms...`);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
@@ -0,0 +1,45 @@
+// Shared by the teacher pages: send the teacher to the login page whenever the API
+// answers 401, hide controls the teacher's role can't use, and offer a logout helper.
+// Student pages do not include this script.
+(function () {
+    const originalFetch = window.fetch.bind(window);
+
+    function redirectToLogin() {
+        const next = window.location.pathname + window.location.search;
+        window.location.href = `/login?next=${encodeURIComponent(next)}`;
+    }
+
+    window.fetch = async function (input, init) {
+        const response = await originalFetch(input, init);
+        const url = typeof input === 'string' ? input : input.url;
+        if (response.status === 401 && url.includes('/api/') && !url.includes('/api/auth/')) {
+            redirectToLogin();
+        }
+        return response;
+    };
+
+    // Hide controls the teacher's role can't use (elements marked data-permission="session:run" etc.)
+    window.currentTeacher = originalFetch('/api/auth/me')
+        .then(response => response.ok ? response.json() : null)
+        .then(result => {
+            if (!result) return null;
+            const allowed = new Set(result.permissions);
+            const applyPermissions = () => {
+                document.querySelectorAll('[data-permission]').forEach(el => {
+                    if (!allowed.has(el.dataset.permission)) el.style.display = 'none';
+                });
+            };
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', applyPermissions);
+            } else {
+                applyPermissions();
+            }
+            return { ...result.teacher, permissions: result.permissions };
+        })
+        .catch(() => null);
+
+    window.logoutTeacher = async function () {
+        await originalFetch('/api/auth/logout', { method: 'POST' });
+        redirectToLogin();
+    };
+})();
@@ -0,0 +1,254 @@
+// Shared by the teacher pages: the filters that decide which transcripts are skipped as noise or
+// off-topic, and a log of what was skipped and why. The form starts from the school's settings;
+// saving stores them as this session's own, along with what personal data is redacted.
+// Call openFilters(sessionCode) from a button.
+(function () {
+    let currentCode = null;
+
+    function escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value;
+        return div.innerHTML;
+    }
+
+    function filterName(name) {
+        return {
+            builtin: 'Built-in noise',
+            regex: 'Custom rules',
+            min_length: 'Minimum length',
+            profanity: 'Profanity',
+            off_topic: 'Off-topic (AI)'
+        }[name] || name;
+    }
+
+    function ensureModal() {
+        let modal = document.getElementById('filtersModal');
+        if (modal) return modal;
+
+        modal = document.createElement('div');
+        modal.id = 'filtersModal';
+        modal.className = 'fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center px-4';
+        modal.innerHTML = `
+            <div class="bg-white rounded-xl shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto p-6 text-gray-900">
+                <div class="flex items-center justify-between mb-4">
+                    <h2 class="text-xl font-bold">Transcript filters</h2>
+                    <div class="flex items-center space-x-3">
+                        <button type="button" data-refresh class="text-sm text-indigo-600 hover:underline">Refresh</button>
+                        <button type="button" data-close class="text-gray-400 hover:text-gray-600 text-2xl leading-none">&times;</button>
+                    </div>
+                </div>
+                <p class="text-sm text-gray-500 mb-4">Skipped transcripts still show in the timeline but are left out of summaries and checklists. Changes apply to chunks transcribed from now on.</p>
+                <p id="filtersSource" class="text-xs text-gray-500 mb-3"></p>
+                <div class="space-y-4 text-sm mb-6">
+                    <label class="flex items-center space-x-2">
+                        <input type="checkbox" id="filtersBuiltin" class="rounded text-indigo-600">
+                        <span><span class="font-medium">Built-in noise</span> <span class="text-gray-500">sound descriptions, mic checks, known speech-to-text artefacts</span></span>
+                    </label>
+                    <div>
+                        <label class="flex items-center space-x-2 mb-1">
+                            <input type="checkbox" id="filtersRegex" class="rounded text-indigo-600">
+                            <span class="font-medium">Custom rules</span>
+                        </label>
+                        <textarea id="filtersRegexRules" rows="3" placeholder="One regular expression per line, optionally followed by | reason"
+                            class="w-full border border-gray-300 rounded-lg px-3 py-2 font-mono text-xs focus:ring-2 focus:ring-indigo-500 focus:border-transparent"></textarea>
+                    </div>
+                    <div class="flex flex-wrap items-center gap-3">
+                        <label class="flex items-center space-x-2">
+                            <input type="checkbox" id="filtersMinLength" class="rounded text-indigo-600">
+                            <span class="font-medium">Minimum length</span>
+                        </label>
+                        <input type="number" id="filtersMinChars" min="0" max="200"
+                            class="w-20 border border-gray-300 rounded-lg px-2 py-1">
+                        <span class="text-gray-500">characters</span>
+                        <input type="number" id="filtersDenseChars" min="0" max="200"
+                            class="w-20 border border-gray-300 rounded-lg px-2 py-1">
+                        <span class="text-gray-500">for Chinese, Japanese, Korean</span>
+                    </div>
+                    <div>
+                        <label class="flex items-center space-x-2 mb-1">
+                            <input type="checkbox" id="filtersProfanity" class="rounded text-indigo-600">
+                            <span class="font-medium">Profanity</span>
+                        </label>
+                        <textarea id="filtersProfanityWords" rows="2" placeholder="Words or phrases, separated by commas"
+                            class="w-full border border-gray-300 rounded-lg px-3 py-2 text-xs focus:ring-2 focus:ring-indigo-500 focus:border-transparent"></textarea>
+                    </div>
+                    <div>
+                        <label class="flex items-center space-x-2 mb-1">
+                            <input type="checkbox" id="filtersOffTopic" class="rounded text-indigo-600">
+                            <span><span class="font-medium">Off-topic (AI)</span> <span class="text-gray-500">asks the language model whether each chunk is about the topic</span></span>
+                        </label>
+                        <input type="text" id="filtersTopic" maxlength="200" placeholder="Topic (defaults to the mindmap's main topic)"
+                            class="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-transparent">
+                    </div>
+                </div>
+                <h3 class="font-semibold mb-1">Privacy</h3>
+                <p class="text-sm text-gray-500 mb-2">Redacted details are replaced with placeholders such as [PHONE_1] before transcripts are stored or sent to the AI.</p>
+                <div class="space-y-2 text-sm mb-6">
+                    <label class="flex items-center space-x-2">
+                        <input type="checkbox" id="filtersRedact" class="rounded text-indigo-600">
+                        <span>Redact phone numbers, email addresses and street addresses</span>
+                    </label>
+                    <label class="flex items-center space-x-2">
+                        <input type="checkbox" id="filtersRedactNames" class="rounded text-indigo-600">
+                        <span>Also redact the names on the roster</span>
+                    </label>
+                </div>
+                <p id="filtersError" class="hidden text-sm text-red-600 mb-4"></p>
+                <div data-filters-edit class="hidden flex items-center justify-end space-x-3 mb-6">
+                    <span id="filtersSaved" class="hidden text-sm text-green-700">Saved</span>
+                    <button type="button" id="filtersReset" class="text-sm text-gray-600 hover:underline">Use school settings</button>
+                    <button type="button" id="filtersSave" class="bg-indigo-600 hover:bg-indigo-700 text-white font-medium px-4 py-2 rounded-lg transition-colors">
+                        Save
+                    </button>
+                </div>
+                <h3 class="font-semibold mb-2">Recently skipped</h3>
+                <div id="filtersLog" class="divide-y divide-gray-100 text-sm"></div>
+            </div>`;
+        document.body.appendChild(modal);
+
+        modal.querySelector('[data-close]').addEventListener('click', () => modal.classList.add('hidden'));
+        modal.addEventListener('click', (event) => {
+            if (event.target === modal) modal.classList.add('hidden');
+        });
+        modal.querySelector('[data-refresh]').addEventListener('click', load);
+        modal.querySelector('#filtersSave').addEventListener('click', () => save(readForm()));
+        modal.querySelector('#filtersReset').addEventListener('click', () => save({}));
+        return modal;
+    }
+
+    function showError(message) {
+        const el = document.getElementById('filtersError');
+        el.textContent = message;
+        el.classList.toggle('hidden', !message);
+    }
+
+    async function request(url, options) {
+        const response = await fetch(url, options);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        return result;
+    }
+
+    function fillForm(config, overridden) {
+        document.getElementById('filtersSource').textContent = overridden
+            ? 'This session has its own filter settings.'
+            : 'Using the school settings.';
+        document.getElementById('filtersBuiltin').checked = config.builtin.enabled;
+        document.getElementById('filtersRegex').checked = config.regex.enabled;
+        document.getElementById('filtersRegexRules').value = (config.regex.rules || [])
+            .map(rule => rule.reason ? `${rule.pattern} | ${rule.reason}` : rule.pattern)
+            .join('\n');
+        document.getElementById('filtersMinLength').checked = config.min_length.enabled;
+        document.getElementById('filtersMinChars').value = config.min_length.chars;
+        document.getElementById('filtersDenseChars').value = config.min_length.dense_script_chars;
+        document.getElementById('filtersProfanity').checked = config.profanity.enabled;
+        document.getElementById('filtersProfanityWords').value = (config.profanity.words || []).join(', ');
+        document.getElementById('filtersOffTopic').checked = config.off_topic.enabled;
+        document.getElementById('filtersTopic').value = config.off_topic.topic || '';
+    }
+
+    function readForm() {
+        const rules = document.getElementById('filtersRegexRules').value.split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const split = line.lastIndexOf(' | ');
+                return split === -1
+                    ? { pattern: line }
+                    : { pattern: line.slice(0, split).trim(), reason: line.slice(split + 3).trim() };
+            });
+        return {
+            builtin: { enabled: document.getElementById('filtersBuiltin').checked },
+            regex: { enabled: document.getElementById('filtersRegex').checked, rules },
+            min_length: {
+                enabled: document.getElementById('filtersMinLength').checked,
+                chars: parseInt(document.getElementById('filtersMinChars').value) || 0,
+                dense_script_chars: parseInt(document.getElementById('filtersDenseChars').value) || 0
+            },
+            profanity: {
+                enabled: document.getElementById('filtersProfanity').checked,
+                words: document.getElementById('filtersProfanityWords').value.split(',').map(w => w.trim()).filter(Boolean)
+            },
+            off_topic: {
+                enabled: document.getElementById('filtersOffTopic').checked,
+                topic: document.getElementById('filtersTopic').value.trim()
+            }
+        };
+    }
+
+    function fillRedaction(redaction) {
+        document.getElementById('filtersRedact').checked = redaction.enabled;
+        document.getElementById('filtersRedactNames').checked = redaction.names;
+    }
+
+    function renderLog(entries) {
+        const list = document.getElementById('filtersLog');
+        if (entries.length === 0) {
+            list.innerHTML = '<p class="text-gray-500 py-2">Nothing skipped yet.</p>';
+            return;
+        }
+        list.innerHTML = entries.map(entry => `
+            <div class="py-2">
+                <div class="flex items-center justify-between text-xs text-gray-500 mb-1">
+                    <span>Group ${entry.group} • ${new Date(entry.createdAt).toLocaleTimeString()}</span>
+                    <span class="font-medium text-amber-700 bg-amber-100 px-2 py-0.5 rounded">${escapeHtml(filterName(entry.filter))}: ${escapeHtml(entry.reason || '')}</span>
+                </div>
+                <p class="text-gray-800">${escapeHtml(entry.text)}</p>
+            </div>`).join('');
+    }
+
+    async function load() {
+        showError('');
+        try {
+            const [settings, redaction, log] = await Promise.all([
+                request(`/api/session/${currentCode}/filters`),
+                request(`/api/session/${currentCode}/redaction`),
+                request(`/api/session/${currentCode}/filters/log?skipped=true&limit=50`)
+            ]);
+            fillForm(settings.effective, Object.keys(settings.session).length > 0);
+            fillRedaction(redaction);
+            renderLog(log.entries);
+        } catch (err) {
+            showError(`Failed to load filters: ${err.message}`);
+        }
+    }
+
+    async function save(filters) {
+        showError('');
+        try {
+            const result = await request(`/api/session/${currentCode}/filters`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ filters })
+            });
+            fillForm(result.effective, Object.keys(result.session).length > 0);
+            fillRedaction(await request(`/api/session/${currentCode}/redaction`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    enabled: document.getElementById('filtersRedact').checked,
+                    names: document.getElementById('filtersRedactNames').checked
+                })
+            }));
+            const saved = document.getElementById('filtersSaved');
+            saved.classList.remove('hidden');
+            setTimeout(() => saved.classList.add('hidden'), 2000);
+        } catch (err) {
+            showError(`Failed to save filters: ${err.message}`);
+        }
+    }
+
+    window.openFilters = async function (sessionCode) {
+        if (!sessionCode) return;
+        currentCode = sessionCode;
+        const modal = ensureModal();
+        document.getElementById('filtersSaved').classList.add('hidden');
+        modal.classList.remove('hidden');
+        load();
+
+        const teacher = await window.currentTeacher;
+        modal.querySelector('[data-filters-edit]').classList.toggle('hidden', !teacher?.permissions?.includes('session:run'));
+    };
+})();
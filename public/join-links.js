@@ -0,0 +1,149 @@
+// Shared by the teacher pages that run student groups: issue a join link (with QR code) per
+// group and revoke links mid-session. Call openJoinLinks(sessionCode) from a button.
+(function () {
+    let currentCode = null;
+
+    function escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value;
+        return div.innerHTML;
+    }
+
+    function ensureModal() {
+        let modal = document.getElementById('joinLinksModal');
+        if (modal) return modal;
+
+        modal = document.createElement('div');
+        modal.id = 'joinLinksModal';
+        modal.className = 'fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center px-4';
+        modal.innerHTML = `
+            <div class="bg-white rounded-xl shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto p-6 text-gray-900">
+                <div class="flex items-center justify-between mb-4">
+                    <h2 class="text-xl font-bold">Student Join Links</h2>
+                    <button type="button" data-close class="text-gray-400 hover:text-gray-600 text-2xl leading-none">&times;</button>
+                </div>
+                <p class="text-sm text-gray-500 mb-4">Each group needs its own link. Students scan the QR code or open the link to join; revoking a link disconnects that group's devices.</p>
+                <form id="joinLinksForm" class="flex items-center space-x-3 mb-4">
+                    <label for="joinLinksGroup" class="text-sm font-medium text-gray-700">Group</label>
+                    <input type="number" id="joinLinksGroup" min="1" max="99" value="1" required
+                        class="w-20 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-transparent">
+                    <button type="submit" class="bg-indigo-600 hover:bg-indigo-700 text-white font-medium px-4 py-2 rounded-lg transition-colors">
+                        Create link
+                    </button>
+                </form>
+                <p id="joinLinksError" class="hidden text-sm text-red-600 mb-4"></p>
+                <div id="joinLinksNew" class="hidden border border-indigo-200 bg-indigo-50 rounded-lg p-4 mb-4">
+                    <div class="flex flex-col sm:flex-row sm:items-center sm:space-x-4 space-y-3 sm:space-y-0">
+                        <div id="joinLinksQr" class="bg-white p-2 rounded w-fit"></div>
+                        <div class="min-w-0 flex-1">
+                            <p class="font-semibold mb-1" id="joinLinksNewTitle"></p>
+                            <input type="text" id="joinLinksUrl" readonly class="w-full text-xs font-mono border border-gray-300 rounded px-2 py-1 bg-white">
+                            <button type="button" id="joinLinksCopy" class="mt-2 text-sm text-indigo-600 hover:underline">Copy link</button>
+                        </div>
+                    </div>
+                </div>
+                <h3 class="font-semibold mb-2">Issued links</h3>
+                <div id="joinLinksList" class="divide-y divide-gray-100 text-sm"></div>
+            </div>`;
+        document.body.appendChild(modal);
+
+        modal.querySelector('[data-close]').addEventListener('click', () => modal.classList.add('hidden'));
+        modal.addEventListener('click', (event) => {
+            if (event.target === modal) modal.classList.add('hidden');
+        });
+        modal.querySelector('#joinLinksForm').addEventListener('submit', (event) => {
+            event.preventDefault();
+            createLink(parseInt(document.getElementById('joinLinksGroup').value));
+        });
+        modal.querySelector('#joinLinksCopy').addEventListener('click', () => {
+            navigator.clipboard.writeText(document.getElementById('joinLinksUrl').value);
+        });
+        return modal;
+    }
+
+    function showError(message) {
+        const el = document.getElementById('joinLinksError');
+        el.textContent = message;
+        el.classList.toggle('hidden', !message);
+    }
+
+    async function request(url, options) {
+        const response = await fetch(url, options);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        return result;
+    }
+
+    async function createLink(group) {
+        showError('');
+        try {
+            const result = await request(`/api/session/${currentCode}/join-tokens`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ group })
+            });
+
+            document.getElementById('joinLinksNewTitle').textContent = `Group ${result.joinToken.group}`;
+            document.getElementById('joinLinksUrl').value = result.url;
+            const qr = document.getElementById('joinLinksQr');
+            qr.innerHTML = '';
+            if (window.QRCode) {
+                new QRCode(qr, { text: result.url, width: 160, height: 160 });
+            } else {
+                qr.classList.add('hidden');
+            }
+            document.getElementById('joinLinksNew').classList.remove('hidden');
+            document.getElementById('joinLinksGroup').value = result.joinToken.group + 1;
+            await loadLinks();
+        } catch (err) {
+            showError(`Failed to create link: ${err.message}`);
+        }
+    }
+
+    async function revokeLink(id, group) {
+        if (!confirm(`Revoke this join link? Devices in group ${group} using it will be disconnected.`)) return;
+        showError('');
+        try {
+            await request(`/api/session/${currentCode}/join-tokens/${id}`, { method: 'DELETE' });
+            await loadLinks();
+        } catch (err) {
+            showError(`Failed to revoke link: ${err.message}`);
+        }
+    }
+
+    async function loadLinks() {
+        const list = document.getElementById('joinLinksList');
+        try {
+            const { joinTokens } = await request(`/api/session/${currentCode}/join-tokens`);
+            if (joinTokens.length === 0) {
+                list.innerHTML = '<p class="text-gray-500 py-2">No links issued yet.</p>';
+                return;
+            }
+            list.innerHTML = joinTokens.map(t => `
+                <div class="flex items-center justify-between py-2">
+                    <span>Group ${t.group} <span class="text-gray-400">· created ${escapeHtml(new Date(t.created_at).toLocaleTimeString())}</span></span>
+                    ${t.revoked_at
+                        ? '<span class="text-gray-400">Revoked</span>'
+                        : `<button type="button" data-revoke="${escapeHtml(t.id)}" data-group="${t.group}" class="text-red-600 hover:underline">Revoke</button>`}
+                </div>`).join('');
+            list.querySelectorAll('[data-revoke]').forEach(btn => {
+                btn.addEventListener('click', () => revokeLink(btn.dataset.revoke, btn.dataset.group));
+            });
+        } catch (err) {
+            list.innerHTML = '';
+            showError(`Failed to load links: ${err.message}`);
+        }
+    }
+
+    window.openJoinLinks = function (sessionCode) {
+        if (!sessionCode) return;
+        currentCode = sessionCode;
+        const modal = ensureModal();
+        showError('');
+        document.getElementById('joinLinksNew').classList.add('hidden');
+        modal.classList.remove('hidden');
+        loadLinks();
+    };
+})();
@@ -0,0 +1,198 @@
+// Shared by the teacher pages: the languages a session's groups speak. Ticking none leaves
+// speech-to-text to auto-detect, one pins it, two or more (bilingual groups) auto-detect while
+// keeping those languages' everyday phrases out of the noise filter. Groups can override the
+// session's choice, and can get a translation target so their students see the transcript and
+// summary in a second language. Call openLanguages(sessionCode) from a button.
+(function () {
+    let currentCode = null;
+    let available = [];
+    let groupOverrides = {};
+    let translations = {};
+
+    function escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value;
+        return div.innerHTML;
+    }
+
+    function languageName(code) {
+        return available.find(l => l.code === code)?.name || code;
+    }
+
+    function describe(languages) {
+        return languages.length === 0 ? 'Auto-detect' : languages.map(languageName).join(' + ');
+    }
+
+    function ensureModal() {
+        let modal = document.getElementById('languagesModal');
+        if (modal) return modal;
+
+        modal = document.createElement('div');
+        modal.id = 'languagesModal';
+        modal.className = 'fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center px-4';
+        modal.innerHTML = `
+            <div class="bg-white rounded-xl shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto p-6 text-gray-900">
+                <div class="flex items-center justify-between mb-4">
+                    <h2 class="text-xl font-bold">Languages</h2>
+                    <button type="button" data-close class="text-gray-400 hover:text-gray-600 text-2xl leading-none">&times;</button>
+                </div>
+                <p class="text-sm text-gray-500 mb-4">Tick the languages students speak. None means auto-detect; tick two for bilingual groups. Applies to chunks transcribed from now on.</p>
+                <div id="languagesSession" class="grid grid-cols-2 sm:grid-cols-3 gap-2 text-sm mb-6"></div>
+                <h3 class="font-semibold mb-2">Group overrides</h3>
+                <form id="languagesGroupForm" class="flex flex-wrap items-center gap-3 mb-3">
+                    <label for="languagesGroup" class="text-sm font-medium text-gray-700">Group</label>
+                    <input type="number" id="languagesGroup" min="1" max="99" value="1" required
+                        class="w-20 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-transparent">
+                    <select id="languagesGroupLanguage" class="border border-gray-300 rounded-lg px-3 py-2"></select>
+                    <button type="submit" class="bg-indigo-600 hover:bg-indigo-700 text-white font-medium px-4 py-2 rounded-lg transition-colors">
+                        Set
+                    </button>
+                </form>
+                <div id="languagesGroups" class="divide-y divide-gray-100 text-sm mb-6"></div>
+                <h3 class="font-semibold mb-1">Translation for students</h3>
+                <p class="text-sm text-gray-500 mb-3">Students in these groups see each transcript and the summary translated next to the original.</p>
+                <form id="languagesTranslationForm" class="flex flex-wrap items-center gap-3 mb-3">
+                    <label for="languagesTranslationGroup" class="text-sm font-medium text-gray-700">Group</label>
+                    <input type="number" id="languagesTranslationGroup" min="1" max="99" value="1" required
+                        class="w-20 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-transparent">
+                    <select id="languagesTranslationLanguage" class="border border-gray-300 rounded-lg px-3 py-2"></select>
+                    <button type="submit" class="bg-indigo-600 hover:bg-indigo-700 text-white font-medium px-4 py-2 rounded-lg transition-colors">
+                        Set
+                    </button>
+                </form>
+                <div id="languagesTranslations" class="divide-y divide-gray-100 text-sm mb-4"></div>
+                <p id="languagesError" class="hidden text-sm text-red-600 mb-4"></p>
+                <div class="flex items-center justify-end space-x-3">
+                    <span id="languagesSaved" class="hidden text-sm text-green-700">Saved</span>
+                    <button type="button" id="languagesSave" class="bg-indigo-600 hover:bg-indigo-700 text-white font-medium px-4 py-2 rounded-lg transition-colors">
+                        Save
+                    </button>
+                </div>
+            </div>`;
+        document.body.appendChild(modal);
+
+        modal.querySelector('[data-close]').addEventListener('click', () => modal.classList.add('hidden'));
+        modal.addEventListener('click', (event) => {
+            if (event.target === modal) modal.classList.add('hidden');
+        });
+        modal.querySelector('#languagesGroupForm').addEventListener('submit', (event) => {
+            event.preventDefault();
+            const group = parseInt(document.getElementById('languagesGroup').value);
+            const language = document.getElementById('languagesGroupLanguage').value;
+            groupOverrides[group] = language ? [language] : [];
+            renderGroups();
+        });
+        modal.querySelector('#languagesTranslationForm').addEventListener('submit', (event) => {
+            event.preventDefault();
+            const group = parseInt(document.getElementById('languagesTranslationGroup').value);
+            translations[group] = document.getElementById('languagesTranslationLanguage').value;
+            renderTranslations();
+        });
+        modal.querySelector('#languagesSave').addEventListener('click', save);
+        return modal;
+    }
+
+    function showError(message) {
+        const el = document.getElementById('languagesError');
+        el.textContent = message;
+        el.classList.toggle('hidden', !message);
+    }
+
+    async function request(url, options) {
+        const response = await fetch(url, options);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        return result;
+    }
+
+    function renderGroups() {
+        const list = document.getElementById('languagesGroups');
+        const groups = Object.keys(groupOverrides).map(Number).sort((a, b) => a - b);
+        if (groups.length === 0) {
+            list.innerHTML = '<p class="text-gray-500 py-2">Every group uses the session languages.</p>';
+            return;
+        }
+        list.innerHTML = groups.map(group => `
+            <div class="flex items-center justify-between py-2">
+                <span>Group ${group}: ${escapeHtml(describe(groupOverrides[group]))}</span>
+                <button type="button" data-remove="${group}" class="text-red-600 hover:underline">Remove</button>
+            </div>`).join('');
+        list.querySelectorAll('[data-remove]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                delete groupOverrides[btn.dataset.remove];
+                renderGroups();
+            });
+        });
+    }
+
+    function renderTranslations() {
+        const list = document.getElementById('languagesTranslations');
+        const groups = Object.keys(translations).map(Number).sort((a, b) => a - b);
+        if (groups.length === 0) {
+            list.innerHTML = '<p class="text-gray-500 py-2">No group gets a translation.</p>';
+            return;
+        }
+        list.innerHTML = groups.map(group => `
+            <div class="flex items-center justify-between py-2">
+                <span>Group ${group}: ${escapeHtml(languageName(translations[group]))}</span>
+                <button type="button" data-remove-translation="${group}" class="text-red-600 hover:underline">Remove</button>
+            </div>`).join('');
+        list.querySelectorAll('[data-remove-translation]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                delete translations[btn.dataset.removeTranslation];
+                renderTranslations();
+            });
+        });
+    }
+
+    async function load() {
+        showError('');
+        try {
+            const result = await request(`/api/session/${currentCode}/languages`);
+            available = result.available;
+            groupOverrides = result.groups;
+            translations = result.translations;
+            document.getElementById('languagesSession').innerHTML = available.map(l => `
+                <label class="flex items-center space-x-2">
+                    <input type="checkbox" value="${l.code}" ${result.languages.includes(l.code) ? 'checked' : ''} class="rounded text-indigo-600">
+                    <span>${escapeHtml(l.name)}</span>
+                </label>`).join('');
+            document.getElementById('languagesGroupLanguage').innerHTML = '<option value="">Auto-detect</option>' +
+                available.map(l => `<option value="${l.code}">${escapeHtml(l.name)}</option>`).join('');
+            document.getElementById('languagesTranslationLanguage').innerHTML =
+                available.map(l => `<option value="${l.code}">${escapeHtml(l.name)}</option>`).join('');
+            renderGroups();
+            renderTranslations();
+        } catch (err) {
+            showError(`Failed to load languages: ${err.message}`);
+        }
+    }
+
+    async function save() {
+        showError('');
+        const languages = Array.from(document.querySelectorAll('#languagesSession input:checked')).map(el => el.value);
+        try {
+            await request(`/api/session/${currentCode}/languages`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ languages, groups: groupOverrides, translations })
+            });
+            const saved = document.getElementById('languagesSaved');
+            saved.classList.remove('hidden');
+            setTimeout(() => saved.classList.add('hidden'), 2000);
+        } catch (err) {
+            showError(`Failed to save languages: ${err.message}`);
+        }
+    }
+
+    window.openLanguages = function (sessionCode) {
+        if (!sessionCode) return;
+        currentCode = sessionCode;
+        const modal = ensureModal();
+        document.getElementById('languagesSaved').classList.add('hidden');
+        modal.classList.remove('hidden');
+        load();
+    };
+})();
@@ -0,0 +1,147 @@
+// Shared by the admin and data pages: per-group participation charts (talk-time share per speaker,
+// turns, longest silence, equity index) from /api/analytics/session/:code/participation.
+// renderParticipation(container, sessionCode) draws into an element; openParticipation(sessionCode)
+// shows it in a modal. Needs Chart.js on the page.
+(function () {
+    const charts = new WeakMap();
+
+    function escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value;
+        return div.innerHTML;
+    }
+
+    // Unmapped labels are only counted within their own chunk, so say which one
+    function speakerName(speaker) {
+        if (speaker.name) return speaker.name;
+        const label = speaker.speaker.replace('speaker_', 'Speaker ');
+        return speaker.segment ? `${label} (segment ${speaker.segment})` : label;
+    }
+
+    function formatSeconds(seconds) {
+        const s = Math.round(seconds || 0);
+        return s >= 60 ? `${Math.floor(s / 60)}m ${s % 60}s` : `${s}s`;
+    }
+
+    function describeEquity(value) {
+        if (value === null || value === undefined) return '<span class="text-gray-400">n/a</span>';
+        const label = value >= 0.85 ? 'Balanced' : value >= 0.6 ? 'Uneven' : 'Dominated';
+        const color = value >= 0.85 ? 'text-green-700' : value >= 0.6 ? 'text-yellow-700' : 'text-red-700';
+        return `<span class="${color} font-semibold">${value.toFixed(2)}</span> <span class="text-gray-500">${label}</span>`;
+    }
+
+    function groupCard(group) {
+        if (!group.diarized) {
+            return `
+                <div class="border border-gray-200 rounded-lg p-4">
+                    <h5 class="font-medium text-gray-900 mb-1">Group ${group.number}</h5>
+                    <p class="text-sm text-gray-500">No speaker labels for this group yet.</p>
+                </div>`;
+        }
+        return `
+            <div class="border border-gray-200 rounded-lg p-4">
+                <div class="flex items-center justify-between mb-3">
+                    <h5 class="font-medium text-gray-900">Group ${group.number}</h5>
+                    <span class="text-sm">Equity: ${describeEquity(group.equityIndex)}</span>
+                </div>
+                <div class="h-40"><canvas data-participation-chart="${group.number}"></canvas></div>
+                <div class="grid grid-cols-3 gap-2 text-center text-xs text-gray-600 mt-3">
+                    <div><div class="text-base font-semibold text-gray-900">${formatSeconds(group.talkSeconds)}</div>Talk time</div>
+                    <div><div class="text-base font-semibold text-gray-900">${group.turns}</div>Turns</div>
+                    <div><div class="text-base font-semibold text-gray-900">${formatSeconds(group.longestSilenceSeconds)}</div>Longest silence</div>
+                </div>
+                <table class="w-full text-xs mt-3">
+                    <thead class="text-gray-500"><tr><th class="text-left font-medium">Speaker</th><th class="text-right font-medium">Talk time</th><th class="text-right font-medium">Share</th><th class="text-right font-medium">Turns</th></tr></thead>
+                    <tbody>
+                        ${group.speakers.map(s => `
+                            <tr class="border-t border-gray-100">
+                                <td class="py-1">${escapeHtml(speakerName(s))}</td>
+                                <td class="text-right">${formatSeconds(s.talkSeconds)}</td>
+                                <td class="text-right">${Math.round(s.share * 100)}%</td>
+                                <td class="text-right">${s.turns}</td>
+                            </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>`;
+    }
+
+    window.renderParticipation = async function (container, sessionCode) {
+        (charts.get(container) || []).forEach(chart => chart.destroy());
+        charts.set(container, []);
+        container.innerHTML = '<p class="text-sm text-gray-500">Loading participation...</p>';
+
+        try {
+            const response = await fetch(`/api/analytics/session/${sessionCode}/participation`);
+            const report = await response.json();
+            if (!response.ok) throw new Error(report.error || `HTTP ${response.status}`);
+
+            if (!report.groups.some(g => g.diarized)) {
+                container.innerHTML = '<p class="text-sm text-gray-500">No speaker labels yet. Participation appears once transcripts with speaker separation come in.</p>';
+                return;
+            }
+
+            container.innerHTML = `
+                <div class="flex items-center justify-between mb-3">
+                    <p class="text-sm text-gray-600">Session equity index: ${describeEquity(report.equityIndex)}</p>
+                    <p class="text-xs text-gray-400">1 = everyone talks equally, 0 = one speaker dominates</p>
+                </div>
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-4">${report.groups.map(groupCard).join('')}</div>`;
+
+            if (!window.Chart) return;
+            report.groups.filter(g => g.diarized).forEach(group => {
+                const canvas = container.querySelector(`[data-participation-chart="${group.number}"]`);
+                charts.get(container).push(new Chart(canvas, {
+                    type: 'bar',
+                    data: {
+                        labels: group.speakers.map(s => speakerName(s)),
+                        datasets: [{
+                            label: 'Talk-time share (%)',
+                            data: group.speakers.map(s => Math.round(s.share * 100)),
+                            backgroundColor: '#6366f1'
+                        }]
+                    },
+                    options: {
+                        indexAxis: 'y',
+                        maintainAspectRatio: false,
+                        plugins: { legend: { display: false } },
+                        scales: { x: { min: 0, max: 100, ticks: { callback: value => `${value}%` } } }
+                    }
+                }));
+            });
+        } catch (err) {
+            container.innerHTML = `<p class="text-sm text-red-600">Failed to load participation: ${escapeHtml(err.message)}</p>`;
+        }
+    };
+
+    window.openParticipation = function (sessionCode) {
+        if (!sessionCode) return;
+        let modal = document.getElementById('participationModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'participationModal';
+            modal.className = 'fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center px-4';
+            modal.innerHTML = `
+                <div class="bg-white rounded-xl shadow-xl w-full max-w-4xl max-h-[90vh] overflow-y-auto p-6 text-gray-900">
+                    <div class="flex items-center justify-between mb-4">
+                        <h2 class="text-xl font-bold">Participation</h2>
+                        <div class="flex items-center space-x-3">
+                            <button type="button" data-refresh class="text-sm text-indigo-600 hover:underline">Refresh</button>
+                            <button type="button" data-close class="text-gray-400 hover:text-gray-600 text-2xl leading-none">&times;</button>
+                        </div>
+                    </div>
+                    <div id="participationContent"></div>
+                </div>`;
+            document.body.appendChild(modal);
+            modal.querySelector('[data-close]').addEventListener('click', () => modal.classList.add('hidden'));
+            modal.addEventListener('click', (event) => {
+                if (event.target === modal) modal.classList.add('hidden');
+            });
+            modal.querySelector('[data-refresh]').addEventListener('click', () => {
+                window.renderParticipation(document.getElementById('participationContent'), modal.dataset.sessionCode);
+            });
+        }
+        modal.dataset.sessionCode = sessionCode;
+        modal.classList.remove('hidden');
+        window.renderParticipation(document.getElementById('participationContent'), sessionCode);
+    };
+})();
@@ -0,0 +1,75 @@
+// Shared by the teacher pages: the personal data behind a session's redaction placeholders
+// ([PHONE_1], [NAME_2]...). Only roles with pii:reveal can load it, and every look is logged.
+// Call openPiiMapping(sessionCode) from a button.
+(function () {
+    const TYPE_LABELS = { email: 'Email', phone: 'Phone', address: 'Address', name: 'Name' };
+
+    function escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value;
+        return div.innerHTML;
+    }
+
+    function ensureModal() {
+        let modal = document.getElementById('piiModal');
+        if (modal) return modal;
+
+        modal = document.createElement('div');
+        modal.id = 'piiModal';
+        modal.className = 'fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center px-4';
+        modal.innerHTML = `
+            <div class="bg-white rounded-xl shadow-xl w-full max-w-xl max-h-[90vh] overflow-y-auto p-6 text-gray-900">
+                <div class="flex items-center justify-between mb-4">
+                    <h2 class="text-xl font-bold">Redacted personal data</h2>
+                    <button type="button" data-close class="text-gray-400 hover:text-gray-600 text-2xl leading-none">&times;</button>
+                </div>
+                <p class="text-sm text-gray-500 mb-4">Viewing this is recorded in the session log. Don't copy it anywhere it isn't needed.</p>
+                <div id="piiContent" class="text-sm"></div>
+            </div>`;
+        document.body.appendChild(modal);
+
+        // Don't leave the values on the page once the teacher is done
+        const close = () => {
+            modal.classList.add('hidden');
+            document.getElementById('piiContent').innerHTML = '';
+        };
+        modal.querySelector('[data-close]').addEventListener('click', close);
+        modal.addEventListener('click', (event) => {
+            if (event.target === modal) close();
+        });
+        return modal;
+    }
+
+    window.openPiiMapping = async function (sessionCode) {
+        if (!sessionCode) return;
+        const modal = ensureModal();
+        const content = document.getElementById('piiContent');
+        content.innerHTML = '<p class="text-gray-500">Loading...</p>';
+        modal.classList.remove('hidden');
+
+        try {
+            const response = await fetch(`/api/session/${sessionCode}/pii`);
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+
+            if (result.mappings.length === 0) {
+                content.innerHTML = '<p class="text-gray-500">Nothing was redacted in this session.</p>';
+                return;
+            }
+            content.innerHTML = `
+                <table class="w-full">
+                    <thead class="text-gray-500 text-xs"><tr><th class="text-left font-medium py-1">Placeholder</th><th class="text-left font-medium">Type</th><th class="text-left font-medium">Original</th></tr></thead>
+                    <tbody>
+                        ${result.mappings.map(m => `
+                            <tr class="border-t border-gray-100">
+                                <td class="py-1 font-mono text-xs">${escapeHtml(m.placeholder)}</td>
+                                <td>${TYPE_LABELS[m.type] || escapeHtml(m.type)}</td>
+                                <td>${m.value === null ? '<span class="text-gray-400">Unreadable (encryption key changed)</span>' : escapeHtml(m.value)}</td>
+                            </tr>`).join('')}
+                    </tbody>
+                </table>`;
+        } catch (err) {
+            content.innerHTML = `<p class="text-red-600">Failed to load redacted data: ${escapeHtml(err.message)}</p>`;
+        }
+    };
+})();
@@ -0,0 +1,185 @@
+// Shared by the teacher pages: the students in each group and which diarized speaker each one is.
+// Students are added here or when they join with their name; assigning a speaker label to a
+// student renames it across the group's transcripts, summary and checklist quotes.
+// Call openRoster(sessionCode) from a button.
+(function () {
+    let currentCode = null;
+    let currentRoster = [];
+
+    function escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value;
+        return div.innerHTML;
+    }
+
+    function speakerName(label) {
+        return label.replace('speaker_', 'Speaker ');
+    }
+
+    function ensureModal() {
+        let modal = document.getElementById('rosterModal');
+        if (modal) return modal;
+
+        modal = document.createElement('div');
+        modal.id = 'rosterModal';
+        modal.className = 'fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center px-4';
+        modal.innerHTML = `
+            <div class="bg-white rounded-xl shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto p-6 text-gray-900">
+                <div class="flex items-center justify-between mb-4">
+                    <h2 class="text-xl font-bold">Roster</h2>
+                    <div class="flex items-center space-x-3">
+                        <button type="button" data-refresh class="text-sm text-indigo-600 hover:underline">Refresh</button>
+                        <button type="button" data-close class="text-gray-400 hover:text-gray-600 text-2xl leading-none">&times;</button>
+                    </div>
+                </div>
+                <p class="text-sm text-gray-500 mb-4">List the students in each group, then match each speaker heard in the group's recordings to a student. Students who type their name when joining are added automatically.</p>
+                <form id="rosterForm" class="flex flex-wrap items-center gap-3 mb-4">
+                    <label for="rosterGroup" class="text-sm font-medium text-gray-700">Group</label>
+                    <input type="number" id="rosterGroup" min="1" max="99" value="1" required
+                        class="w-20 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-transparent">
+                    <input type="text" id="rosterName" maxlength="60" placeholder="Student name" required
+                        class="flex-1 min-w-[10rem] border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-transparent">
+                    <button type="submit" class="bg-indigo-600 hover:bg-indigo-700 text-white font-medium px-4 py-2 rounded-lg transition-colors">
+                        Add
+                    </button>
+                </form>
+                <p id="rosterError" class="hidden text-sm text-red-600 mb-4"></p>
+                <div id="rosterGroups" class="space-y-4 text-sm"></div>
+            </div>`;
+        document.body.appendChild(modal);
+
+        modal.querySelector('[data-close]').addEventListener('click', () => modal.classList.add('hidden'));
+        modal.addEventListener('click', (event) => {
+            if (event.target === modal) modal.classList.add('hidden');
+        });
+        modal.querySelector('[data-refresh]').addEventListener('click', () => loadRoster());
+        modal.querySelector('#rosterForm').addEventListener('submit', (event) => {
+            event.preventDefault();
+            addStudent(parseInt(document.getElementById('rosterGroup').value), document.getElementById('rosterName').value);
+        });
+        return modal;
+    }
+
+    function showError(message) {
+        const el = document.getElementById('rosterError');
+        el.textContent = message;
+        el.classList.toggle('hidden', !message);
+    }
+
+    async function request(url, options) {
+        const response = await fetch(url, options);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        return result;
+    }
+
+    async function addStudent(group, name) {
+        showError('');
+        try {
+            await request(`/api/session/${currentCode}/roster`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ group, name })
+            });
+            document.getElementById('rosterName').value = '';
+            await loadRoster();
+        } catch (err) {
+            showError(`Failed to add student: ${err.message}`);
+        }
+    }
+
+    async function removeStudent(id) {
+        const student = currentRoster.find(s => s.id === id);
+        if (!student || !confirm(`Remove ${student.name} from the roster? Speakers assigned to them go back to their labels.`)) return;
+        showError('');
+        try {
+            await request(`/api/session/${currentCode}/roster/${id}`, { method: 'DELETE' });
+            await loadRoster();
+        } catch (err) {
+            showError(`Failed to remove student: ${err.message}`);
+        }
+    }
+
+    async function mapSpeaker(group, speaker, studentId) {
+        showError('');
+        try {
+            await request(`/api/session/${currentCode}/groups/${group}/speakers`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ speaker, studentId: studentId || null })
+            });
+        } catch (err) {
+            showError(`Failed to assign speaker: ${err.message}`);
+            await loadRoster();
+        }
+    }
+
+    function groupSection(number, students, speakers, mappings) {
+        const options = selected => ['<option value="">Unassigned</option>']
+            .concat(students.map(s => `<option value="${escapeHtml(s.id)}" ${s.id === selected ? 'selected' : ''}>${escapeHtml(s.name)}</option>`))
+            .join('');
+        return `
+            <div class="border border-gray-200 rounded-lg p-4">
+                <h3 class="font-semibold mb-2">Group ${number}</h3>
+                ${students.length === 0
+                    ? '<p class="text-gray-500">No students yet.</p>'
+                    : `<div class="flex flex-wrap gap-2">${students.map(s => `
+                        <span class="inline-flex items-center bg-gray-100 rounded-full px-3 py-1">
+                            ${escapeHtml(s.name)}
+                            ${s.source === 'student' ? '<span class="text-gray-400 text-xs ml-1">joined</span>' : ''}
+                            <button type="button" data-remove="${escapeHtml(s.id)}" class="ml-2 text-gray-400 hover:text-red-600">&times;</button>
+                        </span>`).join('')}</div>`}
+                ${speakers.length === 0
+                    ? '<p class="text-gray-400 text-xs mt-3">No speakers heard yet.</p>'
+                    : `<div class="mt-3 space-y-2">${speakers.map(speaker => {
+                        const mapping = mappings.find(m => m.group === number && m.speaker === speaker && !m.transcriptId);
+                        return `
+                            <label class="flex items-center justify-between">
+                                <span class="text-gray-700">${speakerName(speaker)}</span>
+                                <select data-group="${number}" data-speaker="${speaker}" class="border border-gray-300 rounded-lg px-2 py-1">
+                                    ${options(mapping?.studentId)}
+                                </select>
+                            </label>`;
+                    }).join('')}</div>`}
+            </div>`;
+    }
+
+    async function loadRoster() {
+        const container = document.getElementById('rosterGroups');
+        try {
+            const { roster, mappings, speakers } = await request(`/api/session/${currentCode}/roster`);
+            currentRoster = roster;
+            const numbers = [...new Set([...roster.map(s => s.group), ...Object.keys(speakers).map(Number)])].sort((a, b) => a - b);
+            if (numbers.length === 0) {
+                container.innerHTML = '<p class="text-gray-500">No students or speakers yet.</p>';
+                return;
+            }
+            container.innerHTML = numbers.map(number => groupSection(
+                number,
+                roster.filter(s => s.group === number),
+                speakers[number] || [],
+                mappings
+            )).join('');
+            container.querySelectorAll('[data-remove]').forEach(btn => {
+                btn.addEventListener('click', () => removeStudent(btn.dataset.remove));
+            });
+            container.querySelectorAll('select[data-speaker]').forEach(select => {
+                select.addEventListener('change', () => mapSpeaker(select.dataset.group, select.dataset.speaker, select.value));
+            });
+        } catch (err) {
+            container.innerHTML = '';
+            showError(`Failed to load roster: ${err.message}`);
+        }
+    }
+
+    window.openRoster = function (sessionCode) {
+        if (!sessionCode) return;
+        currentCode = sessionCode;
+        const modal = ensureModal();
+        showError('');
+        modal.classList.remove('hidden');
+        loadRoster();
+    };
+})();
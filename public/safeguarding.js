@@ -0,0 +1,202 @@
+// Shared by the teacher pages: safeguarding alerts (self-harm, bullying, profanity) raised from
+// transcripts. watchSafeguarding(socket, sessionCode) pops up live alerts and keeps the count in
+// #safeguardingCount up to date; openSafeguarding(sessionCode) lists them so a teacher can
+// acknowledge and resolve them, with a note kept in the alert's audit trail.
+(function () {
+    let currentCode = null;
+    let currentAlerts = [];
+
+    const CATEGORY_LABELS = { self_harm: 'Self-harm', bullying: 'Bullying', profanity: 'Profanity' };
+    const SEVERITY_CLASSES = {
+        high: 'bg-red-100 text-red-800',
+        medium: 'bg-orange-100 text-orange-800',
+        low: 'bg-yellow-100 text-yellow-800'
+    };
+
+    function escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value;
+        return div.innerHTML;
+    }
+
+    async function request(url, options) {
+        const response = await fetch(url, options);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        return result;
+    }
+
+    function categoryBadge(alert) {
+        return `<span class="text-xs font-medium px-2 py-0.5 rounded ${SEVERITY_CLASSES[alert.severity] || SEVERITY_CLASSES.low}">${CATEGORY_LABELS[alert.category] || escapeHtml(alert.category)}</span>`;
+    }
+
+    async function refreshCount(sessionCode) {
+        const badge = document.getElementById('safeguardingCount');
+        if (!badge || !sessionCode) return;
+        try {
+            const { alerts } = await request(`/api/session/${sessionCode}/alerts?status=open`);
+            badge.textContent = alerts.length;
+            badge.classList.toggle('hidden', alerts.length === 0);
+        } catch (err) {
+            console.warn('Failed to load safeguarding alert count:', err.message);
+        }
+    }
+
+    function toastContainer() {
+        let container = document.getElementById('safeguardingToasts');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'safeguardingToasts';
+            container.className = 'fixed top-4 right-4 z-50 space-y-2 w-80';
+            document.body.appendChild(container);
+        }
+        return container;
+    }
+
+    // Alerts stay on screen until the teacher closes or opens them
+    function showToast(alert) {
+        const toast = document.createElement('div');
+        toast.className = `rounded-lg shadow-lg p-4 border-l-4 bg-white text-gray-900 ${alert.severity === 'high' ? 'border-red-600' : 'border-orange-400'}`;
+        toast.innerHTML = `
+            <div class="flex items-center justify-between mb-1">
+                <span class="text-sm font-semibold">Group ${alert.group} • ${CATEGORY_LABELS[alert.category] || escapeHtml(alert.category)}</span>
+                <button type="button" data-dismiss class="text-gray-400 hover:text-gray-600 leading-none">&times;</button>
+            </div>
+            <p class="text-sm text-gray-700 mb-2">"${escapeHtml(alert.quote)}"</p>
+            <button type="button" data-open class="text-xs text-indigo-600 hover:underline">Review</button>`;
+        toast.querySelector('[data-dismiss]').addEventListener('click', () => toast.remove());
+        toast.querySelector('[data-open]').addEventListener('click', () => {
+            toast.remove();
+            window.openSafeguarding(alert.sessionCode);
+        });
+        toastContainer().appendChild(toast);
+    }
+
+    function ensureModal() {
+        let modal = document.getElementById('safeguardingModal');
+        if (modal) return modal;
+
+        modal = document.createElement('div');
+        modal.id = 'safeguardingModal';
+        modal.className = 'fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center px-4';
+        modal.innerHTML = `
+            <div class="bg-white rounded-xl shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto p-6 text-gray-900">
+                <div class="flex items-center justify-between mb-4">
+                    <h2 class="text-xl font-bold">Safeguarding alerts</h2>
+                    <div class="flex items-center space-x-3">
+                        <button type="button" data-refresh class="text-sm text-indigo-600 hover:underline">Refresh</button>
+                        <button type="button" data-close class="text-gray-400 hover:text-gray-600 text-2xl leading-none">&times;</button>
+                    </div>
+                </div>
+                <p class="text-sm text-gray-500 mb-4">Raised automatically from phrases in the transcripts. Check each one in context before acting on it.</p>
+                <p id="safeguardingError" class="hidden text-sm text-red-600 mb-4"></p>
+                <div id="safeguardingList" class="space-y-3 text-sm"></div>
+            </div>`;
+        document.body.appendChild(modal);
+
+        modal.querySelector('[data-close]').addEventListener('click', () => modal.classList.add('hidden'));
+        modal.addEventListener('click', (event) => {
+            if (event.target === modal) modal.classList.add('hidden');
+        });
+        modal.querySelector('[data-refresh]').addEventListener('click', loadAlerts);
+        return modal;
+    }
+
+    function showError(message) {
+        const el = document.getElementById('safeguardingError');
+        el.textContent = message;
+        el.classList.toggle('hidden', !message);
+    }
+
+    function alertCard(alert, canAct) {
+        const actions = [];
+        if (alert.status === 'open') actions.push('<button type="button" data-action="acknowledge" class="text-indigo-600 hover:underline">Acknowledge</button>');
+        if (alert.status !== 'resolved') actions.push('<button type="button" data-action="resolve" class="text-green-700 hover:underline">Resolve</button>');
+        return `
+            <div class="border rounded-lg p-4 ${alert.status === 'resolved' ? 'border-gray-200 opacity-70' : 'border-red-200'}" data-alert="${escapeHtml(alert.id)}">
+                <div class="flex items-center justify-between mb-2">
+                    <span class="space-x-2">${categoryBadge(alert)} <span class="text-gray-600">Group ${alert.group}</span></span>
+                    <span class="text-xs text-gray-500">${new Date(alert.createdAt).toLocaleString()} • ${escapeHtml(alert.status)}</span>
+                </div>
+                <p class="text-gray-800 mb-2">"${escapeHtml(alert.quote)}"</p>
+                <ul class="text-xs text-gray-500 space-y-0.5 mb-2">
+                    ${(alert.audit || []).filter(entry => entry.action !== 'raised').map(entry => `
+                        <li>${escapeHtml(entry.action)} by ${escapeHtml(entry.teacher_email || 'unknown')} ${new Date(entry.at).toLocaleString()}${entry.note ? `: ${escapeHtml(entry.note)}` : ''}</li>`).join('')}
+                </ul>
+                ${canAct && actions.length ? `
+                    <div class="flex items-center gap-3">
+                        <input type="text" data-note maxlength="1000" placeholder="Note (optional)"
+                            class="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-xs">
+                        ${actions.join('')}
+                    </div>` : ''}
+            </div>`;
+    }
+
+    async function loadAlerts() {
+        const list = document.getElementById('safeguardingList');
+        showError('');
+        try {
+            const [{ alerts }, teacher] = await Promise.all([
+                request(`/api/session/${currentCode}/alerts`),
+                window.currentTeacher
+            ]);
+            currentAlerts = alerts;
+            const canAct = Boolean(teacher?.permissions?.includes('session:run'));
+            if (alerts.length === 0) {
+                list.innerHTML = '<p class="text-gray-500">No alerts for this session.</p>';
+                return;
+            }
+            // Unresolved first, newest first within each
+            const sorted = [...alerts].sort((a, b) => (a.status === 'resolved') - (b.status === 'resolved') || b.createdAt - a.createdAt);
+            list.innerHTML = sorted.map(alert => alertCard(alert, canAct)).join('');
+            list.querySelectorAll('[data-action]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const card = btn.closest('[data-alert]');
+                    updateAlert(card.dataset.alert, btn.dataset.action, card.querySelector('[data-note]').value);
+                });
+            });
+        } catch (err) {
+            list.innerHTML = '';
+            showError(`Failed to load alerts: ${err.message}`);
+        }
+    }
+
+    async function updateAlert(id, action, note) {
+        if (!currentAlerts.some(alert => alert.id === id)) return;
+        showError('');
+        try {
+            await request(`/api/session/${currentCode}/alerts/${id}/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ note })
+            });
+            await loadAlerts();
+            refreshCount(currentCode);
+        } catch (err) {
+            showError(`Failed to ${action} alert: ${err.message}`);
+        }
+    }
+
+    window.watchSafeguarding = function (socket, sessionCode) {
+        socket.off('safeguarding_alert');
+        socket.off('safeguarding_alert_updated');
+        socket.on('safeguarding_alert', (alert) => {
+            showToast(alert);
+            refreshCount(alert.sessionCode);
+            const modal = document.getElementById('safeguardingModal');
+            if (modal && !modal.classList.contains('hidden') && currentCode === alert.sessionCode) loadAlerts();
+        });
+        socket.on('safeguarding_alert_updated', (alert) => refreshCount(alert.sessionCode));
+        refreshCount(sessionCode);
+    };
+
+    window.openSafeguarding = function (sessionCode) {
+        if (!sessionCode) return;
+        currentCode = sessionCode;
+        const modal = ensureModal();
+        modal.classList.remove('hidden');
+        loadAlerts();
+    };
+})();
@@ -0,0 +1,114 @@
+// Shared by the teacher pages: sessions deleted from history sit in the trash until they are
+// purged for good. openTrash(onChange) lists them so a teacher can restore one or delete it
+// permanently; onChange is called after either so the page can reload its session list.
+(function () {
+    const MODE_LABELS = { summary: 'Summary', mindmap: 'Mindmap', checkbox: 'Checklist' };
+    let changed = null;
+
+    function escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value;
+        return div.innerHTML;
+    }
+
+    async function request(url, options) {
+        const response = await fetch(url, options);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        return result;
+    }
+
+    function ensureModal() {
+        let modal = document.getElementById('trashModal');
+        if (modal) return modal;
+
+        modal = document.createElement('div');
+        modal.id = 'trashModal';
+        modal.className = 'fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center px-4';
+        modal.innerHTML = `
+            <div class="bg-white rounded-xl shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto p-6 text-gray-900">
+                <div class="flex items-center justify-between mb-4">
+                    <h2 class="text-xl font-bold">Trash</h2>
+                    <button type="button" data-close class="text-gray-400 hover:text-gray-600 text-2xl leading-none">&times;</button>
+                </div>
+                <p id="trashRetention" class="text-sm text-gray-500 mb-4"></p>
+                <p id="trashError" class="hidden text-sm text-red-600 mb-4"></p>
+                <div id="trashList" class="divide-y divide-gray-100 text-sm"></div>
+            </div>`;
+        document.body.appendChild(modal);
+
+        modal.querySelector('[data-close]').addEventListener('click', () => modal.classList.add('hidden'));
+        modal.addEventListener('click', (event) => {
+            if (event.target === modal) modal.classList.add('hidden');
+        });
+        return modal;
+    }
+
+    function showError(message) {
+        const el = document.getElementById('trashError');
+        el.textContent = message;
+        el.classList.toggle('hidden', !message);
+    }
+
+    async function load() {
+        showError('');
+        const list = document.getElementById('trashList');
+        list.innerHTML = '<p class="text-gray-500 py-2">Loading...</p>';
+        try {
+            const [result, teacher] = await Promise.all([request('/api/history/trash'), window.currentTeacher]);
+            const canDelete = teacher?.permissions?.includes('history:delete');
+            document.getElementById('trashRetention').textContent =
+                `Deleted sessions are kept for ${result.retentionDays} days, then removed permanently with all their transcripts and results.`;
+
+            if (result.sessions.length === 0) {
+                list.innerHTML = '<p class="text-gray-500 py-2">The trash is empty.</p>';
+                return;
+            }
+            list.innerHTML = result.sessions.map(session => `
+                <div class="py-3 flex items-center justify-between" data-id="${escapeHtml(session.id)}">
+                    <div>
+                        <div class="font-medium">Session ${escapeHtml(session.code)} <span class="text-xs text-gray-500 font-normal">${MODE_LABELS[session.mode] || escapeHtml(session.mode)}</span></div>
+                        <div class="text-xs text-gray-500">
+                            Created ${new Date(session.createdAt).toLocaleDateString()} • deleted ${new Date(session.deletedAt).toLocaleString()} • removed for good ${new Date(session.purgeAt).toLocaleDateString()}
+                        </div>
+                    </div>
+                    ${canDelete ? `
+                        <div class="flex items-center space-x-3 shrink-0">
+                            <button type="button" data-action="restore" class="text-indigo-600 hover:underline">Restore</button>
+                            <button type="button" data-action="purge" class="text-red-600 hover:underline">Delete forever</button>
+                        </div>` : ''}
+                </div>`).join('');
+
+            list.querySelectorAll('[data-action]').forEach(btn => {
+                btn.addEventListener('click', () => act(btn.dataset.action, btn.closest('[data-id]').dataset.id));
+            });
+        } catch (err) {
+            list.innerHTML = '';
+            showError(`Failed to load the trash: ${err.message}`);
+        }
+    }
+
+    async function act(action, sessionId) {
+        if (action === 'purge' && !confirm('Permanently delete this session and all its data? This cannot be undone.')) return;
+        showError('');
+        try {
+            await request(action === 'restore' ? '/api/history/trash/restore' : '/api/history/trash', {
+                method: action === 'restore' ? 'POST' : 'DELETE',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sessionIds: [sessionId] })
+            });
+            if (changed) changed();
+            load();
+        } catch (err) {
+            showError(`Failed to ${action === 'restore' ? 'restore' : 'delete'} the session: ${err.message}`);
+        }
+    }
+
+    window.openTrash = function (onChange) {
+        changed = onChange || null;
+        ensureModal().classList.remove('hidden');
+        load();
+    };
+})();
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { speakerTurns, equityIndex, groupParticipation, sessionEquityIndex } from "../../lib/analytics.js";
+
+test("merges consecutive words by one speaker into a turn", () => {
+  const turns = speakerTurns([
+    { text: "I", start: 0, end: 0.2, speaker: "speaker_0" },
+    { text: "agree", start: 0.3, end: 0.7, speaker: "speaker_0" },
+    { text: "Why?", start: 1, end: 1.4, speaker: "speaker_1" }
+  ]);
+  assert.deepEqual(turns, [
+    { speaker: "speaker_0", start: 0, end: 0.7, text: "I agree" },
+    { speaker: "speaker_1", start: 1, end: 1.4, text: "Why?" }
+  ]);
+});
+
+test("equity is 1 for equal talk time and needs two speakers", () => {
+  assert.equal(equityIndex([10, 10, 10]), 1);
+  assert.ok(equityIndex([100, 1]) < 0.1);
+  assert.equal(equityIndex([10]), null);
+  assert.equal(equityIndex([10, 0]), null);
+});
+
+test("adds up talk time per student when chunks number their speakers differently", () => {
+  const participation = groupParticipation([
+    {
+      recorded_at: 0,
+      speaker_names: { speaker_0: "Maya", speaker_1: "Tom" },
+      words: [
+        { text: "Cars", start: 0, end: 1, speaker: "speaker_0" },
+        { text: "pollute", start: 1, end: 2, speaker: "speaker_0" },
+        { text: "um", start: 2, end: 2.5 },
+        { text: "Yes", start: 3, end: 4, speaker: "speaker_1" }
+      ]
+    },
+    { recorded_at: 5000, text: "No timings", words: [] },
+    {
+      // Stored late after a retry; the timeline uses when the audio was recorded
+      created_at: 60000,
+      recorded_at: 10000,
+      speaker_names: { speaker_0: "Tom", speaker_1: "Maya" },
+      words: [
+        { text: "Not", start: 0, end: 1, speaker: "speaker_0" },
+        { text: "always", start: 1, end: 2, speaker: "speaker_1" }
+      ]
+    }
+  ]);
+
+  assert.deepEqual(participation.speakers, [
+    { speaker: "speaker_0", name: "Maya", segment: null, talkSeconds: 3, share: 0.6, turns: 2, words: 3 },
+    { speaker: "speaker_1", name: "Tom", segment: null, talkSeconds: 2, share: 0.4, turns: 2, words: 2 }
+  ]);
+  assert.equal(participation.unattributedSeconds, 0.5);
+  assert.equal(participation.turns, 4);
+  assert.equal(participation.longestSilenceSeconds, 6);
+  assert.equal(participation.timedSegments, 2);
+  assert.equal(participation.equityIndex, equityIndex([3, 2]));
+  assert.equal(sessionEquityIndex([participation, { equityIndex: null }]), participation.equityIndex);
+});
+
+test("unmapped labels only count within their own chunk", () => {
+  const participation = groupParticipation([
+    { recorded_at: 0, words: [{ text: "Hi", start: 0, end: 3, speaker: "speaker_0" }, { text: "Hey", start: 3, end: 4, speaker: "speaker_1" }] },
+    { recorded_at: 10000, words: [{ text: "So", start: 0, end: 2, speaker: "speaker_0" }, { text: "Right", start: 2, end: 4, speaker: "speaker_1" }] }
+  ]);
+
+  assert.deepEqual(participation.speakers.map(s => [s.speaker, s.segment, s.talkSeconds]), [
+    ["speaker_0", 1, 3],
+    ["speaker_0", 2, 2],
+    ["speaker_1", 2, 2],
+    ["speaker_1", 1, 1]
+  ]);
+  // Each chunk's own balance, weighted by its talk time
+  const expected = (equityIndex([3, 1]) * 4 + equityIndex([2, 2]) * 4) / 8;
+  assert.equal(participation.equityIndex, Math.round(expected * 1000) / 1000);
+});
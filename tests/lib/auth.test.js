@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { signToken, parseCookies, currentTeacher, setAccountLoader, requireTeacher } from "../../lib/auth.js";
+
+const accounts = new Map([["t1", { id: "t1", email: "a@school.test", name: "A", role: "observer", leadTeacherId: "t2" }]]);
+setAccountLoader(async id => accounts.get(id) || null);
+
+const headersFor = sub => ({ authorization: `Bearer ${signToken({ typ: "teacher", sub, email: "a@school.test", name: "A" })}` });
+
+test("role and lead teacher come from the account, not the token", async () => {
+  const token = signToken({ typ: "teacher", sub: "t1", role: "school_admin", lead: null });
+  const teacher = await currentTeacher({ authorization: `Bearer ${token}` });
+  assert.equal(teacher.role, "observer");
+  assert.equal(teacher.leadTeacherId, "t2");
+});
+
+test("a removed account is logged out on its next request", async () => {
+  let status = null;
+  const res = { status(code) { status = code; return this; }, json() { return this; } };
+  await requireTeacher({ headers: headersFor("gone") }, res, () => assert.fail("next should not run"));
+  assert.equal(status, 401);
+  assert.equal(await currentTeacher({}), null);
+});
+
+test("cookies that can't be decoded are skipped instead of failing the request", async () => {
+  const token = signToken({ typ: "teacher", sub: "t1", email: "a@school.test", name: "A" });
+  const cookie = `other_app=%E0%A4%A; sc_auth=${encodeURIComponent(token)}`;
+  assert.deepEqual(Object.keys(parseCookies(cookie)), ["sc_auth"]);
+  assert.equal((await currentTeacher({ cookie })).id, "t1");
+  assert.equal(await currentTeacher({ cookie: "sc_auth=%E0%A4%A" }), null);
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BSON } from "mongodb";
+import { BUNDLE_FORMAT, BUNDLE_VERSION, BundleError, validateBundle, remapBundle } from "../../lib/bundle.js";
+
+function sampleBundle() {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exported_at: new Date("2026-01-05T09:00:00Z"),
+    session: { _id: "s1", code: "ABC123", teacher_id: "t1", deleted_at: null, created_at: new Date("2026-01-05T08:00:00Z") },
+    collections: {
+      groups: [{ _id: "g1", session_id: "s1", number: 1 }],
+      transcripts: [{ _id: "tr1", group_id: "g1", text: "Cars pollute", audio_id: "a1" }],
+      checkbox_criteria: [{ _id: "c1", session_id: "s1", description: "States a claim" }],
+      checkbox_progress: [{ _id: "p1", session_id: "s1", criteria_id: "c1", group_number: 1, status: "green" }],
+      roster: [{ _id: "r1", session_code: "ABC123", name: "Maya" }],
+      speaker_mappings: [{ _id: "m1", session_code: "ABC123", student_id: "r1", transcript_id: "tr1" }]
+    }
+  };
+}
+
+test("rejects versions outside the supported range", () => {
+  for (const version of [0, -1, BUNDLE_VERSION + 1, 1.5, "1", undefined]) {
+    assert.throws(() => validateBundle({ ...sampleBundle(), version }), BundleError, String(version));
+  }
+  assert.throws(() => validateBundle({ ...sampleBundle(), format: "other" }), BundleError);
+});
+
+test("warns about references to documents missing from the bundle", () => {
+  const bundle = sampleBundle();
+  assert.deepEqual(validateBundle(bundle), []);
+  bundle.collections.checkbox_progress[0].criteria_id = "missing";
+  assert.deepEqual(validateBundle(bundle), ["1 checkbox_progress document(s) refer to a criteria_id that isn't in the bundle"]);
+});
+
+test("survives an Extended JSON round trip and remaps every id", () => {
+  const text = BSON.EJSON.stringify(sampleBundle(), { relaxed: true });
+  const bundle = BSON.EJSON.parse(text);
+  assert.ok(bundle.session.created_at instanceof Date);
+  assert.deepEqual(validateBundle(bundle), []);
+
+  const { session, collections } = remapBundle(bundle, { code: "NEW1" });
+  assert.notEqual(session._id, "s1");
+  assert.equal(session.code, "NEW1");
+  assert.equal("teacher_id" in session, false);
+  assert.equal(session.created_at.getTime(), bundle.session.created_at.getTime());
+
+  const [group] = collections.groups;
+  const [transcript] = collections.transcripts;
+  const [criterion] = collections.checkbox_criteria;
+  const [progress] = collections.checkbox_progress;
+  const [student] = collections.roster;
+  const [mapping] = collections.speaker_mappings;
+  assert.equal(group.session_id, session._id);
+  assert.equal(transcript.group_id, group._id);
+  assert.equal("audio_id" in transcript, false);
+  assert.equal(progress.criteria_id, criterion._id);
+  assert.equal(student.session_code, "NEW1");
+  assert.equal(mapping.student_id, student._id);
+  assert.equal(mapping.transcript_id, transcript._id);
+
+  // Importing the same bundle twice must not collide
+  assert.notEqual(remapBundle(bundle, { code: "NEW2" }).session._id, session._id);
+});
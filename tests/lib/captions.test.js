@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { captionCues, renderCaptions } from "../../lib/captions.js";
+
+const start = Date.UTC(2026, 0, 5, 9, 0, 0);
+
+const transcripts = [
+  {
+    created_at: start + 10000,
+    speaker_names: { speaker_0: "Maya" },
+    words: [
+      { text: "Cars", start: 0, end: 0.4, speaker: "speaker_0" },
+      { text: "pollute.", start: 0.5, end: 1, speaker: "speaker_0" },
+      { text: "Not", start: 1.2, end: 1.5, speaker: "speaker_1" },
+      { text: "always.", start: 4, end: 4.5, speaker: "speaker_1" }
+    ]
+  },
+  { created_at: start + 30000, duration_seconds: 3, text: " No word timings here " }
+];
+
+test("splits cues on a new speaker and on long pauses, placed from the session start", () => {
+  const cues = captionCues(transcripts, start);
+  assert.deepEqual(cues.map(c => [c.start, c.speaker, c.text]), [
+    [10, "Maya", "Cars pollute."],
+    [11.2, "Speaker 1", "Not"],
+    [14, "Speaker 1", "always."],
+    [30, null, "No word timings here"]
+  ]);
+  assert.equal(cues[3].end, 33);
+});
+
+test("renders WebVTT, SRT and a plain transcript", () => {
+  const cues = captionCues(transcripts, start);
+
+  const vtt = renderCaptions(cues, "vtt", { title: "Group 1" });
+  assert.ok(vtt.startsWith("WEBVTT - Group 1\n"));
+  assert.ok(vtt.includes("00:00:10.000 --> 00:00:11.000\n<v Maya>Cars pollute."));
+
+  const srt = renderCaptions(cues, "srt");
+  assert.ok(srt.startsWith("1\n00:00:10,000 --> 00:00:11,000\nMaya: Cars pollute.\n"));
+
+  const txt = renderCaptions(cues, "txt").split("\n");
+  assert.equal(txt[0], "[00:00:10] Maya: Cars pollute.");
+  assert.equal(txt[1], "[00:00:11] Speaker 1: Not");
+
+  assert.throws(() => renderCaptions(cues, "docx"), /Unknown caption format/);
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_FILTERS, FilterConfigError, mergeFilterConfig, validateFilterConfig, unsafeRegexReason, runFilters
+} from "../../lib/filters.js";
+
+const regexConfig = rules => mergeFilterConfig(DEFAULT_FILTERS, { regex: { rules }, min_length: { enabled: false } });
+
+test("rejects patterns that can backtrack catastrophically", () => {
+  for (const pattern of ["(a+)+$", "(a*)*b", "(\\w+\\s?)+$", "(a|ab)*c", "((ab)+)+", "(x+){2,}", "(a)\\1"]) {
+    assert.ok(unsafeRegexReason(pattern), pattern);
+    assert.throws(() => validateFilterConfig({ regex: { rules: [pattern] } }), FilterConfigError, pattern);
+  }
+});
+
+test("accepts ordinary patterns", () => {
+  for (const pattern of ["^um+$", "(cat|dog)s?", "(?:ha)+", "[(+*]+", "\\(+", "(ab){2,4}", "(a+)?b"]) {
+    assert.equal(unsafeRegexReason(pattern), null, pattern);
+  }
+  const clean = validateFilterConfig({ regex: { rules: [{ pattern: "^um+$", reason: "Filler" }] } });
+  assert.deepEqual(clean.regex.rules, [{ pattern: "^um+$", flags: "i", reason: "Filler" }]);
+});
+
+test("rules match the original text and follow their own case flag", async () => {
+  const config = regexConfig([{ pattern: "^OK$", flags: "", reason: "Shouted OK" }]);
+  assert.equal((await runFilters("OK", { config })).reason, "Shouted OK");
+  assert.equal((await runFilters("ok", { config })).noise, false);
+
+  const insensitive = regexConfig([{ pattern: "^ok$", flags: "i" }]);
+  assert.equal((await runFilters("OK", { config: insensitive })).filter, "regex");
+});
+
+test("stored unsafe rules are skipped rather than run", async () => {
+  const config = regexConfig([{ pattern: "(a+)+$", flags: "" }]);
+  const result = await runFilters("a".repeat(40) + "!", { config });
+  assert.equal(result.noise, false);
+});
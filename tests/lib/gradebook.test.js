@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildGradebook, renderGradebook } from "../../lib/gradebook.js";
+
+const criteria = [
+  { _id: "c1", description: "States a claim", weight: 2 },
+  { _id: "c2", description: "Uses evidence", weight: "1" }
+];
+
+test("groups stored as numbers and strings share one row", () => {
+  // Seeded progress has numeric group numbers; live grading stores them as strings
+  const progress = [
+    { criteria_id: "c1", group_number: 1, status: "grey" },
+    { criteria_id: "c1", group_number: "1", status: "green", quote: "Cars pollute", quote_speaker_name: "Maya" },
+    { criteria_id: "c2", group_number: "1", status: "red" }
+  ];
+  const { rows } = buildGradebook(criteria, progress, [1]);
+  assert.equal(rows.length, 1);
+  assert.deepEqual(rows[0].cells.map(c => c.status), ["green", "red"]);
+  assert.equal(rows[0].cells[0].speaker, "Maya");
+});
+
+test("scores weight met criteria and give nothing for the rest", () => {
+  const progress = [
+    { criteria_id: "c1", group_number: "2", status: "green" },
+    { criteria_id: "c2", group_number: "2", status: "grey" }
+  ];
+  const [row] = buildGradebook(criteria, progress, [2]).rows;
+  assert.equal(row.score, 2);
+  assert.equal(row.maxScore, 3);
+  assert.equal(row.percent, 67);
+});
+
+test("CSV keeps quotes from being read as formulas", async () => {
+  const progress = [{ criteria_id: "c1", group_number: 1, status: "green", quote: "=1+1" }];
+  const csv = (await renderGradebook(buildGradebook(criteria, progress, [1]), "csv")).toString("utf8");
+  assert.match(csv, /"green: ""=1\+1"""/);
+  assert.ok(!/(^|,)=/m.test(csv));
+});
@@ -0,0 +1,220 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { JobQueue, JobError } from "../../lib/jobs.js";
+
+// Just enough of a MongoDB collection for the queries JobQueue makes
+function memoryCollection() {
+  const docs = new Map();
+  const value = (doc, path) => path.split(".").reduce((v, key) => v?.[key], doc);
+  const matches = (doc, filter) => Object.entries(filter).every(([field, cond]) => {
+    const v = value(doc, field);
+    if (cond && typeof cond === "object" && !Array.isArray(cond)) {
+      return Object.entries(cond).every(([op, arg]) => {
+        if (op === "$in") return arg.includes(v);
+        if (op === "$lt") return v < arg;
+        if (op === "$lte") return v <= arg;
+        throw new Error(`Unsupported operator ${op}`);
+      });
+    }
+    return v === cond;
+  });
+  const update = (doc, { $set = {}, $inc = {}, $unset = {} }) => {
+    Object.assign(doc, $set);
+    for (const [field, by] of Object.entries($inc)) doc[field] = (doc[field] || 0) + by;
+    for (const field of Object.keys($unset)) {
+      const path = field.split(".");
+      const last = path.pop();
+      const parent = path.reduce((v, key) => v?.[key], doc);
+      if (parent) delete parent[last];
+    }
+  };
+  const sortBy = spec => (a, b) => {
+    for (const [field, dir] of Object.entries(spec)) {
+      if (a[field] !== b[field]) return (a[field] < b[field] ? -1 : 1) * dir;
+    }
+    return 0;
+  };
+
+  return {
+    docs,
+    async createIndex() {},
+    async insertOne(doc) {
+      if (docs.has(doc._id)) throw Object.assign(new Error("duplicate key"), { code: 11000 });
+      docs.set(doc._id, structuredClone(doc));
+    },
+    async countDocuments(filter) {
+      return [...docs.values()].filter(doc => matches(doc, filter)).length;
+    },
+    async updateOne(filter, changes) {
+      const doc = [...docs.values()].find(d => matches(d, filter));
+      if (doc) update(doc, changes);
+      return { modifiedCount: doc ? 1 : 0 };
+    },
+    async updateMany(filter, changes) {
+      const found = [...docs.values()].filter(d => matches(d, filter));
+      found.forEach(doc => update(doc, changes));
+      return { modifiedCount: found.length };
+    },
+    async findOneAndUpdate(filter, changes) {
+      const doc = [...docs.values()].find(d => matches(d, filter));
+      if (!doc) return null;
+      update(doc, changes);
+      return structuredClone(doc);
+    },
+    aggregate(pipeline) {
+      let rows = [...docs.values()];
+      for (const stage of pipeline) {
+        const [[name, spec]] = Object.entries(stage);
+        if (name === "$match") rows = rows.filter(doc => matches(doc, spec));
+        else if (name === "$sort") rows = [...rows].sort(sortBy(spec));
+        else if (name === "$limit") rows = rows.slice(0, spec);
+        else if (name === "$group") {
+          const groups = new Map();
+          for (const doc of rows) {
+            const id = value(doc, spec._id.slice(1));
+            if (!groups.has(id)) {
+              const group = { _id: id };
+              for (const [field, acc] of Object.entries(spec)) {
+                if (field === "_id") continue;
+                if (acc.$first) group[field] = value(doc, acc.$first.slice(1));
+                if (acc.$sum) group[field] = 0;
+              }
+              groups.set(id, group);
+            }
+            for (const [field, acc] of Object.entries(spec)) {
+              if (field !== "_id" && acc.$sum) groups.get(id)[field] += acc.$sum;
+            }
+          }
+          rows = [...groups.values()];
+        } else throw new Error(`Unsupported stage ${name}`);
+      }
+      return { toArray: async () => structuredClone(rows) };
+    }
+  };
+}
+
+async function until(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting for the queue");
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+function makeQueue(options = {}) {
+  const collection = memoryCollection();
+  const queue = new JobQueue(collection, { pollMs: 10, backoffMs: 5, ...options });
+  return { queue, collection };
+}
+
+test("jobs with the same key run one at a time in order, not arrival order", async t => {
+  const { queue } = makeQueue();
+  t.after(() => queue.stop());
+  const events = [];
+  queue.register("work", async job => {
+    events.push(`start ${job.payload.name}`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    events.push(`end ${job.payload.name}`);
+  });
+
+  await queue.enqueue("work", "group-1", { name: "second" }, { order: 2 });
+  await queue.enqueue("work", "group-1", { name: "first" }, { order: 1 });
+  queue.start();
+
+  await until(() => events.length === 4);
+  assert.deepEqual(events, ["start first", "end first", "start second", "end second"]);
+});
+
+test("enqueueing the same id twice is a no-op", async () => {
+  const { queue, collection } = makeQueue();
+  assert.equal((await queue.enqueue("work", "k", {}, { id: "job-1" })).duplicate, false);
+  assert.equal((await queue.enqueue("work", "k", {}, { id: "job-1" })).duplicate, true);
+  assert.equal(collection.docs.size, 1);
+  assert.equal(await queue.exists("job-1"), true);
+});
+
+test("a held job blocks its key until it is released", async t => {
+  const { queue, collection } = makeQueue();
+  t.after(() => queue.stop());
+  const ran = [];
+  queue.register("work", async job => { ran.push(job.payload.name); });
+
+  await queue.enqueue("work", "group-1", { name: "held" }, { id: "held", order: 1, runAt: Date.now() + 60000 });
+  await queue.enqueue("work", "group-1", { name: "later" }, { order: 2 });
+  queue.start();
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepEqual(ran, []);
+
+  await queue.release("held");
+  await until(() => ran.length === 2);
+  assert.deepEqual(ran, ["held", "later"]);
+  assert.equal(collection.docs.get("held").status, "done");
+});
+
+test("a job whose worker's lease ran out is taken over", async t => {
+  const { queue, collection } = makeQueue();
+  t.after(() => queue.stop());
+  let runs = 0;
+  queue.register("work", async () => { runs++; });
+
+  await queue.enqueue("work", "k", {}, { id: "orphan" });
+  // Another worker claimed it and died without renewing its lease
+  await collection.updateOne({ _id: "orphan" }, { $set: { status: "running", attempts: 1, locked_by: "dead", locked_until: Date.now() - 1 } });
+  queue.start();
+
+  await until(() => collection.docs.get("orphan").status === "done");
+  const job = collection.docs.get("orphan");
+  assert.equal(runs, 1);
+  assert.equal(job.attempts, 2);
+  assert.equal(job.locked_by, null);
+});
+
+test("retries failures with backoff and gives up on non-retryable errors", async t => {
+  const { queue, collection } = makeQueue({ maxAttempts: 3 });
+  t.after(() => queue.stop());
+  let flakyRuns = 0;
+  const failed = [];
+  queue.register("flaky", async () => {
+    if (++flakyRuns < 3) throw new Error("Provider timeout");
+  });
+  queue.register("rejected", async () => {
+    throw new JobError("Audio format not supported", { retryable: false });
+  }, { onFailed: (job, err) => failed.push(err.message) });
+
+  await queue.enqueue("flaky", "a", {}, { id: "flaky" });
+  await queue.enqueue("rejected", "b", { audio: Buffer.from("x") }, { id: "rejected" });
+  queue.start();
+
+  await until(() => collection.docs.get("flaky").status === "done" && collection.docs.get("rejected").status === "failed");
+  assert.equal(collection.docs.get("flaky").attempts, 3);
+  assert.equal(collection.docs.get("rejected").attempts, 1);
+  assert.equal(collection.docs.get("rejected").payload.audio, undefined);
+  assert.deepEqual(failed, ["Audio format not supported"]);
+});
+
+test("a worker that lost its lease leaves the new owner's state alone", async t => {
+  const { queue, collection } = makeQueue({ maxAttempts: 1 });
+  t.after(() => queue.stop());
+  const failed = [];
+  const takeOver = async job => {
+    // The lease expired mid-run and another worker claimed the job
+    await collection.updateOne({ _id: job._id }, { $set: { locked_by: "other", locked_until: Date.now() + 60000 } });
+  };
+  queue.register("slow", takeOver);
+  queue.register("slow_failing", async job => {
+    await takeOver(job);
+    throw new Error("Provider timeout");
+  }, { onFailed: job => failed.push(job._id) });
+
+  await queue.enqueue("slow", "a", {}, { id: "slow" });
+  await queue.enqueue("slow_failing", "b", {}, { id: "slow_failing" });
+  queue.start();
+
+  await until(() => queue.running === 0 && collection.docs.get("slow").attempts === 1 && collection.docs.get("slow_failing").attempts === 1);
+  await new Promise(resolve => setTimeout(resolve, 30));
+  for (const id of ["slow", "slow_failing"]) {
+    assert.equal(collection.docs.get(id).status, "running", id);
+    assert.equal(collection.docs.get(id).locked_by, "other", id);
+  }
+  assert.deepEqual(failed, []);
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findPii, hashValue, encryptValue, decryptValue, redactText, redactWords } from "../../lib/redaction.js";
+
+const placeholder = match => `[${match.type.toUpperCase()}]`;
+
+test("finds phone numbers, emails and roster names", () => {
+  const text = "Call Maya Patel on 07700 900123 or mail maya@example.com";
+  const matches = findPii(text, { names: ["Maya Patel", "Maya"] });
+  assert.deepEqual(matches.map(m => [m.type, m.value]), [
+    ["name", "Maya Patel"],
+    ["phone", "07700 900123"],
+    ["email", "maya@example.com"]
+  ]);
+  assert.equal(redactText(text, matches, placeholder), "Call [NAME] on [PHONE] or mail [EMAIL]");
+});
+
+test("short digit runs are not phone numbers", () => {
+  assert.deepEqual(findPii("We need 12 of them by 2024"), []);
+});
+
+test("names only match whole words", () => {
+  assert.deepEqual(findPii("Samantha said so", { names: ["Sam"] }), []);
+  assert.equal(findPii("sam said so", { names: ["Sam"] }).length, 1);
+});
+
+test("word timings keep their positions, longest match first", () => {
+  const words = [
+    { text: "Maya", start: 0, end: 0.3 },
+    { text: "Patel's", start: 0.3, end: 0.6 },
+    { text: "number", start: 0.6, end: 0.9 },
+    { text: "07700", start: 1, end: 1.4 },
+    { text: "900123", start: 1.4, end: 1.9 }
+  ];
+  const text = words.map(w => w.text).join(" ");
+  const out = redactWords(words, findPii(text, { names: ["Maya", "Maya Patel"] }), placeholder);
+  assert.deepEqual(out.map(w => w.text), ["[NAME]", "", "number", "[PHONE]", ""]);
+  assert.equal(out[3].start, 1);
+});
+
+test("hashes are stable and values round-trip through encryption", () => {
+  assert.equal(hashValue("phone", "07700 900123"), hashValue("phone", "07700-900-123"));
+  assert.equal(decryptValue(encryptValue("maya@example.com")), "maya@example.com");
+  assert.equal(decryptValue("not.a.payload"), null);
+});
+
+test("a name inside a longer word is left alone in the word timings", () => {
+  const words = [{ text: "Sam", start: 0, end: 0.2 }, { text: "and", start: 0.2, end: 0.4 }, { text: "Samantha", start: 0.4, end: 0.9 }];
+  const out = redactWords(words, findPii("Sam and Samantha", { names: ["Sam"] }), placeholder);
+  assert.deepEqual(out.map(w => w.text), ["[NAME]", "and", "Samantha"]);
+});
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checklistSection, renderReport } from "../../lib/report.js";
+
+const criteria = [{ _id: "c1", description: "States a claim", rubric: "A clear position" }];
+
+test("checklist outcomes match groups stored as numbers or strings", () => {
+  const progress = [
+    { criteria_id: "c1", group_number: 1, status: "grey" },
+    { criteria_id: "c1", group_number: "1", status: "green", quote: "Cars pollute", quote_speaker_name: "Maya" },
+    { criteria_id: "c1", group_number: "2", status: "red" }
+  ];
+  const checklist = checklistSection("Debate", criteria, progress, [1, 2, 3]);
+  assert.deepEqual(checklist.criteria[0].groups, [
+    { number: 1, status: "green", quote: "Cars pollute", speaker: "Maya" },
+    { number: 2, status: "red", quote: null, speaker: null },
+    { number: 3, status: "grey", quote: null, speaker: null }
+  ]);
+});
+
+test("renders every format from the same report", async () => {
+  const report = {
+    title: "Class report: session 123456",
+    details: [["Session", "123456"]],
+    mindmap: { name: "Energy", children: [{ name: "Solar" }] },
+    checklist: checklistSection("", criteria, [{ criteria_id: "c1", group_number: "1", status: "green" }], [1]),
+    groups: [{ number: 1, summary: "- Talked about solar", transcripts: [{ time: "10:00:00", lines: [{ speaker: "Maya", text: "Hi" }] }], skipped: 1 }],
+    generatedAt: "19 Oct 2026"
+  };
+  const markdown = (await renderReport(report, "md")).toString("utf8");
+  assert.match(markdown, /Group 1: \*\*Met\*\*/);
+  assert.match(markdown, /Maya: Hi/);
+  assert.equal((await renderReport(report, "pdf")).subarray(0, 4).toString(), "%PDF");
+  assert.equal((await renderReport(report, "docx")).subarray(0, 2).toString(), "PK");
+});